@@ -4,412 +4,1507 @@
 
 'use strict';
 
-const DeviceClient = require('./lib/device.client'),
-    Subscription   = require('./lib/subscriber'),
-    util           = require('util'),
-    debug          = require('debug')('upnp-mediarenderer-client'),
-    et             = require('elementtree'),
-    MEDIA_EVENTS   = [
+const DeviceClient    = require('./lib/device.client'),
+    Discovery         = require('./lib/discovery'),
+    PlaybackQueue     = require('./lib/playback.queue'),
+    FileServer        = require('./lib/file.server'),
+    PositionTracker   = require('./lib/position.tracker'),
+    Gateway           = require('./lib/gateway'),
+    RendererGroup     = require('./lib/renderer.group'),
+    MediaServerClient = require('./lib/media.server.client'),
+    protocols         = require('./lib/protocol.info'),
+    didl              = require('./lib/didl'),
+    errors            = require('./lib/errors'),
+    dataTypes         = require('./lib/data.types'),
+    callbackOrPromise = require('./lib/promise'),
+    util              = require('util'),
+    path              = require('path'),
+    debug             = require('debug')('upnp-mediarenderer-client'),
+    MEDIA_EVENTS      = [
+        'change',
         'status',
         'loading',
         'playing',
         'paused',
         'stopped',
-        'speedChanged'
+        'speedChanged',
+        'trackChanged'
+    ],
+    RENDERING_EVENTS  = [
+        'change',
+        'renderingStatus',
+        'volumeChanged',
+        'volumeDBChanged',
+        'muteChanged',
+        'presetsChanged'
+    ],
+    TRACKING_EVENTS   = [
+        'timeupdate',
+        'durationchange',
+        'ended'
+    ],
+    // Seek units with time targets, others take a number
+    TIME_SEEK_UNITS   = ['ABS_TIME', 'REL_TIME'],
+    // RenderingControl VolumeDB values are in 1/256 dB units
+    VOLUME_DB_UNITS   = 256;
+
+// shared server for casting local media, created on first use
+let fileServer = null;
+
+
+/**
+ * Get shared server for casting local media.
+ *
+ * @return {FileServer} server instance
+ */
+function getFileServer () {
+    fileServer = fileServer || new FileServer();
+
+    return fileServer;
+}
+
+
+/**
+ *
+ * @param {string} url XML config address
+ * @param {Object} [options] request options, may be overridden per call with `callAction` options
+ * @param {number} [options.timeout=10000] milliseconds to wait for a response from renderer
+ * @param {number} [options.retries=2] attempts to repeat a failed Get* action or description request
+ * @param {number} [options.retryDelay=500] milliseconds before the first repeat, doubled for each next one
+ * @param {string} [options.device] embedded device to bind to by type or UDN, the first MediaRenderer by default
+ * @param {Object} [options.tracking] position tracking options, see PositionTracker
+ *
+ * @constructor
+ */
+function MediaRendererClient ( url, options ) {
+    if ( !/\.xml$/.test(url) && url[url.length - 1] !== '/' ) {
+        url += '/';
+    }
+
+    DeviceClient.call(this, url, options);
+    this.instanceId = 0;
+    this.sinkProtocols = null;
+    // mirror of AVTransport and RenderingControl state variables
+    this.state = {};
+    this.positionTracker = new PositionTracker(this, this.options.tracking);
+
+    let self = this;
+
+    // Seed the state mirror with the full state as soon as somebody is interested in its changes.
+    this.addListener('newListener', function ( eventName ) {
+        if ( eventName === 'change' && self.listenerCount('change') === 0 ) {
+            self.refreshState(function ( err ) {
+                if ( err ) {
+                    debug('unable to refresh state: %s', err.message);
+                }
+            });
+        }
+    });
+
+    // Subscribe / unsubscribe from AVTransport and RenderingControl depending
+    // on relevant registered / removed event listeners.
+    watchService('AVTransport', MEDIA_EVENTS, createStatusHandler);
+    watchService('RenderingControl', RENDERING_EVENTS, createRenderingHandler);
+
+    // Poll position only while somebody follows it.
+    watchEvents(TRACKING_EVENTS, function () {
+        self.positionTracker.start();
+    }, function () {
+        self.positionTracker.stop();
+    });
+
+    function watchService ( serviceId, eventNames, createHandler ) {
+        let handler = null;
+
+        watchEvents(eventNames, function () {
+            handler = createHandler();
+            self.subscribe(serviceId, handler);
+        }, function () {
+            self.unsubscribe(serviceId, handler);
+            handler = null;
+        });
+    }
+
+    function watchEvents ( eventNames, start, stop ) {
+        let refs = 0;
+
+        self.addListener('newListener', function ( eventName, listener ) {
+            if ( eventNames.indexOf(eventName) === -1 ) {
+                return;
+            }
+
+            if ( refs === 0 ) {
+                start();
+            }
+            refs++;
+        });
+
+        self.addListener('removeListener', function ( eventName, listener ) {
+            if ( eventNames.indexOf(eventName) === -1 ) {
+                return;
+            }
+
+            refs--;
+
+            if ( refs === 0 ) {
+                stop();
+            }
+        });
+    }
+
+    function createStatusHandler () {
+        let receivedState = false;
+
+        return function onstatus ( e, seq ) {
+            self.emit('status', e);
+            self.updateState(e);
+
+            // SEQ 0 marks the initial event of a subscription, which is restored after resync
+            if ( !receivedState || seq === 0 ) {
+                // Starting from here we only want state updates.
+                // As the first received event is the full service state, it only seeds the state mirror.
+                receivedState = true;
+                return;
+            }
+
+            if ( e.hasOwnProperty('TransportState') ) {
+                switch(e.TransportState) {
+                    case 'TRANSITIONING':
+                        self.emit('loading');
+                        break;
+                    case 'PLAYING':
+                        self.emit('playing');
+                        break;
+                    case 'PAUSED_PLAYBACK':
+                        self.emit('paused');
+                        break;
+                    case 'STOPPED':
+                        self.emit('stopped');
+                        break;
+                }
+            }
+
+            if ( e.hasOwnProperty('TransportPlaySpeed') ) {
+                self.emit('speedChanged', Number(e.TransportPlaySpeed));
+            }
+
+            if ( e.hasOwnProperty('CurrentTrackMetaData') ) {
+                self.emit('trackChanged', didl.parseItem(e.CurrentTrackMetaData));
+            }
+        };
+    }
+
+    function createRenderingHandler () {
+        let receivedState = false;
+
+        return function onrendering ( e, seq ) {
+            self.emit('renderingStatus', e);
+            self.updateState(e);
+
+            if ( !receivedState || seq === 0 ) {
+                // The same as for AVTransport, the first event is the full service state.
+                receivedState = true;
+                return;
+            }
+
+            eachChannel(e, 'Volume', ( value, channel ) => {
+                self.emit('volumeChanged', value, channel);
+            });
+
+            eachChannel(e, 'VolumeDB', ( value, channel ) => {
+                self.emit('volumeDBChanged', value / VOLUME_DB_UNITS, channel);
+            });
+
+            eachChannel(e, 'Mute', ( value, channel ) => {
+                self.emit('muteChanged', value, channel);
+            });
+
+            if ( e.hasOwnProperty('PresetNameList') ) {
+                self.emit('presetsChanged', e.PresetNameList.split(',').filter(name => name));
+            }
+        };
+    }
+}
+
+util.inherits(MediaRendererClient, DeviceClient);
+
+
+/**
+ * Bind to MediaRenderer device, which may be embedded into another one, e.g. into AV receiver.
+ *
+ * @type {string}
+ */
+MediaRendererClient.prototype.defaultDevice = 'MediaRenderer';
+
+
+/**
+ * Merge state variables into the state mirror and notify about the changed ones.
+ *
+ * @param {Object} variables service event or action results as a map of state variables
+ */
+MediaRendererClient.prototype.updateState = function ( variables ) {
+    const changes = {};
+
+    // events of other virtual instances are not about this client, ids from actions are strings and from events numbers
+    if ( variables.hasOwnProperty('InstanceID') && String(variables.InstanceID) !== String(this.instanceId) ) {
+        return;
+    }
+
+    Object.keys(variables).forEach(name => {
+        if ( name === 'InstanceID' ) {
+            return;
+        }
+
+        if ( name === 'channels' ) {
+            // per channel values of RenderingControl variables
+            Object.keys(variables.channels).forEach(variable => {
+                const values = variables.channels[variable];
+
+                this.state.channels = this.state.channels || {};
+                this.state.channels[variable] = this.state.channels[variable] || {};
+
+                Object.keys(values).forEach(channel => {
+                    if ( this.state.channels[variable][channel] !== values[channel] ) {
+                        this.state.channels[variable][channel] = values[channel];
+                        changes.channels = changes.channels || {};
+                        changes.channels[variable] = changes.channels[variable] || {};
+                        changes.channels[variable][channel] = values[channel];
+                    }
+                });
+            });
+
+            return;
+        }
+
+        if ( this.state[name] !== variables[name] ) {
+            this.state[name] = variables[name];
+            changes[name] = variables[name];
+        }
+    });
+
+    if ( Object.keys(changes).length ) {
+        this.emit('change', changes);
+    }
+};
+
+
+/**
+ * Fetch the full AVTransport and RenderingControl state with Get* actions into the state mirror.
+ *
+ * Actions not implemented by renderer are skipped.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} the state mirror if no callback was given
+ */
+MediaRendererClient.prototype.refreshState = function ( callback ) {
+    const queries = [
+        ['AVTransport', 'GetTransportInfo', {InstanceID: this.instanceId}],
+        ['AVTransport', 'GetMediaInfo', {InstanceID: this.instanceId}],
+        ['AVTransport', 'GetPositionInfo', {InstanceID: this.instanceId}],
+        ['AVTransport', 'GetTransportSettings', {InstanceID: this.instanceId}],
+        ['RenderingControl', 'GetVolume', {InstanceID: this.instanceId, Channel: 'Master'}],
+        ['RenderingControl', 'GetMute', {InstanceID: this.instanceId, Channel: 'Master'}]
     ];
 
+    return callbackOrPromise(callback, done => {
+        const self = this,
+            variables = {};
+
+        let left = queries.length,
+            failure = null;
+
+        function finish ( err ) {
+            if ( err && err.code !== 'ENOACTION' && err.code !== 'ENOSERVICE' ) {
+                failure = failure || err;
+            }
+
+            if ( --left === 0 ) {
+                self.updateState(variables);
+                done(failure, self.state);
+            }
+        }
+
+        queries.forEach(query => {
+            this.callAction(query[0], query[1], query[2], ( err, result ) => {
+                if ( err ) {
+                    return finish(err);
+                }
+
+                // action outputs are named differently from the state variables they reflect
+                this.getServiceDescription(query[0], ( err, desc ) => {
+                    if ( !err ) {
+                        desc.actions[query[1]].outputs.forEach(output => {
+                            if ( result[output.name] !== undefined ) {
+                                variables[output.relatedStateVariable] = result[output.name];
+                            }
+                        });
+                    }
+
+                    finish(err);
+                });
+            });
+        });
+    });
+};
+
+
+/**
+ * Re-fetch the full state after events could have been lost, then emit `resync`.
+ *
+ * @param {string} serviceId service which subscription was restored
+ * @param {string} reason `gap`, `renewal` or `reboot`
+ */
+MediaRendererClient.prototype.handleResync = function ( serviceId, reason ) {
+    if ( serviceId !== 'urn:upnp-org:serviceId:AVTransport' && serviceId !== 'urn:upnp-org:serviceId:RenderingControl' ) {
+        return DeviceClient.prototype.handleResync.call(this, serviceId, reason);
+    }
+
+    this.refreshState(err => {
+        if ( err ) {
+            debug('unable to refresh state: %s', err.message);
+        }
+
+        DeviceClient.prototype.handleResync.call(this, serviceId, reason);
+    });
+};
+
+
+/**
+ * Set public name for control point.
+ *
+ * @param {string} name public name for control point
+ */
+MediaRendererClient.prototype.setControlPointName = function ( name ) {
+    this.controlPointName = name;
+};
+
+
+/**
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} list of supported protocols if no callback was given
+ */
+MediaRendererClient.prototype.getSupportedProtocols = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.callAction('ConnectionManager', 'GetProtocolInfo', {}, function ( err, result ) {
+            if ( err ) {
+                return done(err);
+            }
+
+            // Here we leave off the `Source` field as we're hopefuly dealing with a Sink-only device.
+            done(null, protocols.parseList(result.Sink));
+        });
+    });
+};
+
+
+/**
+ * Choose protocolInfo for the media based on protocols supported by renderer.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.contentType='video/mpeg'] media MIME type
+ * @param {string} [options.dlnaProfile] media DLNA profile name, e.g. `AVC_MP4_HP_HD_AAC`
+ * @param {string} [options.protocolInfo] protocolInfo to use as is, without negotiation
+ * @param {boolean} [options.negotiate=true] whether to check renderer capabilities at all
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} protocolInfo string if no callback was given
+ */
+MediaRendererClient.prototype.negotiateProtocolInfo = function ( options, callback ) {
+    if ( typeof options === 'function' ) {
+        callback = options;
+        options = {};
+    }
+
+    options = options || {};
+
+    const contentType = options.contentType || 'video/mpeg', // Default to something generic
+        generic = 'http-get:*:' + contentType + ':*';
+
+    return callbackOrPromise(callback, done => {
+        if ( options.protocolInfo ) {
+            return done(null, options.protocolInfo);
+        }
+
+        if ( options.negotiate === false ) {
+            return done(null, generic);
+        }
+
+        this.getSinkProtocols(( err, sinks ) => {
+            if ( err || sinks.length === 0 ) {
+                // renderer doesn't tell what it is able to play, so hope for the best
+                debug('no sink protocols, use %s', generic);
+
+                return done(null, generic);
+            }
+
+            const info = protocols.negotiate(sinks, contentType, options.dlnaProfile);
+
+            if ( !info ) {
+                const error = new Error('Renderer does not support ' + contentType + (options.dlnaProfile ? ' (' + options.dlnaProfile + ')' : ''));
+
+                error.code = 'ENOTSUPPORTED';
+
+                return done(error);
+            }
+
+            done(null, protocols.format(info));
+        });
+    });
+};
+
+
+/**
+ * Get protocols supported by renderer, cached after the first successful request.
+ *
+ * @param {function} callback method to invoke with a result of operation
+ */
+MediaRendererClient.prototype.getSinkProtocols = function ( callback ) {
+    if ( this.sinkProtocols ) {
+        return process.nextTick(callback, null, this.sinkProtocols);
+    }
+
+    this.getSupportedProtocols(( err, sinks ) => {
+        if ( err ) {
+            return callback(err);
+        }
+
+        this.sinkProtocols = sinks;
+        callback(null, sinks);
+    });
+};
+
+
+/**
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} position in seconds if no callback was given
+ */
+MediaRendererClient.prototype.getPosition = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.callAction('AVTransport', 'GetPositionInfo', {InstanceID: this.instanceId}, function ( error, result ) {
+            if ( error ) {
+                return done(error);
+            }
+
+            done(null, PositionTracker.parsePosition(result));
+        });
+    });
+};
+
+
+/**
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} duration in seconds if no callback was given
+ */
+MediaRendererClient.prototype.getDuration = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.callAction('AVTransport', 'GetMediaInfo', {InstanceID: this.instanceId}, function ( err, result ) {
+            if ( err ) {
+                return done(err);
+            }
+
+            done(null, dataTypes.parseTime(String(result.MediaDuration)));
+        });
+    });
+};
+
+
+/**
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+MediaRendererClient.prototype.setUri = function ( url, options, callback ) {
+    let self = this;
+
+    if ( typeof options === 'function' ) {
+        callback = options;
+        options = {};
+    }
+
+    options = options || {};
+
+    return callbackOrPromise(callback, done => {
+        this.negotiateProtocolInfo(options, function ( err, protocolInfo ) {
+            if ( err ) {
+                return done(err);
+            }
+
+            let metadata = Object.assign({}, options.metadata, {
+                url: url,
+                protocolInfo: protocolInfo
+            });
+
+            let params = {
+                RemoteProtocolInfo: protocolInfo,
+                PeerConnectionManager: null,
+                PeerConnectionID: -1,
+                Direction: 'Input'
+            };
+
+            self.callAction('ConnectionManager', 'PrepareForConnection', params, function ( err, result ) {
+                if ( err ) {
+                    if ( err.code !== 'ENOACTION' ) {
+                        return done(err);
+                    }
+
+                    // If PrepareForConnection is not implemented, we keep the default (0) InstanceID
+                } else {
+                    self.instanceId = result.AVTransportID;
+                }
+
+                let params = {
+                    InstanceID: self.instanceId,
+                    CurrentURI: url,
+                    CurrentURIMetaData: didl.build(metadata)
+                };
+
+                self.callAction('AVTransport', 'SetAVTransportURI', params, function ( err ) {
+                    if ( err ) {
+                        return done(err);
+                    }
+
+                    if ( options.autoplay ) {
+                        self.play(done);
+                        return;
+                    }
+                    done();
+                });
+            });
+        });
+    });
+};
+
+
+/**
+ * Load an item to play after the current one ends, without a gap between them.
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+MediaRendererClient.prototype.setNextUri = function ( url, options, callback ) {
+    if ( typeof options === 'function' ) {
+        callback = options;
+        options = {};
+    }
+
+    options = options || {};
+
+    return callbackOrPromise(callback, done => {
+        this.negotiateProtocolInfo(options, ( err, protocolInfo ) => {
+            if ( err ) {
+                return done(err);
+            }
+
+            let metadata = Object.assign({}, options.metadata, {
+                url: url,
+                protocolInfo: protocolInfo
+            });
+
+            let params = {
+                InstanceID: this.instanceId,
+                NextURI: url,
+                NextURIMetaData: didl.build(metadata)
+            };
+
+            this.callAction('AVTransport', 'SetNextAVTransportURI', params, done);
+        });
+    });
+};
+
+
+/**
+ * Load an item browsed on a MediaServer with its metadata.
+ *
+ * Resources are ranked against sink protocols of renderer: the original is preferred to transcoded ones (`DLNA.ORG_CI=1`),
+ * then the one fitting renderer best, e.g. with a matching DLNA profile, and then the one listed first.
+ *
+ * @param {Object} item DIDL-Lite item description, e.g. from `MediaServerClient.browse`
+ * @param {Object} [options] the same as for `setUri` except of media type ones
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} chosen resource if no callback was given
+ */
+MediaRendererClient.prototype.loadItem = function ( item, options, callback ) {
+    if ( typeof options === 'function' ) {
+        callback = options;
+        options = {};
+    }
+
+    return callbackOrPromise(callback, done => {
+        if ( !item || item.container ) {
+            const error = new Error('Only items can be loaded, got ' + (item ? 'container ' + item.id : item));
+
+            error.code = 'EINVAL';
+
+            return done(error);
+        }
+
+        this.getSinkProtocols(( err, sinks ) => {
+            // renderer doesn't tell what it is able to play, so hope for the best
+            const resource = chooseResource(item.resources || [], err ? [] : sinks);
+
+            if ( !resource ) {
+                const error = new Error('Renderer does not support any resource of ' + (item.title || item.id));
+
+                error.code = 'ENOTSUPPORTED';
+
+                return done(error);
+            }
+
+            debug('load %s as %s', item.id, resource.protocolInfo);
+
+            // protocolInfo of server carries its DLNA flags for the resource
+            this.setUri(resource.url, Object.assign({}, options, {
+                protocolInfo: resource.protocolInfo,
+                metadata: Object.assign({}, item, {resources: [resource]})
+            }), error => done(error, error ? undefined : resource));
+        });
+    });
+};
+
+
+/**
+ * Serve a local file or a buffer with the built-in HTTP server and load it to renderer.
+ *
+ * @param {string|Buffer} source file path or content
+ * @param {Object} [options] the same as for `setUri` plus the following ones
+ * @param {string} [options.fileName] name to use in media address, required to guess type of a buffer
+ * @param {FileServer} [options.server] server to use instead of the shared one
+ * @param {Array} [options.subtitles] local subtitle files to serve along, paths or `{path, language, title, type}`
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} media address if no callback was given
+ */
+MediaRendererClient.prototype.castFile = function ( source, options, callback ) {
+    if ( typeof options === 'function' ) {
+        callback = options;
+        options = {};
+    }
+
+    options = options || {};
+
+    const server = options.server || getFileServer(),
+        fileName = options.fileName || (Buffer.isBuffer(source) ? null : path.basename(source)),
+        contentType = options.contentType || FileServer.lookupContentType(fileName);
+
+    return callbackOrPromise(callback, done => {
+        this.negotiateProtocolInfo(Object.assign({}, options, {contentType: contentType}), ( error, protocolInfo ) => {
+            if ( error ) {
+                return done(error);
+            }
+
+            server.listen(error => {
+                if ( error ) {
+                    return done(error);
+                }
+
+                const additionalInfo = protocols.parse(protocolInfo).additionalInfo,
+                    subtitles = (options.subtitles || []).map(track => {
+                        track = typeof track === 'string' ? {path: track} : track;
+
+                        return {
+                            url: server.add(track.path, {language: track.language}),
+                            type: track.type || didl.subtitleType(track.path),
+                            language: track.language,
+                            title: track.title
+                        };
+                    }),
+                    metadata = Object.assign({title: fileName}, options.metadata),
+                    tracks = subtitles.concat(metadata.subtitles || metadata.subtitlesUrl || [])
+                        .map(track => typeof track === 'string' ? {url: track} : track),
+                    url = server.add(source, {
+                        contentType: contentType,
+                        fileName: fileName,
+                        // serve with the same DLNA features as announced to renderer
+                        contentFeatures: additionalInfo === '*' ? null : additionalInfo,
+                        subtitlesUrl: tracks.length ? tracks[0].url : null
+                    }),
+                    mediaType = contentType.split('/')[0];
+
+                metadata.subtitles = tracks;
+
+                if ( !metadata.type && ['audio', 'video', 'image'].indexOf(mediaType) !== -1 ) {
+                    metadata.type = mediaType;
+                }
+
+                this.setUri(url, Object.assign({}, options, {protocolInfo: protocolInfo, metadata: metadata}), error => {
+                    if ( error ) {
+                        server.remove(url);
+                        subtitles.forEach(track => server.remove(track.url));
+
+                        return done(error);
+                    }
+
+                    done(null, url);
+                });
+            });
+        });
+    });
+};
+
+
+/**
+ * Start playback, fast forward or rewind.
+ *
+ * Speed must be one of `TransportPlaySpeed` allowed values of renderer, see `getPlaySpeeds`.
+ * Fractions may be given as numbers, e.g. `0.5` for `1/2`.
+ *
+ * @param {number|string} [speed=1] play speed, e.g. `2`, `-4` or `'1/2'`
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+MediaRendererClient.prototype.play = function ( speed, callback ) {
+    if ( typeof speed === 'function' ) {
+        callback = speed;
+        speed = undefined;
+    }
+
+    let params = {
+        InstanceID: this.instanceId,
+        Speed: speed === undefined || speed === null ? '1' : formatSpeed(speed)
+    };
+
+    return this.callAction('AVTransport', 'Play', params, callback);
+};
+
+
+/**
+ * Get play speeds supported by renderer.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} list of speeds, e.g. `['1', '2', '-2', '1/2']`, empty if renderer doesn't tell, if no callback was given
+ */
+MediaRendererClient.prototype.getPlaySpeeds = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.getServiceDescription('AVTransport', ( err, desc ) => {
+            if ( err ) {
+                return done(err);
+            }
+
+            const variable = desc.stateVariables.TransportPlaySpeed;
+
+            done(null, variable && variable.allowedValues ? variable.allowedValues.slice() : []);
+        });
+    });
+};
+
+
+/**
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+MediaRendererClient.prototype.pause = function ( callback ) {
+    let params = {
+        InstanceID: this.instanceId
+    };
+
+    return this.callAction('AVTransport', 'Pause', params, callback);
+};
+
+
+/**
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+MediaRendererClient.prototype.stop = function ( callback ) {
+    let params = {
+        InstanceID: this.instanceId
+    };
+
+    return callbackOrPromise(callback, done => {
+        // the following STOPPED state is not the end of media
+        this.positionTracker.expectStop();
+
+        this.callAction('AVTransport', 'Stop', params, err => {
+            if ( err ) {
+                this.positionTracker.cancelStop();
+            }
+
+            done(err);
+        });
+    });
+};
+
+
+/**
+ * Go to the next track of media, e.g. of a playlist or an album.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+MediaRendererClient.prototype.next = function ( callback ) {
+    return this.callAction('AVTransport', 'Next', {InstanceID: this.instanceId}, callback);
+};
+
+
+/**
+ * Go to the previous track of media.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+MediaRendererClient.prototype.previous = function ( callback ) {
+    return this.callAction('AVTransport', 'Previous', {InstanceID: this.instanceId}, callback);
+};
+
+
+/**
+ * Set play mode, e.g. `NORMAL`, `SHUFFLE`, `REPEAT_ONE` or `REPEAT_ALL`.
+ *
+ * @param {string} mode one of `CurrentPlayMode` allowed values of renderer
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+MediaRendererClient.prototype.setPlayMode = function ( mode, callback ) {
+    let params = {
+        InstanceID: this.instanceId,
+        NewPlayMode: mode
+    };
+
+    return this.callAction('AVTransport', 'SetPlayMode', params, callback);
+};
+
+
+/**
+ * Get play mode and record quality mode.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} `playMode` and `recordQualityMode`, null if not supported, if no callback was given
+ */
+MediaRendererClient.prototype.getTransportSettings = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.callAction('AVTransport', 'GetTransportSettings', {InstanceID: this.instanceId}, function ( err, result ) {
+            if ( err ) {
+                return done(err);
+            }
+
+            done(null, {
+                playMode: result.PlayMode,
+                recordQualityMode: result.RecQualityMode === 'NOT_IMPLEMENTED' ? null : result.RecQualityMode
+            });
+        });
+    });
+};
+
+
+/**
+ * Get storage media and record quality modes supported by renderer.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} lists of `playMedia`, `recordMedia` and `recordQualityModes` if no callback was given
+ */
+MediaRendererClient.prototype.getDeviceCapabilities = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.callAction('AVTransport', 'GetDeviceCapabilities', {InstanceID: this.instanceId}, function ( err, result ) {
+            if ( err ) {
+                return done(err);
+            }
+
+            done(null, {
+                playMedia: dataTypes.splitList(result.PlayMedia),
+                recordMedia: dataTypes.splitList(result.RecMedia),
+                recordQualityModes: dataTypes.splitList(result.RecQualityModes)
+            });
+        });
+    });
+};
+
+
+/**
+ * Get transport actions allowed in the current state, e.g. `['Play', 'Stop', 'Seek']`.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} list of action names if no callback was given
+ */
+MediaRendererClient.prototype.getCurrentTransportActions = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.callAction('AVTransport', 'GetCurrentTransportActions', {InstanceID: this.instanceId}, function ( err, result ) {
+            if ( err ) {
+                return done(err);
+            }
+
+            done(null, dataTypes.splitList(result.Actions));
+        });
+    });
+};
+
+
+/**
+ * Check that renderer allows transport action in its current state.
+ *
+ * Renderers without `GetCurrentTransportActions`, failing it with a SOAP fault or reporting nothing allow everything,
+ * only failures to reach renderer are passed on.
+ *
+ * @param {string} actionName action name as in `CurrentTransportActions`, e.g. `Seek`
+ * @param {function} callback method to invoke with a result of operation
+ */
+MediaRendererClient.prototype.checkTransportAction = function ( actionName, callback ) {
+    this.getCurrentTransportActions(( err, actions ) => {
+        let error = null;
+
+        if ( err ) {
+            // many renderers answer with fault 401 or 602, or just HTTP 500, so allowed actions are unknown
+            const unknown = err.code === 'ENOACTION' || err instanceof errors.UPnPError ||
+                (err instanceof errors.ProtocolError && err.statusCode === 500);
+
+            error = unknown ? null : err;
+        } else if ( actions.length && actions.map(action => action.toLowerCase()).indexOf(actionName.toLowerCase()) === -1 ) {
+            // DLNA renderers also report vendor specific flags, e.g. `X_DLNA_SeekTime`, so case is ignored
+            error = new Error(actionName + ' is not allowed in the current transport state');
+            error.code = 'ENOTALLOWED';
+        }
+
+        callback(error);
+    });
+};
+
+
+/**
+ * Get seek units supported by renderer.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} list of units, e.g. `['REL_TIME', 'TRACK_NR']`, empty if renderer doesn't tell, if no callback was given
+ */
+MediaRendererClient.prototype.getSeekUnits = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.getServiceDescription('AVTransport', ( err, desc ) => {
+            if ( err ) {
+                return done(err);
+            }
+
+            const action = desc.actions.Seek,
+                unit = action && action.inputs.find(input => input.name === 'Unit'),
+                variable = unit && desc.stateVariables[unit.relatedStateVariable];
+
+            done(null, variable && variable.allowedValues ? variable.allowedValues.slice() : []);
+        });
+    });
+};
+
+
+/**
+ * Seek to a position.
+ *
+ * Time units (`REL_TIME` and `ABS_TIME`) take seconds, fractions included, or a ready `H+:MM:SS[.F+]` string,
+ * others (e.g. `TRACK_NR` or `ABS_COUNT`) take an integer. `REL_TIME` is used by default,
+ * or `ABS_TIME` if renderer supports only that one.
+ *
+ * @param {number|string} target position in the given unit
+ * @param {Object} [options] seek options
+ * @param {string} [options.unit] seek unit, one of the supported by renderer
+ * @param {boolean} [options.check=true] check `Seek` is in `CurrentTransportActions` before sending
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+MediaRendererClient.prototype.seek = function ( target, options, callback ) {
+    if ( typeof options === 'function' ) {
+        callback = options;
+        options = {};
+    }
+
+    options = options || {};
+
+    return callbackOrPromise(callback, done => {
+        this.getSeekUnits(( err, units ) => {
+            if ( err ) {
+                return done(err);
+            }
+
+            const unit = options.unit || (units.length && units.indexOf('REL_TIME') === -1 && units.indexOf('ABS_TIME') !== -1 ? 'ABS_TIME' : 'REL_TIME');
+
+            let params;
+
+            try {
+                params = {
+                    InstanceID: this.instanceId,
+                    Unit: unit,
+                    Target: formatSeekTarget(unit, target)
+                };
+            } catch ( error ) {
+                return done(error);
+            }
+
+            if ( units.length && units.indexOf(unit) === -1 ) {
+                const error = new Error('Seek unit ' + unit + ' is not supported, use one of ' + units.join(', '));
+
+                error.code = 'EINVAL';
+                error.argument = 'Unit';
+
+                return done(error);
+            }
+
+            const send = () => this.callAction('AVTransport', 'Seek', params, err => {
+                // position is known to be changed
+                this.positionTracker.poll();
+                done(err);
+            });
+
+            if ( options.check === false ) {
+                return send();
+            }
+
+            this.checkTransportAction('Seek', err => {
+                if ( err ) {
+                    return done(err);
+                }
+
+                send();
+            });
+        });
+    });
+};
+
 
 /**
- * Do nothing.
+ * Seek relative to the current position, e.g. `skip(30)` or `skip(-10)`.
  *
- * @return {void}
- */
-const noop = () => {};
-
-
-/**
+ * Target is kept within the current track.
  *
- * @param {string} url XML config address
+ * @param {number} seconds offset from the current position
+ * @param {function} [callback] method to invoke with a result of operation
  *
- * @constructor
+ * @return {Promise|undefined} new position in seconds if no callback was given
  */
-function MediaRendererClient ( url ) {
-    if ( !/\.xml$/.test(url) && url[url.length - 1] !== '/' ) {
-        url += '/';
-    }
-
-    DeviceClient.call(this, url);
-    this.instanceId = 0;
-    this.subscriptions = {};
+MediaRendererClient.prototype.skip = function ( seconds, callback ) {
+    return callbackOrPromise(callback, done => {
+        if ( typeof seconds !== 'number' || !isFinite(seconds) ) {
+            const error = new Error('Offset must be a number of seconds, got ' + seconds);
 
-    // Subscribe / unsubscribe from AVTransport depending
-    // on relevant registered / removed event listeners.
-    let self = this;
-    let refs = 0;
-    let receivedState;
-
-    this.addListener('newListener', function ( eventName, listener ) {
-        if ( MEDIA_EVENTS.indexOf(eventName) === -1 ) {
-            return;
-        }
+            error.code = 'EINVAL';
 
-        if ( refs === 0 ) {
-            receivedState = false;
-            self.subscribe('AVTransport', onstatus);
+            return done(error);
         }
-        refs++;
-    });
 
-    this.addListener('removeListener', function ( eventName, listener ) {
-        if ( MEDIA_EVENTS.indexOf(eventName) === -1 ) {
-            return;
-        }
+        this.callAction('AVTransport', 'GetPositionInfo', {InstanceID: this.instanceId}, ( err, result ) => {
+            if ( err ) {
+                return done(err);
+            }
 
-        refs--;
+            const relative = dataTypes.parseTime(String(result.RelTime)),
+                position = PositionTracker.parsePosition(result),
+                duration = dataTypes.parseTime(String(result.TrackDuration));
 
-        if ( refs === 0 ) {
-            self.unsubscribe('AVTransport', onstatus);
-        }
-    });
+            let target;
 
-    function onstatus ( e ) {
-        self.emit('status', e);
+            if ( position === null ) {
+                const error = new Error('Renderer does not report the current position');
 
-        if ( !receivedState ) {
-            // Starting from here we only want state updates.
-            // As the first received event is the full service state, we ignore it.
-            receivedState = true;
-            return;
-        }
+                error.code = 'ENOPOSITION';
 
-        if ( e.hasOwnProperty('TransportState') ) {
-            switch(e.TransportState) {
-                case 'TRANSITIONING':
-                    self.emit('loading');
-                    break;
-                case 'PLAYING':
-                    self.emit('playing');
-                    break;
-                case 'PAUSED_PLAYBACK':
-                    self.emit('paused');
-                    break;
-                case 'STOPPED':
-                    self.emit('stopped');
-                    break;
+                return done(error);
             }
-        }
-
-        if ( e.hasOwnProperty('TransportPlaySpeed') ) {
-            self.emit('speedChanged', Number(e.TransportPlaySpeed));
-        }
-    }
 
-}
+            target = Math.max(position + seconds, 0);
+            target = duration ? Math.min(target, duration) : target;
 
-util.inherits(MediaRendererClient, DeviceClient);
+            this.seek(target, {unit: relative === null ? 'ABS_TIME' : 'REL_TIME'}, err => done(err, err ? undefined : target));
+        });
+    });
+};
 
 
 /**
- * Create subscription.
+ * Get volume level of a channel.
+ *
+ * @param {string} [channel='Master'] audio channel, e.g. `LF` or `RF`
+ * @param {function} [callback] method to invoke with a result of operation
  *
- * @param {string} serviceId
- * @param {function} callback
+ * @return {Promise|undefined} volume level if no callback was given
  */
-MediaRendererClient.prototype.subscribe = function ( serviceId, callback ) {
-    const self = this;
-
-    if ( this.subscriptions[serviceId] ) {
-        return;
+MediaRendererClient.prototype.getVolume = function ( channel, callback ) {
+    if ( typeof channel === 'function' ) {
+        callback = channel;
+        channel = null;
     }
 
-    const url = this.url.replace(/https?:\/\//, '').replace(/:.+$/, ''),
-        port  = this.url.replace(/^.+:/, '').replace(/\D.*$/, '');
-
-    this.getDeviceDescription(( error, result ) => {
-        if ( result ) {
-            let eventSubURL;
+    let params = {
+        InstanceID: this.instanceId,
+        Channel: channel || 'Master'
+    };
 
-            if ( result.services['urn:upnp-org:serviceId:' + serviceId] ) {
-                eventSubURL = result.services['urn:upnp-org:serviceId:' + serviceId].eventSubURL;
+    return callbackOrPromise(callback, done => {
+        this.callAction('RenderingControl', 'GetVolume', params, function ( err, result ) {
+            if ( err ) {
+                return done(err);
             }
 
-            if ( eventSubURL ) {
-                self.subscriptions[serviceId] = new Subscription(
-                    url,
-                    port,
-                    result.services['urn:upnp-org:serviceId:' + serviceId].eventSubURL
-                ).on('message', callback);
-            } else {
-                callback('Subscription to ' + serviceId + ' failed!');
-            }
-        }
+            done(null, result.CurrentVolume);
+        });
     });
 };
 
 
 /**
- * Unsubscribe from an existing subscription.
+ * Set volume on renderer.
+ *
+ * @param {number} volume
+ * @param {string} [channel='Master'] audio channel, e.g. `LF` or `RF`
+ * @param {function} [callback] method to invoke with a result of operation
  *
- * @param {string} serviceId service name
+ * @return {Promise|undefined} completion of operation if no callback was given
  */
-MediaRendererClient.prototype.unsubscribe = function ( serviceId ) {
-    this.subscriptions[serviceId].unsubscribe();
-    delete this.subscriptions[serviceId];
-};
+MediaRendererClient.prototype.setVolume = function ( volume, channel, callback ) {
+    if ( typeof channel === 'function' ) {
+        callback = channel;
+        channel = null;
+    }
 
+    let params = {
+        InstanceID: this.instanceId,
+        Channel: channel || 'Master',
+        DesiredVolume: volume
+    };
 
-/**
- * Set public name for control point.
- *
- * @param {string} name public name for control point
- */
-MediaRendererClient.prototype.setControlPointName = function ( name ) {
-    this.controlPointName = name;
+    this.getVolume.volumeLevel = 'volumeLevel' in this.getVolume ? this.getVolume.volumeLevel : volume;
+
+    return this.callAction('RenderingControl', 'SetVolume', params, callback);
 };
 
 
 /**
+ * Get volume of a channel in decibels.
  *
- * @param {function} callback method to invoke with a result of operation
+ * @param {string} [channel='Master'] audio channel, e.g. `LF` or `RF`
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} volume in dB if no callback was given
  */
-MediaRendererClient.prototype.getSupportedProtocols = function ( callback ) {
-    this.callAction('ConnectionManager', 'GetProtocolInfo', {}, function ( err, result ) {
-        if ( err ) {
-            return callback(err);
-        }
+MediaRendererClient.prototype.getVolumeDB = function ( channel, callback ) {
+    if ( typeof channel === 'function' ) {
+        callback = channel;
+        channel = null;
+    }
 
-        // Here we leave off the `Source` field as we're hopefuly dealing with a Sink-only device.
-        let lines = result.Sink.split(',');
+    let params = {
+        InstanceID: this.instanceId,
+        Channel: channel || 'Master'
+    };
 
-        let protocols = lines.map(line => {
-            let tmp = line.split(':');
+    return callbackOrPromise(callback, done => {
+        this.callAction('RenderingControl', 'GetVolumeDB', params, function ( err, result ) {
+            if ( err ) {
+                return done(err);
+            }
 
-            return {
-                protocol: tmp[0],
-                network: tmp[1],
-                contentFormat: tmp[2],
-                additionalInfo: tmp[3]
-            };
+            done(null, result.CurrentVolume / VOLUME_DB_UNITS);
         });
-
-        callback(null, protocols);
     });
 };
 
 
 /**
+ * Set volume of a channel in decibels.
  *
- * @param {function} callback method to invoke with a result of operation
+ * @param {number} volume volume in dB, precision is 1/256 dB
+ * @param {string} [channel='Master'] audio channel, e.g. `LF` or `RF`
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
  */
-MediaRendererClient.prototype.getPosition = function ( callback ) {
-    this.callAction('AVTransport', 'GetPositionInfo', {InstanceID: this.instanceId}, function ( error, result ) {
-        callback = callback || noop;
-
-        if ( error ) {
-            return callback(err);
-        }
+MediaRendererClient.prototype.setVolumeDB = function ( volume, channel, callback ) {
+    if ( typeof channel === 'function' ) {
+        callback = channel;
+        channel = null;
+    }
 
-        let str = result.AbsTime !== 'NOT_IMPLEMENTED' ? result.AbsTime : result.RelTime;
+    let params = {
+        InstanceID: this.instanceId,
+        Channel: channel || 'Master',
+        DesiredVolume: Math.round(volume * VOLUME_DB_UNITS)
+    };
 
-        callback(null, parseTime(str));
-    });
+    return this.callAction('RenderingControl', 'SetVolumeDB', params, callback);
 };
 
 
 /**
+ * Get range of volume of a channel in decibels.
  *
- * @param {function} callback method to invoke with a result of operation
+ * @param {string} [channel='Master'] audio channel, e.g. `LF` or `RF`
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} `{min, max}` volume in dB if no callback was given
  */
-MediaRendererClient.prototype.getDuration = function ( callback ) {
-    this.callAction('AVTransport', 'GetMediaInfo', {InstanceID: this.instanceId}, function ( err, result ) {
-        if ( err ) {
-            return callback(err);
-        }
+MediaRendererClient.prototype.getVolumeDBRange = function ( channel, callback ) {
+    if ( typeof channel === 'function' ) {
+        callback = channel;
+        channel = null;
+    }
+
+    let params = {
+        InstanceID: this.instanceId,
+        Channel: channel || 'Master'
+    };
+
+    return callbackOrPromise(callback, done => {
+        this.callAction('RenderingControl', 'GetVolumeDBRange', params, function ( err, result ) {
+            if ( err ) {
+                return done(err);
+            }
 
-        callback(null, parseTime(result.MediaDuration));
+            done(null, {
+                min: result.MinValue / VOLUME_DB_UNITS,
+                max: result.MaxValue / VOLUME_DB_UNITS
+            });
+        });
     });
 };
 
 
 /**
+ * Get mute state of a channel.
  *
- * @param {string} url
- * @param {Object} options
- * @param {function} callback method to invoke with a result of operation
+ * @param {string} [channel='Master'] audio channel, e.g. `LF` or `RF`
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} mute state if no callback was given
  */
-MediaRendererClient.prototype.setUri = function ( url, options, callback ) {
-    let self = this;
-
-    if ( typeof options === 'function' ) {
-        callback = options;
-        options = {};
+MediaRendererClient.prototype.getMute = function ( channel, callback ) {
+    if ( typeof channel === 'function' ) {
+        callback = channel;
+        channel = null;
     }
 
-    let contentType = options.contentType || 'video/mpeg'; // Default to something generic
-    let protocolInfo = 'http-get:*:' + contentType + ':*';
-
-    let metadata = options.metadata || {};
-    metadata.url = url;
-    metadata.protocolInfo = protocolInfo;
-
     let params = {
-        RemoteProtocolInfo: protocolInfo,
-        PeerConnectionManager: null,
-        PeerConnectionID: -1,
-        Direction: 'Input'
+        InstanceID: this.instanceId,
+        Channel: channel || 'Master'
     };
 
-    this.callAction('ConnectionManager', 'PrepareForConnection', params, function ( err, result ) {
-        if ( err ) {
-            if ( err.code !== 'ENOACTION' ) {
-                return callback(err);
+    return callbackOrPromise(callback, done => {
+        this.callAction('RenderingControl', 'GetMute', params, function ( err, result ) {
+            if ( err ) {
+                return done(err);
             }
 
-            // If PrepareForConnection is not implemented, we keep the default (0) InstanceID
-        } else {
-            self.instanceId = result.AVTransportID;
-        }
+            done(null, result.CurrentMute);
+        });
+    });
+};
 
-        let params = {
-            InstanceID: self.instanceId,
-            CurrentURI: url,
-            CurrentURIMetaData: buildMetadata(metadata)
-        };
 
-        self.callAction('AVTransport', 'SetAVTransportURI', params, function ( err ) {
+/**
+ *
+ * @param {Object} state
+ * @param {boolean} state.mute
+ * @param {string} [state.channel='Master'] audio channel, e.g. `LF` or `RF`
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+MediaRendererClient.prototype.setMute = function ( state, callback ) {
+    let params = {
+        InstanceID: this.instanceId,
+        Channel: state.channel || 'Master',
+        DesiredMute: state.mute
+    };
+
+    return this.callAction('RenderingControl', 'SetMute', params, callback);
+};
+
+
+/**
+ * Get names of presets available on renderer.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} list of preset names if no callback was given
+ */
+MediaRendererClient.prototype.listPresets = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.callAction('RenderingControl', 'ListPresets', {InstanceID: this.instanceId}, function ( err, result ) {
             if ( err ) {
-                return callback(err);
+                return done(err);
             }
 
-            if ( options.autoplay ) {
-                self.play(callback);
-                return;
-            }
-            callback();
+            done(null, (result.CurrentPresetNameList || '').split(',').filter(name => name));
         });
     });
 };
 
 
 /**
+ * Restore rendering settings from a preset, e.g. `FactoryDefaults`.
  *
- * @param {function} callback method to invoke with a result of operation
+ * @param {string} name preset name
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
  */
-MediaRendererClient.prototype.play = function ( callback ) {
+MediaRendererClient.prototype.selectPreset = function ( name, callback ) {
     let params = {
         InstanceID: this.instanceId,
-        Speed: 1,
+        PresetName: name
     };
 
-    this.callAction('AVTransport', 'Play', params, callback || noop);
+    return this.callAction('RenderingControl', 'SelectPreset', params, callback);
 };
 
 
 /**
+ * Get value of a picture control.
  *
- * @param {function} callback method to invoke with a result of operation
+ * @param {string} name control name: `Brightness`, `Contrast`, `Sharpness` or another one supported by renderer
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} control value if no callback was given
  */
-MediaRendererClient.prototype.pause = function ( callback ) {
-    let params = {
-        InstanceID: this.instanceId
-    };
+MediaRendererClient.prototype.getPictureControl = function ( name, callback ) {
+    return callbackOrPromise(callback, done => {
+        this.callAction('RenderingControl', 'Get' + name, {InstanceID: this.instanceId}, function ( err, result ) {
+            if ( err ) {
+                return done(err);
+            }
 
-    this.callAction('AVTransport', 'Pause', params, callback || noop);
+            done(null, result['Current' + name]);
+        });
+    });
 };
 
 
 /**
+ * Set value of a picture control.
  *
- * @param {function} callback method to invoke with a result of operation
+ * @param {string} name control name: `Brightness`, `Contrast`, `Sharpness` or another one supported by renderer
+ * @param {number} value new value
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
  */
-MediaRendererClient.prototype.stop = function ( callback ) {
+MediaRendererClient.prototype.setPictureControl = function ( name, value, callback ) {
     let params = {
         InstanceID: this.instanceId
     };
 
-    this.callAction('AVTransport', 'Stop', params, callback || noop);
+    params['Desired' + name] = value;
+
+    return this.callAction('RenderingControl', 'Set' + name, params, callback);
 };
 
 
 /**
  *
- * @param {number} seconds
- * @param {function} callback method to invoke with a result of operation
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} brightness if no callback was given
  */
-MediaRendererClient.prototype.seek = function ( seconds, callback ) {
-    let params = {
-        InstanceID: this.instanceId,
-        Unit: 'REL_TIME',
-        Target: !isNaN(seconds) && isFinite(seconds) && seconds > 0 ? formatTime(seconds) : formatTime(0)
-    };
-
-    this.callAction('AVTransport', 'Seek', params, callback || noop);
+MediaRendererClient.prototype.getBrightness = function ( callback ) {
+    return this.getPictureControl('Brightness', callback);
 };
 
 
 /**
  *
- * @param {function} callback method to invoke with a result of operation
+ * @param {number} value
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
  */
-MediaRendererClient.prototype.getVolume = function ( callback ) {
-    this.callAction('RenderingControl', 'GetVolume', {InstanceID: this.instanceId, Channel: 'Master'}, function ( err, result ) {
-        if ( err ) {
-            return callback(err);
-        }
-
-        callback(null, parseInt(result.CurrentVolume));
-    });
+MediaRendererClient.prototype.setBrightness = function ( value, callback ) {
+    return this.setPictureControl('Brightness', value, callback);
 };
 
 
 /**
- * Set volume on renderer.
  *
- * @param {number} volume
- * @param {function} callback method to invoke with a result of operation
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} contrast if no callback was given
  */
-MediaRendererClient.prototype.setVolume = function ( volume, callback ) {
-    let params = {
-        InstanceID: this.instanceId,
-        Channel: 'Master',
-        DesiredVolume: volume
-    };
+MediaRendererClient.prototype.getContrast = function ( callback ) {
+    return this.getPictureControl('Contrast', callback);
+};
 
-    this.getVolume.volumeLevel = 'volumeLevel' in this.getVolume ? this.getVolume.volumeLevel : volume;
 
-    this.callAction('RenderingControl', 'SetVolume', params, callback || noop);
+/**
+ *
+ * @param {number} value
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+MediaRendererClient.prototype.setContrast = function ( value, callback ) {
+    return this.setPictureControl('Contrast', value, callback);
 };
 
 
 /**
  *
- * @param {Object} state
- * @param {boolean} state.mute
- * @param {function} callback method to invoke with a result of operation
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} sharpness if no callback was given
  */
-MediaRendererClient.prototype.setMute = function ( state, callback ) {
-    let params = {
-        InstanceID: this.instanceId,
-        Channel: 'Master',
-        DesiredMute: state.mute
-    };
+MediaRendererClient.prototype.getSharpness = function ( callback ) {
+    return this.getPictureControl('Sharpness', callback);
+};
 
-    this.callAction('RenderingControl', 'SetMute', params, callback || noop);
+
+/**
+ *
+ * @param {number} value
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+MediaRendererClient.prototype.setSharpness = function ( value, callback ) {
+    return this.setPictureControl('Sharpness', value, callback);
 };
 
 
 /**
  * This action returns information associated with the current media of the specified instance; it has no effect on state.
  *
- * @param {function} callback method to invoke with a result of operation
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} media information if no callback was given
  */
 MediaRendererClient.prototype.getMediaInfo = function ( callback ) {
-    this.callAction('AVTransport', 'GetMediaInfo', {InstanceID: this.instanceId}, function ( err, result ) {
-        if ( err ) {
-            return callback(err);
-        }
+    return this.callAction('AVTransport', 'GetMediaInfo', {InstanceID: this.instanceId}, callback);
+};
+
+
+/**
+ * Get metadata of the current track.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} DIDL-Lite item description, null if renderer doesn't know it, if no callback was given
+ */
+MediaRendererClient.prototype.getTrackMetadata = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.callAction('AVTransport', 'GetPositionInfo', {InstanceID: this.instanceId}, function ( err, result ) {
+            if ( err ) {
+                return done(err);
+            }
 
-        callback(null, result);
+            done(null, didl.parseItem(result.TrackMetaData));
+        });
     });
 };
 
@@ -417,142 +1512,156 @@ MediaRendererClient.prototype.getMediaInfo = function ( callback ) {
 /**
  * This action returns information associated with the current position of the transport of the specified instance; it has no effect on state.
  *
- * @param {function} callback method to invoke with a result of operation
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} position information if no callback was given
  */
 MediaRendererClient.prototype.getPositionInfo = function ( callback ) {
-    this.callAction('AVTransport', 'GetPositionInfo', {InstanceID: this.instanceId}, function ( err, result ) {
-        if ( err ) {
-            return callback(err);
-        }
-
-        callback(null, result);
-    });
+    return this.callAction('AVTransport', 'GetPositionInfo', {InstanceID: this.instanceId}, callback);
 };
 
 
 /**
  * This action returns information associated with the current transport state of the specified instance; it has no effect on state.
  *
- * @param {function} callback method to invoke with a result of operation
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} transport information if no callback was given
  */
 MediaRendererClient.prototype.getTransportInfo = function ( callback ) {
-    this.callAction('AVTransport', 'GetTransportInfo', {InstanceID: this.instanceId}, function ( err, result ) {
-        if ( err ) {
-            return callback(err);
-        }
-
-        callback(null, result);
-    });
+    return this.callAction('AVTransport', 'GetTransportInfo', {InstanceID: this.instanceId}, callback);
 };
 
 
 /**
+ * Pick the best resource renderer is able to play.
  *
- * @param {number} seconds
+ * @param {Array} resources DIDL-Lite item resources
+ * @param {Array} sinks parsed renderer sink protocolInfo entries, empty if not known
  *
- * @return {string}
+ * @return {Object|null} resource, null if there is no suitable one
  */
-function formatTime ( seconds ) {
-    let h = 0;
-    let m = 0;
-    let s = 0;
+function chooseResource ( resources, sinks ) {
+    const candidates = resources
+        .map(( resource, index ) => {
+            const info = protocols.parse(resource.protocolInfo || 'http-get:*:*:*');
 
-    h = Math.floor((seconds - (h * 0)    - (m * 0 )) / 3600);
-    m = Math.floor((seconds - (h * 3600) - (m * 0 )) / 60);
-    s =            (seconds - (h * 3600) - (m * 60));
-
-    function pad ( v ) {
-        return (v < 10) ? '0' + v : v;
-    }
+            return {
+                resource: resource,
+                index: index,
+                playable: info.protocol === 'http-get' && Boolean(resource.url),
+                // conversion indicator is set by servers for transcoded resources
+                original: info.params['DLNA.ORG_CI'] !== '1',
+                // without sinks every resource is a guess
+                score: sinks.length ? protocols.score(sinks, info.contentFormat, info.params['DLNA.ORG_PN']) : 1
+            };
+        })
+        .filter(candidate => candidate.playable && candidate.score > 0)
+        .sort(( one, other ) => (other.original - one.original) || (other.score - one.score) || (one.index - other.index));
 
-    return [pad(h), pad(m), pad(s)].join(':');
+    return candidates.length ? candidates[0].resource : null;
 }
 
 
 /**
+ * Format play speed as `TransportPlaySpeed` value.
  *
- * @param time
+ * @param {number|string} speed play speed, e.g. `2` or `0.5`
  *
- * @return {*}
+ * @return {string} play speed, e.g. `2` or `1/2`
  */
-function parseTime ( time ) {
-    let parts = time.split(':').map(Number);
+function formatSpeed ( speed ) {
+    if ( typeof speed === 'number' && !Number.isInteger(speed) && Number.isInteger(1 / speed) ) {
+        return (speed < 0 ? '-' : '') + '1/' + Math.abs(1 / speed);
+    }
 
-    return parts[0] * 3600 + parts[1] * 60 + parts[2];
+    return String(speed);
 }
 
 
 /**
+ * Build `Seek` target for the given unit.
+ *
+ * @param {string} unit seek unit, e.g. `REL_TIME` or `TRACK_NR`
+ * @param {number|string} target position in the given unit
  *
- * @param metadata
+ * @throws {Error} `EINVAL` if target doesn't fit the unit
+ *
+ * @return {string} target to send
  */
-function buildMetadata ( metadata ) {
-    let didl = et.Element('DIDL-Lite');
-
-    didl.set('xmlns', 'urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/');
-    didl.set('xmlns:dc', 'http://purl.org/dc/elements/1.1/');
-    didl.set('xmlns:upnp', 'urn:schemas-upnp-org:metadata-1-0/upnp/');
-    didl.set('xmlns:sec', 'http://www.sec.co.kr/');
+function formatSeekTarget ( unit, target ) {
+    let error = null;
 
-    let item = et.SubElement(didl, 'item');
-
-    item.set('id', 0);
-    item.set('parentID', -1);
-    item.set('restricted', false);
-
-    let OBJECT_CLASSES = {
-        'audio': 'object.item.audioItem.musicTrack',
-        'video': 'object.item.videoItem.movie',
-        'image': 'object.item.imageItem.photo'
-    };
+    if ( TIME_SEEK_UNITS.indexOf(unit) !== -1 ) {
+        if ( typeof target === 'string' && dataTypes.parseTime(target) !== null ) {
+            return target.trim();
+        }
 
-    if ( metadata.type ) {
-        let upnpClass = et.SubElement(item, 'upnp:class');
+        if ( typeof target === 'number' && isFinite(target) && target >= 0 ) {
+            return dataTypes.formatTime(target);
+        }
 
-        upnpClass.text = OBJECT_CLASSES[metadata.type];
+        error = new Error('Target must be a non-negative number of seconds or a time string, got ' + target);
+    } else if ( String(target).trim() !== '' && Number.isInteger(Number(target)) ) {
+        return String(Number(target));
+    } else {
+        error = new Error('Target must be an integer for ' + unit + ', got ' + target);
     }
 
-    if ( metadata.title ) {
-        let title = et.SubElement(item, 'dc:title');
-
-        title.text = metadata.title;
-    }
+    error.code = 'EINVAL';
+    error.argument = 'Target';
 
-    if ( metadata.creator ) {
-        let creator = et.SubElement(item, 'dc:creator');
+    throw error;
+}
 
-        creator.text = metadata.creator;
-    }
 
-    if ( metadata.url && metadata.protocolInfo ) {
-        let res = et.SubElement(item, 'res');
+/**
+ * Invoke callback for each channel value of a channel specific state variable in event.
+ *
+ * @param {Object} e service event
+ * @param {string} name state variable name, e.g. `Volume`
+ * @param {function} callback method to invoke with value and channel name
+ */
+function eachChannel ( e, name, callback ) {
+    const channels = e.channels && e.channels[name];
 
-        res.set('protocolInfo', metadata.protocolInfo);
-        res.text = metadata.url;
+    if ( channels ) {
+        Object.keys(channels).forEach(channel => callback(channels[channel], channel));
+    } else if ( e.hasOwnProperty(name) ) {
+        callback(e[name], 'Master');
     }
+}
 
-    if ( metadata.subtitlesUrl ) {
-        let captionInfo = et.SubElement(item, 'sec:CaptionInfo');
 
-        captionInfo.set('sec:type', 'srt');
-        captionInfo.text = metadata.subtitlesUrl;
+// SSDP discovery of renderers
+MediaRendererClient.Discovery = Discovery;
 
-        let captionInfoEx = et.SubElement(item, 'sec:CaptionInfoEx');
+// playlist management
+MediaRendererClient.PlaybackQueue = PlaybackQueue;
 
-        captionInfoEx.set('sec:type', 'srt');
-        captionInfoEx.text = metadata.subtitlesUrl;
+// local media serving
+MediaRendererClient.FileServer = FileServer;
 
-        // Create a second `res` for the subtitles
-        let res = et.SubElement(item, 'res');
+// ContentDirectory browsing of media servers
+MediaRendererClient.MediaServerClient = MediaServerClient;
 
-        res.set('protocolInfo', 'http-get:*:text/srt:*');
-        res.text = metadata.subtitlesUrl;
-    }
+// synchronised playback on several renderers
+MediaRendererClient.RendererGroup = RendererGroup;
 
-    let doc = new et.ElementTree(didl);
+// REST and WebSocket access for browsers
+MediaRendererClient.Gateway = Gateway;
 
-    return doc.write({ xml_declaration: false });
-}
+// DLNA protocolInfo helpers
+MediaRendererClient.protocolInfo = protocols;
+
+// DIDL-Lite metadata helpers
+MediaRendererClient.didl = didl;
 
+// error classes to tell failures apart
+MediaRendererClient.UPnPError = errors.UPnPError;
+MediaRendererClient.TransportError = errors.TransportError;
+MediaRendererClient.NetworkError = errors.NetworkError;
+MediaRendererClient.ProtocolError = errors.ProtocolError;
+MediaRendererClient.AbortError = errors.AbortError;
 
 module.exports = MediaRendererClient;
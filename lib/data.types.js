@@ -0,0 +1,252 @@
+/**
+ * Conversion between JavaScript values and UPnP state variable values.
+ */
+
+'use strict';
+
+const INTEGER_RANGES = {
+        ui1: [0, 255],
+        ui2: [0, 65535],
+        ui4: [0, 4294967295],
+        ui8: [0, Number.MAX_SAFE_INTEGER],
+        i1: [-128, 127],
+        i2: [-32768, 32767],
+        i4: [-2147483648, 2147483647],
+        i8: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+        int: [-2147483648, 2147483647]
+    },
+    FLOAT_TYPES = ['r4', 'r8', 'number', 'float', 'fixed.14.4'],
+    TRUE_VALUES = ['1', 'true', 'yes'],
+    FALSE_VALUES = ['0', 'false', 'no'];
+
+
+/**
+ * Format seconds as `H+:MM:SS[.F+]`, fractions are kept up to milliseconds.
+ *
+ * @param {number} seconds duration
+ *
+ * @return {string} time string
+ */
+function formatTime ( seconds ) {
+    const pad = value => (value < 10 ? '0' : '') + value,
+        millis = Math.round(seconds * 1000),
+        whole = Math.floor(millis / 1000),
+        fraction = String(millis % 1000 + 1000).slice(1).replace(/0+$/, '');
+
+    return Math.floor(whole / 3600) + ':' + pad(Math.floor(whole / 60) % 60) + ':' + pad(whole % 60) +
+        (fraction ? '.' + fraction : '');
+}
+
+
+/**
+ * Parse `H+:MM:SS[.F+]` time string, also with a fraction as `.F0/F1`.
+ *
+ * @param {string} text time string
+ *
+ * @return {number|null} seconds, null if text is not a time
+ */
+function parseTime ( text ) {
+    const match = /^(\d+):(\d{1,2}):(\d{1,2})(?:\.(\d+)(?:\/(\d+))?)?$/.exec((text || '').trim());
+
+    let fraction = 0;
+
+    if ( !match ) {
+        return null;
+    }
+
+    if ( match[5] ) {
+        fraction = Number(match[5]) ? Number(match[4]) / Number(match[5]) : 0;
+    } else if ( match[4] ) {
+        fraction = Number('0.' + match[4]);
+    }
+
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) + fraction;
+}
+
+
+/**
+ * Build argument error.
+ *
+ * @param {string} code error code
+ * @param {string} name argument name
+ * @param {string} message error description
+ *
+ * @return {Error} error with `code` and `argument` fields
+ */
+function argumentError ( code, name, message ) {
+    const error = new Error(message);
+
+    error.code = code;
+    error.argument = name;
+
+    return error;
+}
+
+
+/**
+ * Convert value to its wire form according to state variable type and check it against allowed values.
+ *
+ * Numbers and numeric strings are accepted for numeric types, booleans, `0`/`1` and `true`/`false` for boolean,
+ * seconds or a time string for `time`.
+ *
+ * @param {Object} variable state variable description
+ * @param {string} name argument name for error messages
+ * @param {*} value argument value
+ *
+ * @throws {Error} `EINVAL` if value doesn't fit the type or allowed values, `ERANGE` if it's out of allowed range
+ *
+ * @return {string} value to send
+ */
+function marshal ( variable, name, value ) {
+    const type = (variable.dataType || 'string').toLowerCase(),
+        range = variable.allowedValueRange;
+
+    let text;
+
+    if ( value === null || value === undefined ) {
+        return '';
+    }
+
+    if ( INTEGER_RANGES[type] || FLOAT_TYPES.indexOf(type) !== -1 ) {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value,
+            limits = INTEGER_RANGES[type];
+
+        if ( typeof number !== 'number' || !isFinite(number) || (limits && Math.floor(number) !== number) ) {
+            throw argumentError('EINVAL', name, name + ' must be ' + (limits ? 'an integer' : 'a number') + ', got ' + value);
+        }
+
+        if ( limits && (number < limits[0] || number > limits[1]) ) {
+            throw argumentError('ERANGE', name, name + ' does not fit ' + type + ', got ' + value);
+        }
+
+        if ( range && (number < range.minimum || number > range.maximum) ) {
+            throw argumentError('ERANGE', name, name + ' must be in range ' + range.minimum + '..' + range.maximum + ', got ' + value);
+        }
+
+        text = String(number);
+    } else if ( type === 'boolean' ) {
+        const lower = String(value).toLowerCase();
+
+        if ( TRUE_VALUES.indexOf(lower) !== -1 ) {
+            text = '1';
+        } else if ( FALSE_VALUES.indexOf(lower) !== -1 ) {
+            text = '0';
+        } else {
+            throw argumentError('EINVAL', name, name + ' must be a boolean, got ' + value);
+        }
+    } else if ( type === 'time' && typeof value === 'number' ) {
+        if ( !isFinite(value) || value < 0 ) {
+            throw argumentError('EINVAL', name, name + ' must be a non-negative number of seconds, got ' + value);
+        }
+
+        text = formatTime(value);
+    } else {
+        text = String(value);
+    }
+
+    if ( variable.allowedValues && variable.allowedValues.length && variable.allowedValues.indexOf(text) === -1 ) {
+        throw argumentError('EINVAL', name, name + ' must be one of ' + variable.allowedValues.join(', ') + ', got ' + value);
+    }
+
+    return text;
+}
+
+
+/**
+ * Convert received value according to state variable type.
+ *
+ * Numeric types give numbers, `boolean` gives booleans, `time` gives seconds,
+ * values not matching their type (e.g. `NOT_IMPLEMENTED`) are kept as they are.
+ *
+ * @param {Object} variable state variable description
+ * @param {string} text received value
+ *
+ * @return {*} converted value
+ */
+function coerce ( variable, text ) {
+    const type = (variable.dataType || 'string').toLowerCase();
+
+    if ( typeof text !== 'string' ) {
+        return text;
+    }
+
+    if ( INTEGER_RANGES[type] || FLOAT_TYPES.indexOf(type) !== -1 ) {
+        const number = Number(text);
+
+        return text.trim() === '' || !isFinite(number) ? text : number;
+    }
+
+    if ( type === 'boolean' ) {
+        const lower = text.trim().toLowerCase();
+
+        if ( TRUE_VALUES.indexOf(lower) !== -1 ) {
+            return true;
+        }
+
+        return FALSE_VALUES.indexOf(lower) !== -1 ? false : text;
+    }
+
+    if ( type === 'time' ) {
+        const seconds = parseTime(text);
+
+        return seconds === null ? text : seconds;
+    }
+
+    return text;
+}
+
+
+/**
+ * Split comma separated list of a state variable, e.g. `CurrentTransportActions` or `SearchCapabilities`.
+ *
+ * @param {string} [text] list, e.g. `Play,Stop,Seek`
+ *
+ * @return {Array} list items, empty for `NOT_IMPLEMENTED`
+ */
+function splitList ( text ) {
+    return String(text || '').split(',')
+        .map(item => item.trim())
+        .filter(item => item && item !== 'NOT_IMPLEMENTED');
+}
+
+
+/**
+ * Convert state variable values of an event in place.
+ *
+ * @param {Object} desc parsed service description
+ * @param {Object} variables event as a map of state variable names to values, with optional per channel values
+ *
+ * @return {Object} the same event
+ */
+function coerceVariables ( desc, variables ) {
+    Object.keys(variables).forEach(name => {
+        const variable = desc.stateVariables[name];
+
+        if ( variable ) {
+            variables[name] = coerce(variable, variables[name]);
+        }
+    });
+
+    Object.keys(variables.channels || {}).forEach(name => {
+        const variable = desc.stateVariables[name],
+            channels = variables.channels[name];
+
+        if ( variable ) {
+            Object.keys(channels).forEach(channel => {
+                channels[channel] = coerce(variable, channels[channel]);
+            });
+        }
+    });
+
+    return variables;
+}
+
+
+module.exports = {
+    marshal: marshal,
+    coerce: coerce,
+    coerceVariables: coerceVariables,
+    formatTime: formatTime,
+    parseTime: parseTime,
+    splitList: splitList
+};
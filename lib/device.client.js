@@ -3,10 +3,16 @@ var util = require('util');
 var EventEmitter = require('events').EventEmitter;
 var et = require('elementtree');
 var parseUrl = require('url').parse;
+var resolveUrl = require('url').resolve;
 var os = require('os');
 var concat = require('concat-stream');
-var address = require('network-address');
 var debug = require('debug')('upnp-device-client');
+var callbackOrPromise = require('./promise');
+var Subscription = require('./subscriber');
+var createServiceProxy = require('./service.proxy');
+var dataTypes = require('./data.types');
+var errors = require('./errors');
+var Scheduler = require('./scheduler');
 //var pkg = require('./package.json');
 
 var OS_VERSION = [os.platform(), os.release()].join('/');
@@ -15,17 +21,46 @@ var PACKAGE_VERSION = ['upnp-av-cp', '0.0.1'].join('/');
 
 var SUBSCRIPTION_TIMEOUT = 300;
 
+// Defaults of request options
+var DEFAULT_OPTIONS = {
+    // Milliseconds to wait for the whole response
+    timeout: 10000,
+    // Attempts to repeat a failed idempotent request
+    retries: 2,
+    // Delay before the first repeat, doubled for each next one
+    retryDelay: 500,
+    // Actions sent to device at once, many renderers can't handle more than one
+    concurrency: 1,
+    // Reuse connections instead of `Connection: close`
+    keepAlive: false,
+    // Setters superseded by a later call with the same values of the listed arguments
+    // are not sent at all if still waiting in queue
+    coalesce: {
+        SetVolume: ['InstanceID', 'Channel'],
+        SetVolumeDB: ['InstanceID', 'Channel'],
+        SetMute: ['InstanceID', 'Channel'],
+        SetBrightness: ['InstanceID'],
+        SetContrast: ['InstanceID'],
+        SetSharpness: ['InstanceID'],
+        Seek: ['InstanceID', 'Unit']
+    }
+};
 
-function DeviceClient(url) {
+
+function DeviceClient(url, options) {
     EventEmitter.call(this);
 
     var controlPointName = [OS_VERSION, 'UPnP/1.1', PACKAGE_VERSION].join(' ');
 
     this.url = url;
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+    this.scheduler = new Scheduler({concurrency: this.options.concurrency});
+    this.agent = this.options.keepAlive
+        ? new http.Agent({keepAlive: true, maxSockets: this.options.concurrency})
+        : null;
+    this.rootDescription = null;
     this.deviceDescription = null;
     this.serviceDescriptions = {};
-    this.server = null;
-    this.listening = false;
     this.subscriptions = {};
 
     Object.defineProperty(this, 'controlPointName', {
@@ -41,148 +76,277 @@ function DeviceClient(url) {
 util.inherits(DeviceClient, EventEmitter);
 
 
-DeviceClient.prototype.getDeviceDescription = function(callback) {
+// Device to bind to unless `device` option is given, the root device if not found
+DeviceClient.prototype.defaultDevice = null;
+
+
+// Options override the client ones for this call only: `timeout`, `retries`, `retryDelay` and `signal`
+DeviceClient.prototype.getDeviceDescription = function(options, callback) {
     var self = this;
 
-    // Use cache if available
-    if(this.deviceDescription) {
-        process.nextTick(function() {
-            callback(null, self.deviceDescription);
-        });
-        return;
+    if(typeof options === 'function') {
+        callback = options;
+        options = null;
     }
 
-    debug('fetch device description');
-    fetch(this.url, function(err, body) {
-        if(err) return callback(err);
-        var desc = parseDeviceDescription(body, self.url);
-        self.deviceDescription = desc // Store in cache for next call
-        callback(null, desc);
+    var settings = Object.assign({}, this.options, options);
+
+    return callbackOrPromise(callback, function(callback) {
+        // Use cache if available
+        if(self.deviceDescription) {
+            process.nextTick(function() {
+                callback(null, self.deviceDescription);
+            });
+            return;
+        }
+
+        debug('fetch device description');
+        fetch(self.url, settings, function(err, body) {
+            if(err) return callback(err);
+            try {
+                var root = parseDeviceDescription(body, self.url);
+            } catch(err) {
+                return callback(new errors.ProtocolError('Malformed device description', {url: self.url, cause: err}));
+            }
+
+            // Bind to an embedded device if asked, e.g. MediaRenderer of an AV receiver,
+            // the device preferred by client type is optional
+            var desc = self.options.device
+                ? findDevice(root, self.options.device)
+                : (self.defaultDevice && findDevice(root, self.defaultDevice)) || root;
+            if(!desc) {
+                var err = new Error('Device ' + self.options.device + ' not found in description');
+                err.code = 'ENODEVICE';
+                return callback(err);
+            }
+
+            self.rootDescription = root;
+            self.deviceDescription = desc // Store in cache for next call
+            callback(null, desc);
+        });
     });
 };
 
 
-DeviceClient.prototype.getServiceDescription = function(serviceId, callback) {
+// Options are the same as for `getDeviceDescription`
+DeviceClient.prototype.getServiceDescription = function(serviceId, options, callback) {
     var self = this;
 
     serviceId = resolveService(serviceId);
 
-    this.getDeviceDescription(function(err, desc) {
-        if(err) return callback(err);
-
-        var service = desc.services[serviceId];
-        if(!service) {
-            var err = new Error('Service ' + serviceId + ' not provided by device');
-            err.code = 'ENOSERVICE';
-            return callback(err);
-        }
+    if(typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
 
-        // Use cache if available
-        if(self.serviceDescriptions[serviceId]) {
-            return callback(null, self.serviceDescriptions[serviceId]);
-        }
+    var settings = Object.assign({}, this.options, options);
 
-        debug('fetch service description (%s)', serviceId);
-        fetch(service.SCPDURL, function(err, body) {
+    return callbackOrPromise(callback, function(callback) {
+        self.getDeviceDescription(settings, function(err, desc) {
             if(err) return callback(err);
-            var desc = parseServiceDescription(body);
-            self.serviceDescriptions[serviceId] = desc; // Store in cache for next call
-            callback(null, desc);
+
+            var service = desc.services[serviceId];
+            if(!service) {
+                var err = new Error('Service ' + serviceId + ' not provided by device');
+                err.code = 'ENOSERVICE';
+                return callback(err);
+            }
+
+            // Use cache if available
+            if(self.serviceDescriptions[serviceId]) {
+                return callback(null, self.serviceDescriptions[serviceId]);
+            }
+
+            debug('fetch service description (%s)', serviceId);
+            fetch(service.SCPDURL, settings, function(err, body) {
+                if(err) return callback(err);
+                try {
+                    var desc = parseServiceDescription(body);
+                } catch(err) {
+                    return callback(new errors.ProtocolError('Malformed description of service ' + serviceId, {url: service.SCPDURL, cause: err}));
+                }
+                self.serviceDescriptions[serviceId] = desc; // Store in cache for next call
+                callback(null, desc);
+            });
         });
     });
 };
 
 
-DeviceClient.prototype.callAction = function(serviceId, actionName, params, callback) {
+// Options override the client ones for this call only:
+// `timeout`, `retries`, `retryDelay` and `signal` (AbortSignal).
+// Only Get* actions are retried, unless `idempotent` option is set.
+DeviceClient.prototype.callAction = function(serviceId, actionName, params, options, callback) {
     var self = this;
     serviceId = resolveService(serviceId);
 
-    this.getServiceDescription(serviceId, function(err, desc) {
-        if(err) return callback(err);
+    if(typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+
+    var settings = Object.assign({}, this.options, options);
+
+    return callbackOrPromise(callback, function(done) {
+        var finished = false;
 
-        if(!desc.actions[actionName]) {
-            var err = new Error('Action ' + actionName + ' not implemented by service');
-            err.code = 'ENOACTION';
-            return callback(err);
+        function callback(err, result) {
+            if(finished) return;
+            finished = true;
+            if(settings.signal) settings.signal.removeEventListener('abort', onabort);
+            done(err, result);
         }
 
-        var service = self.deviceDescription.services[serviceId];
+        // Stop waiting for the description as well
+        function onabort() {
+            callback(new errors.AbortError());
+        }
 
-        // Build SOAP action body
-        var envelope = et.Element('s:Envelope');
-        envelope.set('xmlns:s', 'http://schemas.xmlsoap.org/soap/envelope/');
-        envelope.set('s:encodingStyle', 'http://schemas.xmlsoap.org/soap/encoding/');
-
-        var body = et.SubElement(envelope, 's:Body');
-        var action = et.SubElement(body, 'u:' + actionName);
-        action.set('xmlns:u', service.serviceType);
-
-        Object.keys(params).forEach(function(paramName) {
-            var tmp = et.SubElement(action, paramName);
-            var value = params[paramName];
-            tmp.text = (value === null)
-                ? ''
-                : params[paramName].toString();
-        });
+        if(settings.signal) {
+            if(settings.signal.aborted) return process.nextTick(onabort);
+            settings.signal.addEventListener('abort', onabort);
+        }
 
-        var doc = new et.ElementTree(envelope);
-        var xml = doc.write({
-            xml_declaration: true,
-        });
+        self.getServiceDescription(serviceId, settings, function(err, desc) {
+            if(err) return callback(err);
 
-        // Send action request
-        var options = parseUrl(service.controlURL);
-        options.method = 'POST';
-        options.headers = {
-            'Content-Type': 'text/xml; charset="utf-8"',
-            'Content-Length': xml.length,
-            'Connection': 'close',
-            'USER-AGENT': self.controlPointName,
-            'SOAPACTION': '"' + service.serviceType + '#' + actionName + '"'
-        };
+            if(!desc.actions[actionName]) {
+                var err = new Error('Action ' + actionName + ' not implemented by service');
+                err.code = 'ENOACTION';
+                return callback(err);
+            }
+
+            var service = self.deviceDescription.services[serviceId];
+
+            // Build SOAP action body
+            var envelope = et.Element('s:Envelope');
+            envelope.set('xmlns:s', 'http://schemas.xmlsoap.org/soap/envelope/');
+            envelope.set('s:encodingStyle', 'http://schemas.xmlsoap.org/soap/encoding/');
+
+            var body = et.SubElement(envelope, 's:Body');
+            var action = et.SubElement(body, 'u:' + actionName);
+            action.set('xmlns:u', service.serviceType);
+
+            // Arguments go in the order of the action description,
+            // converted according to the type of related state variable
+            try {
+                var values = marshalArguments(desc, actionName, params);
+            } catch(err) {
+                return callback(err);
+            }
+
+            values.forEach(function(arg) {
+                var tmp = et.SubElement(action, arg.name);
+                tmp.text = arg.value;
+            });
 
-        debug('call action %s on service %s with params %j', actionName, serviceId, params);
-        debug(options.headers);
+            var doc = new et.ElementTree(envelope);
+            var xml = doc.write({
+                xml_declaration: true,
+            });
 
-        var req = http.request(options, function(res) {
-            res.pipe(concat(function(buf) {
-                var doc = et.parse(buf.toString());
+            function parseActionResponse(res, buf, callback) {
+                try {
+                    var doc = et.parse(buf.toString());
+                } catch(err) {
+                    // Not even a SOAP fault
+                    return callback(new errors.ProtocolError(
+                        res.statusCode === 200
+                            ? 'Malformed response to ' + actionName
+                            : 'Unexpected HTTP status ' + res.statusCode + ' for ' + actionName,
+                        {statusCode: res.statusCode, url: service.controlURL, cause: err}
+                    ));
+                }
 
                 if(res.statusCode !== 200) {
-                    var errorCode = doc.findtext('.//errorCode');
-                    var errorDescription = doc.findtext('.//errorDescription').trim();
-
-                    var err = new Error(errorDescription + ' (' + errorCode + ')');
-                    err.code = 'EUPNP';
-                    err.statusCode = res.statusCode;
-                    err.errorCode = errorCode;
-                    return callback(err);
+                    var errorCode = Number(doc.findtext('.//errorCode'));
+
+                    if(!errorCode) {
+                        return callback(new errors.ProtocolError('Unexpected HTTP status ' + res.statusCode + ' for ' + actionName, {
+                            statusCode: res.statusCode,
+                            url: service.controlURL
+                        }));
+                    }
+
+                    return callback(errors.createFault(serviceId, errorCode, (doc.findtext('.//errorDescription') || '').trim(), {
+                        actionName: actionName,
+                        statusCode: res.statusCode
+                    }));
                 }
 
                 // Extract response outputs
-                var serviceDesc = self.serviceDescriptions[serviceId];
-                var actionDesc = serviceDesc.actions[actionName];
-                var outputs = actionDesc.outputs.map(function(desc) {
-                    return desc.name;
-                });
-
                 var result = {};
-                outputs.forEach(function(name) {
-                    result[name] = doc.findtext('.//' + name);
+                desc.actions[actionName].outputs.forEach(function(output) {
+                    var value = doc.findtext('.//' + output.name);
+                    var variable = desc.stateVariables[output.relatedStateVariable];
+                    result[output.name] = variable ? dataTypes.coerce(variable, value) : value;
                 });
 
-                callback(null, result)
-            }));
+                callback(null, result);
+            }
+
+            // Send action request
+            var options = parseUrl(service.controlURL);
+            options.method = 'POST';
+            options.headers = {
+                'Content-Type': 'text/xml; charset="utf-8"',
+                'Content-Length': Buffer.byteLength(xml),
+                'USER-AGENT': self.controlPointName,
+                'SOAPACTION': '"' + service.serviceType + '#' + actionName + '"'
+            };
+
+            if(self.agent) {
+                options.agent = self.agent;
+            } else {
+                options.headers['Connection'] = 'close';
+            }
+
+            debug('call action %s on service %s with params %j', actionName, serviceId, params);
+            debug(options.headers);
+
+            var task = {
+                name: actionName,
+                key: coalescingKey(settings.coalesce, serviceId, actionName, params)
+            };
+
+            // Only actions without side effects are safe to repeat
+            var retries = settings.retries;
+            if(!settings.idempotent && !/^Get/.test(actionName)) retries = 0;
+
+            retry(retries, settings.retryDelay, settings.signal, function(callback) {
+                // Requests wait for their turn in the device queue
+                self.scheduler.run(task, function(done) {
+                    send(options, xml, settings, function(err, res, buf) {
+                        if(err) return done(err);
+                        parseActionResponse(res, buf, done);
+                    });
+                }, callback);
+            }, callback);
         });
+    });
+};
 
-        req.on('error', callback);
-        req.end(xml);
+
+// Get an object with a method per action of the service,
+// e.g. `client.service('AVTransport').then(avt => avt.Stop({InstanceID: 0}))`
+DeviceClient.prototype.service = function(serviceId, callback) {
+    var self = this;
+    serviceId = resolveService(serviceId);
+
+    return callbackOrPromise(callback, function(callback) {
+        self.getServiceDescription(serviceId, function(err, desc) {
+            if(err) return callback(err);
+            callback(null, createServiceProxy(self, serviceId, desc));
+        });
     });
 };
 
 
-DeviceClient.prototype.subscribe = function(serviceId, listener) {
+// Options are the same as for `getDeviceDescription` and are used by the listener
+// which starts the subscription, `signal` cancels subscribing, not the subscription
+DeviceClient.prototype.subscribe = function(serviceId, listener, options) {
     var self = this;
+    var settings = Object.assign({}, this.options, options);
     serviceId = resolveService(serviceId);
 
     if(this.subscriptions[serviceId]) {
@@ -192,102 +356,73 @@ DeviceClient.prototype.subscribe = function(serviceId, listener) {
         return;
     }
 
-    // If there's no subscription to this service, create one
-    // by first fetching the event subscription URL ...
-    this.getDeviceDescription(function(err, desc) {
-        if(err) return self.emit('error', err);
+    // If there's no subscription to this service, register one right away,
+    // so listeners added meanwhile share it, ...
+    var entry = this.subscriptions[serviceId] = {
+        subscription: null,
+        listeners: [listener]
+    };
 
-        var service = desc.services[serviceId];
+    function fail(err) {
+        if(self.subscriptions[serviceId] === entry) {
+            delete self.subscriptions[serviceId];
+        }
 
-        if(!service) {
-            var err = new Error('Service ' + serviceId + ' not provided by device');
-            err.code = 'ENOSERVICE';
-            return self.emit('error', err);
+        // Cancelled by the caller, not a failure
+        if(err.code === 'ABORT_ERR') {
+            debug('subscription to service %s is cancelled', serviceId);
+            return;
         }
 
-        // ... and ensuring the event server is created and listening
-        self.ensureEventingServer(function() {
+        err.serviceId = serviceId;
+        self.emit('error', err);
+    }
 
-            var options = parseUrl(service.eventSubURL);
-            var server = self.server;
+    // ... then fetch the event subscription URL and state variable types ...
+    this.getServiceDescription(serviceId, settings, function(err, serviceDesc) {
+        if(err) return fail(err);
 
-            options.method = 'SUBSCRIBE';
-            options.headers = {
-                'HOST': options.host,
-                'USER-AGENT': self.controlPointName,
-                'CALLBACK': '<http://' + server.address().address + ':' + server.address().port + '/>',
-                'NT': 'upnp:event',
-                'TIMEOUT': 'Second-' + SUBSCRIPTION_TIMEOUT
-            };
+        // All listeners may be gone already
+        if(self.subscriptions[serviceId] !== entry) return;
 
-            var req = http.request(options, function(res) {
-                if(res.statusCode !== 200) {
-                    var err = new Error('SUBSCRIBE error');
-                    err.statusCode = res.statusCode;
-                    self.releaseEventingServer();
-                    self.emit('error', err);
-                    return;
-                }
+        var service = self.deviceDescription.services[serviceId];
 
-                var sid = res.headers['sid'];
-                var timeout = parseTimeout(res.headers['timeout']);
-
-                function renew() {
-                    debug('renew subscription to %s', serviceId);
-
-                    var options = parseUrl(service.eventSubURL);
-                    options.method = 'SUBSCRIBE';
-                    options.headers = {
-                        'HOST': options.host,
-                        'SID': sid,
-                        'TIMEOUT': 'Second-' + SUBSCRIPTION_TIMEOUT
-                    };
-
-                    var req = http.request(options, function(res) {
-                        if(res.statusCode !== 200) {
-                            var err = new Error('SUBSCRIBE renewal error');
-                            err.statusCode = res.statusCode;
-                            // XXX: should we clear the subscription and release the server here ?
-                            self.emit('error', err);
-                            return;
-                        }
-
-                        var timeout = parseTimeout(res.headers['timeout']);
-
-                        var renewTimeout = Math.max(timeout - 30, 30); // renew 30 seconds before expiration
-                        debug('renewing subscription to %s in %d seconds', serviceId, renewTimeout);
-                        var timer = setTimeout(renew, renewTimeout * 1000);
-                        self.subscriptions[serviceId].timer = timer;
-                    });
+        // ... and subscribe through the shared eventing server
+        var subscription = entry.subscription = new Subscription(service.eventSubURL, {
+            timeout: SUBSCRIPTION_TIMEOUT,
+            requestTimeout: settings.timeout,
+            userAgent: self.controlPointName
+        });
 
-                    req.on('error', function(err) {
-                        self.emit('error', err);
-                    });
+        subscription.on('message', function(e, seq) {
+            dataTypes.coerceVariables(serviceDesc, e);
 
-                    req.end();
-                }
+            // Dispatch each event to each listener registered for
+            // this service's events
+            entry.listeners.slice().forEach(function(listener) {
+                listener(e, seq);
+            });
+        });
 
-                var renewTimeout = Math.max(timeout - 30, 30); // renew 30 seconds before expiration
-                debug('renewing subscription to %s in %d seconds', serviceId, renewTimeout);
-                var timer = setTimeout(renew, renewTimeout * 1000);
+        subscription.on('resync', function(reason) {
+            self.handleResync(serviceId, reason);
+        });
 
-                self.subscriptions[serviceId] = {
-                    sid: sid,
-                    url: service.eventSubURL,
-                    timer: timer,
-                    listeners: [listener]
-                };
+        subscription.on('subscriptionError', function(err) {
+            err.serviceId = serviceId;
+            self.emit('subscriptionError', err);
+        });
 
-            });
+        subscription.subscribe({signal: settings.signal}, function(err) {
+            if(err) return fail(err);
 
-            req.on('error', function(err) {
-                self.releaseEventingServer();
-                self.emit('error', err);
-            });
+            if(self.subscriptions[serviceId] !== entry) {
+                // All listeners are gone while subscribing
+                return subscription.unsubscribe();
+            }
 
-            req.end();
+            self.emit('subscribed', serviceId, subscription.sid);
         });
-
     });
 };
 
@@ -297,161 +432,99 @@ DeviceClient.prototype.unsubscribe = function(serviceId, listener) {
     serviceId = resolveService(serviceId);
 
     // First make sure there are subscriptions for this service ...
-    var subscription = this.subscriptions[serviceId];
-    if(!subscription) return;
+    var entry = this.subscriptions[serviceId];
+    if(!entry) return;
 
     // ... and we know about this listener
-    var idx = subscription.listeners.indexOf(listener);
+    var idx = entry.listeners.indexOf(listener);
     if(idx === -1) return;
 
     // Remove the listener from the list
-    subscription.listeners.splice(idx, 1);
+    entry.listeners.splice(idx, 1);
 
-    if(subscription.listeners.length === 0) {
+    if(entry.listeners.length === 0) {
         // If there's no listener left for this service, unsubscribe from it
         debug('unsubscribe from service %s', serviceId);
+        delete this.subscriptions[serviceId];
 
-        var options = parseUrl(subscription.url);
-
-        options.method = 'UNSUBSCRIBE';
-        options.headers = {
-            'HOST': options.host,
-            'SID': subscription.sid
-        };
+        // Service description is still being fetched, subscription is not created then
+        if(!entry.subscription) return;
 
-        var req = http.request(options, function(res) {
-            if(res.statusCode !== 200) {
-                var err = new Error('UNSUBSCRIBE error');
-                err.statusCode = res.statusCode;
-                return self.emit('error', err);
-            }
-
-            clearTimeout(self.subscriptions[serviceId].timer);
-            delete self.subscriptions[serviceId];
-            // Make sure the eventing server is shutdown if there is no
-            // subscription left for any service
-            self.releaseEventingServer();
-        });
-
-        req.on('error', function(err) {
-            self.emit('error', err);
+        // Subscription is closed and its renewal or restoring is stopped anyway,
+        // UNSUBSCRIBE is sent only with a SID, otherwise a subscription
+        // still in progress is cancelled as soon as it's done
+        var sid = entry.subscription.sid;
+        entry.subscription.unsubscribe(function() {
+            if(sid) self.emit('unsubscribed', serviceId, sid);
         });
-
-        req.end();
     }
 };
 
 
-DeviceClient.prototype.ensureEventingServer = function(callback) {
-    var self = this;
-
-    if(!this.server) {
-        debug('create eventing server');
-        this.server = http.createServer(function(req, res) {
-
-            req.pipe(concat(function(buf) {
-                var sid = req.headers['sid'];
-                var seq = req.headers['seq'];
-                var events = parseEvents(buf);
-
-                debug('received events %s %d %j', sid, seq, events);
-
-                var keys = Object.keys(self.subscriptions);
-                var sids = keys.map(function(key) {
-                    return self.subscriptions[key].sid;
-                })
-
-                var idx = sids.indexOf(sid);
-                if(idx === -1) {
-                    debug('WARNING unknown SID %s', sid);
-                    // silently ignore unknown SIDs
-                    return;
-                }
-
-                var serviceId = keys[idx];
-                var listeners = self.subscriptions[serviceId].listeners;
-
-                // Dispatch each event to each listener registered for
-                // this service's events
-                listeners.forEach(function(listener) {
-                    events.forEach(function(e) {
-                        listener(e);
-                    });
-                });
-
-            }));
-
-        });
-
-        this.server.listen(0, address.ipv4());
-    }
-
-    if(!this.listening) {
-        this.server.on('listening', function() {
-            self.listening = true;
-            callback();
-        });
-    } else {
-        process.nextTick(callback);
-    }
+// Called when subscription was restored after events could have been lost
+DeviceClient.prototype.handleResync = function(serviceId, reason) {
+    debug('resynchronized with service %s (%s)', serviceId, reason);
+    this.emit('resync', serviceId, reason);
 };
 
 
-DeviceClient.prototype.releaseEventingServer = function() {
-    if(Object.keys(this.subscriptions).length === 0) {
-        debug('shutdown eventing server');
-        this.server.close();
-        this.server = null;
-        this.listening = false;
-    }
-};
-
+// Requests with the same key supersede each other,
+// e.g. `urn:upnp-org:serviceId:RenderingControl#SetVolume#0#Master`
+function coalescingKey(coalesce, serviceId, actionName, params) {
+    var names = coalesce && coalesce[actionName];
+    if(!names) return null;
 
-function parseEvents(buf) {
-    var events = [];
-    var doc = et.parse(buf.toString());
+    return [serviceId, actionName].concat(names.map(function(name) {
+        return params[name];
+    })).join('#');
+}
 
-    var lastChange = doc.findtext('.//LastChange');
-    if(lastChange) {
-        // AVTransport and RenderingControl services embed event data
-        // in an `<Event></Event>` element stored as an URIencoded string.
-        doc = et.parse(lastChange);
 
-        // The `<Event></Event>` element contains one `<InstanceID></InstanceID>`
-        // subtree per stream instance reporting its status.
-        var instances = doc.findall('./InstanceID');
-        instances.forEach(function(instance) {
-            var data = {
-                InstanceID: Number(instance.get('val'))
-            };
-            instance.findall('./*').forEach(function(node) {
-                data[node.tag] = node.get('val');
-            });
-            events.push(data);
-        });
-    } else {
-        // In any other case, each variable is stored separately in a
-        // `<property></property>` tag
-        var data = {};
-        doc.findall('./property/*').forEach(function(node) {
-            data[node.tag] = node.text;
-        });
-        events.push(data);
-    }
+function marshalArguments(desc, actionName, params) {
+    var inputs = desc.actions[actionName].inputs;
+    var names = inputs.map(function(input) {
+        return input.name;
+    });
 
-    return events;
-}
+    var values = inputs.filter(function(input) {
+        return params.hasOwnProperty(input.name);
+    }).map(function(input) {
+        var variable = desc.stateVariables[input.relatedStateVariable];
+        var value = params[input.name];
+
+        return {
+            name: input.name,
+            value: variable
+                ? dataTypes.marshal(variable, input.name, value)
+                : (value === null ? '' : String(value))
+        };
+    });
 
+    // Arguments missing in description are sent as they are
+    Object.keys(params).forEach(function(name) {
+        if(names.indexOf(name) === -1) {
+            values.push({name: name, value: params[name] === null ? '' : String(params[name])});
+        }
+    });
 
-function parseTimeout(header) {
-    return Number(header.split('-')[1]);
+    return values;
 }
 
 
 function parseDeviceDescription(xml, url) {
     var doc = et.parse(xml);
 
-    var desc = extractFields(doc.find('./device'), [
+    // Relative URLs are resolved against URLBase if given (UPnP 1.0),
+    // otherwise against the description address
+    var baseUrl = resolveUrl(url, doc.findtext('./URLBase') || '');
+
+    return parseDevice(doc.find('./device'), baseUrl);
+}
+
+
+// Parse device description with its embedded devices
+function parseDevice(node, baseUrl) {
+    var desc = extractFields(node, [
         'deviceType',
         'friendlyName',
         'manufacturer',
@@ -462,18 +535,21 @@ function parseDeviceDescription(xml, url) {
         'UDN'
     ]);
 
-    var nodes = doc.findall('./device/iconList/icon');
+    var nodes = node.findall('./iconList/icon');
     desc.icons = nodes.map(function(icon) {
-        return extractFields(icon, [
+        var tmp = extractFields(icon, [
             'mimetype',
             'width',
             'height',
             'depth',
             'url'
         ]);
+
+        tmp.url = buildAbsoluteUrl(baseUrl, tmp.url);
+        return tmp;
     });
 
-    var nodes = doc.findall('./device/serviceList/service');
+    var nodes = node.findall('./serviceList/service');
     desc.services = {};
     nodes.forEach(function(service) {
         var tmp = extractFields(service, [
@@ -486,28 +562,45 @@ function parseDeviceDescription(xml, url) {
 
         var id = tmp.serviceId;
         delete tmp.serviceId;
-        desc.services[id] = tmp;
-    });
 
-    // Make URLs absolute
-    var baseUrl = extractBaseUrl(url);
+        tmp.SCPDURL = buildAbsoluteUrl(baseUrl, tmp.SCPDURL);
+        tmp.controlURL = buildAbsoluteUrl(baseUrl, tmp.controlURL);
+        tmp.eventSubURL = buildAbsoluteUrl(baseUrl, tmp.eventSubURL);
 
-    desc.icons.map(function(icon) {
-        icon.url = buildAbsoluteUrl(baseUrl, icon.url);
-        return icon;
+        desc.services[id] = tmp;
     });
 
-    Object.keys(desc.services).forEach(function(id) {
-        var service = desc.services[id];
-        service.SCPDURL = buildAbsoluteUrl(baseUrl, service.SCPDURL);
-        service.controlURL = buildAbsoluteUrl(baseUrl, service.controlURL);
-        service.eventSubURL = buildAbsoluteUrl(baseUrl, service.eventSubURL);
+    var nodes = node.findall('./deviceList/device');
+    desc.devices = nodes.map(function(device) {
+        return parseDevice(device, baseUrl);
     });
 
     return desc;
 }
 
 
+// Find device by UDN (`uuid:...`) or by type with or without version,
+// short type names like `MediaRenderer` stand for standard UPnP devices
+function findDevice(desc, selector) {
+    if(selector.indexOf(':') === -1) {
+        selector = 'urn:schemas-upnp-org:device:' + selector;
+    }
+
+    var matches = selector.indexOf('uuid:') === 0
+        ? desc.UDN === selector
+        : desc.deviceType === selector || (desc.deviceType || '').indexOf(selector + ':') === 0;
+
+    if(matches) return desc;
+
+    for(var i = 0; i < desc.devices.length; i++) {
+        var found = findDevice(desc.devices[i], selector);
+        if(found) return found;
+    }
+
+    return null;
+}
+
+
 function parseServiceDescription(xml) {
     var doc = et.parse(xml);
     var desc = {};
@@ -550,10 +643,23 @@ function parseServiceDescription(xml) {
             return allowedValue.text;
         });
 
+        var allowedValueRange = null;
+        var range = stateVariable.find('./allowedValueRange');
+        if(range) {
+            allowedValueRange = {};
+            ['minimum', 'maximum', 'step'].forEach(function(field) {
+                var value = range.findtext('./' + field);
+                if(typeof value !== 'undefined') {
+                    allowedValueRange[field] = Number(value);
+                }
+            });
+        }
+
         desc.stateVariables[name] = {
             dataType: stateVariable.findtext('./dataType'),
             sendEvents: stateVariable.get('sendEvents'),
             allowedValues: allowedValues,
+            allowedValueRange: allowedValueRange,
             defaultValue: stateVariable.findtext('./defaultValue')
         };
     });
@@ -562,20 +668,101 @@ function parseServiceDescription(xml) {
 }
 
 
-function fetch(url, callback) {
-    var req = http.get(url, function(res) {
-        if(res.statusCode !== 200) {
-            var err = new Error('Request failed');
-            err.statusCode = res.statusCode;
-            return callback(err);
-        }
+function fetch(url, settings, callback) {
+    var options = parseUrl(url);
+    options.method = 'GET';
+
+    retry(settings.retries, settings.retryDelay, settings.signal, function(callback) {
+        send(options, null, settings, function(err, res, buf) {
+            if(err) return callback(err);
+
+            if(res.statusCode !== 200) {
+                return callback(new errors.ProtocolError('Request failed with HTTP status ' + res.statusCode, {
+                    statusCode: res.statusCode,
+                    url: url
+                }));
+            }
+
+            callback(null, buf.toString());
+        });
+    }, callback);
+}
+
+
+// Send HTTP request and collect the response body,
+// give up after `settings.timeout` milliseconds or when `settings.signal` is aborted
+function send(options, body, settings, callback) {
+    var finished = false;
+    var timer = null;
+    var signal = settings.signal;
+
+    function finish(err, res, buf) {
+        if(finished) return;
+        finished = true;
+        clearTimeout(timer);
+        if(signal) signal.removeEventListener('abort', onabort);
+        callback(err, res, buf);
+    }
+
+    function onabort() {
+        req.destroy();
+        finish(new errors.AbortError(options.href));
+    }
+
+    if(signal && signal.aborted) {
+        return process.nextTick(function() {
+            callback(new errors.AbortError(options.href));
+        });
+    }
+
+    var req = http.request(options, function(res) {
+        res.on('error', function(err) {
+            finish(new errors.NetworkError(err, options.href));
+        });
         res.pipe(concat(function(buf) {
-            callback(null, buf.toString())
+            finish(null, res, buf);
         }));
     });
 
-    req.on('error', callback);
-    req.end();
+    req.on('error', function(err) {
+        finish(new errors.NetworkError(err, options.href));
+    });
+
+    if(settings.timeout) {
+        timer = setTimeout(function() {
+            req.destroy();
+            finish(errors.createTimeout(options.href, settings.timeout));
+        }, settings.timeout);
+    }
+
+    if(signal) signal.addEventListener('abort', onabort);
+
+    req.end(body);
+}
+
+
+// Run operation again while it fails with a retryable error,
+// waiting `delay` milliseconds before the first repeat and twice as long before each next one
+function retry(retries, delay, signal, operation, callback) {
+    operation(function(err, result) {
+        if(!err || !err.retryable || !retries || (signal && signal.aborted)) {
+            return callback(err, result);
+        }
+
+        debug('retry in %d ms after error: %s', delay, err.message);
+
+        var timer = setTimeout(function() {
+            if(signal) signal.removeEventListener('abort', onabort);
+            retry(retries - 1, delay * 2, signal, operation, callback);
+        }, delay);
+
+        function onabort() {
+            clearTimeout(timer);
+            callback(new errors.AbortError());
+        }
+
+        if(signal) signal.addEventListener('abort', onabort);
+    });
 }
 
 
@@ -592,19 +779,8 @@ function extractFields(node, fields) {
 
 
 function buildAbsoluteUrl(base, url) {
-    if(url === '') return '';
-    if(url.substring(0, 4) === 'http') return url;
-    if(url[0] === '/') {
-        var root = base.split('/').slice(0, 3).join('/'); // http://host:port
-        return root + url;
-    } else {
-        return base + '/' + url;
-    }
-}
-
-
-function extractBaseUrl(url) {
-    return url.split('/').slice(0, -1).join('/');
+    if(!url) return '';
+    return resolveUrl(base, url);
 }
 
 
@@ -0,0 +1,432 @@
+/**
+ * DIDL-Lite metadata building and parsing.
+ *
+ * Both directions use the same object model:
+ *
+ *     {
+ *         id: '0',
+ *         parentID: '-1',
+ *         restricted: true,
+ *         container: false,
+ *         class: 'object.item.audioItem.musicTrack',
+ *         type: 'audio',
+ *         title: 'Song',
+ *         creator: 'Band',
+ *         artist: 'Band',
+ *         album: 'Album',
+ *         genre: 'Rock',
+ *         date: '2017-05-01',
+ *         trackNumber: 3,
+ *         albumArt: [{url: 'http://.../cover.jpg', profileID: 'JPEG_TN'}],
+ *         resources: [{url: 'http://.../song.mp3', protocolInfo: 'http-get:*:audio/mpeg:*', duration: 215.5, size: 3500000}],
+ *         subtitles: [{url: 'http://.../song.en.srt', type: 'srt', language: 'en'}]
+ *     }
+ */
+
+'use strict';
+
+const et               = require('elementtree'),
+    dataTypes          = require('./data.types'),
+    NAMESPACES         = {
+        'xmlns': 'urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/',
+        'xmlns:dc': 'http://purl.org/dc/elements/1.1/',
+        'xmlns:upnp': 'urn:schemas-upnp-org:metadata-1-0/upnp/',
+        'xmlns:dlna': 'urn:schemas-dlna-org:metadata-1-0/',
+        'xmlns:sec': 'http://www.sec.co.kr/',
+        'xmlns:pv': 'http://www.pv.com/pvns/'
+    },
+    // upnp:class for `type` shortcut
+    OBJECT_CLASSES     = {
+        audio: 'object.item.audioItem.musicTrack',
+        video: 'object.item.videoItem.movie',
+        image: 'object.item.imageItem.photo'
+    },
+    // simple text properties and their elements
+    PROPERTIES         = {
+        title: 'dc:title',
+        creator: 'dc:creator',
+        artist: 'upnp:artist',
+        album: 'upnp:album',
+        genre: 'upnp:genre',
+        date: 'dc:date',
+        description: 'dc:description',
+        trackNumber: 'upnp:originalTrackNumber'
+    },
+    // `res` attributes holding numbers
+    NUMERIC_ATTRIBUTES = ['size', 'bitrate', 'sampleFrequency', 'bitsPerSample', 'nrAudioChannels', 'colorDepth'],
+    // `res` attributes kept as they are
+    TEXT_ATTRIBUTES    = ['resolution', 'protection', 'importUri'],
+    // subtitle formats and their MIME types
+    SUBTITLE_TYPES     = {
+        srt: 'text/srt',
+        vtt: 'text/vtt',
+        ssa: 'text/x-ssa',
+        ass: 'text/x-ass',
+        smi: 'smi/caption'
+    };
+
+
+/**
+ * Get element name without namespace prefix.
+ *
+ * @param {Object} node element
+ *
+ * @return {string} local name
+ */
+function localName ( node ) {
+    return node.tag.split(':').pop();
+}
+
+
+/**
+ * Get attribute value regardless of its namespace prefix.
+ *
+ * @param {Object} node element
+ * @param {string} name local attribute name
+ *
+ * @return {string|undefined} attribute value
+ */
+function attribute ( node, name ) {
+    const key = Object.keys(node.attrib).find(key => key.split(':').pop() === name);
+
+    return key === undefined ? undefined : node.attrib[key];
+}
+
+
+/**
+ * Get media type shortcut from object class.
+ *
+ * @param {string} [upnpClass] object class, e.g. `object.item.videoItem.movie`
+ *
+ * @return {string|undefined} `audio`, `video` or `image`
+ */
+function typeOf ( upnpClass ) {
+    const match = /^object\.item\.(audio|video|image)Item/.exec(upnpClass || '');
+
+    return match ? match[1] : undefined;
+}
+
+
+/**
+ * Get subtitle format by file extension or MIME type.
+ *
+ * @param {string} [value] subtitle address, MIME type or format name
+ *
+ * @return {string|undefined} format, e.g. `srt`
+ */
+function subtitleType ( value ) {
+    const lower = (value || '').toLowerCase(),
+        extension = /\.(\w+)(?:[?#].*)?$/.exec(lower);
+
+    if ( extension && SUBTITLE_TYPES[extension[1]] ) {
+        return extension[1];
+    }
+
+    // SubRip has a MIME type of its own besides the common one
+    if ( lower === 'application/x-subrip' ) {
+        return 'srt';
+    }
+
+    return Object.keys(SUBTITLE_TYPES).find(type => type === lower || SUBTITLE_TYPES[type] === lower);
+}
+
+
+/**
+ * Get subtitle tracks of item, `subtitlesUrl` is a shortcut for a single track.
+ *
+ * @param {Object} object item description
+ *
+ * @return {Array} subtitle tracks with `url`, `type` and optional `language` and `title`
+ */
+function subtitleTracks ( object ) {
+    const tracks = [].concat(object.subtitles || []);
+
+    if ( !tracks.length && object.subtitlesUrl ) {
+        tracks.push({url: object.subtitlesUrl});
+    }
+
+    return tracks.map(track => {
+        track = typeof track === 'string' ? {url: track} : track;
+
+        return Object.assign({}, track, {type: track.type || subtitleType(track.url) || 'srt'});
+    });
+}
+
+
+/**
+ * Add `res` element.
+ *
+ * @param {Object} parent item element
+ * @param {Object} resource resource description
+ */
+function buildResource ( parent, resource ) {
+    const res = et.SubElement(parent, 'res');
+
+    res.set('protocolInfo', resource.protocolInfo || 'http-get:*:*:*');
+
+    if ( resource.duration !== undefined && resource.duration !== null ) {
+        res.set('duration', typeof resource.duration === 'number' ? dataTypes.formatTime(resource.duration) : resource.duration);
+    }
+
+    NUMERIC_ATTRIBUTES.concat(TEXT_ATTRIBUTES).forEach(name => {
+        if ( resource[name] !== undefined && resource[name] !== null ) {
+            res.set(name, String(resource[name]));
+        }
+    });
+
+    if ( resource.subtitles && resource.subtitles.length ) {
+        // other vendors take a single track from attributes of media resource
+        res.set('pv:subtitleFileUri', resource.subtitles[0].url);
+        res.set('pv:subtitleFileType', resource.subtitles[0].type);
+    }
+
+    res.text = resource.url;
+}
+
+
+/**
+ * Add `item` or `container` element.
+ *
+ * @param {Object} didl root element
+ * @param {Object} object item description
+ */
+function buildObject ( didl, object ) {
+    const node = et.SubElement(didl, object.container ? 'container' : 'item'),
+        upnpClass = object.class || OBJECT_CLASSES[object.type] || (object.container ? 'object.container' : 'object.item');
+
+    const subtitles = subtitleTracks(object);
+
+    let resources = object.resources || [];
+
+    node.set('id', object.id === undefined ? '0' : String(object.id));
+    node.set('parentID', object.parentID === undefined ? '-1' : String(object.parentID));
+    node.set('restricted', object.restricted === false ? '0' : '1');
+
+    if ( object.container && object.childCount !== undefined ) {
+        node.set('childCount', String(object.childCount));
+    }
+
+    // title and class are required by the specification
+    et.SubElement(node, 'dc:title').text = object.title || '';
+    et.SubElement(node, 'upnp:class').text = upnpClass;
+
+    Object.keys(PROPERTIES).forEach(name => {
+        if ( name !== 'title' && object[name] !== undefined && object[name] !== null ) {
+            et.SubElement(node, PROPERTIES[name]).text = String(object[name]);
+        }
+    });
+
+    [].concat(object.albumArt || []).forEach(art => {
+        const albumArt = et.SubElement(node, 'upnp:albumArtURI');
+
+        if ( typeof art === 'string' ) {
+            art = {url: art};
+        }
+
+        if ( art.profileID ) {
+            albumArt.set('dlna:profileID', art.profileID);
+        }
+
+        albumArt.text = art.url;
+    });
+
+    // a single resource may be given with shortcut properties
+    if ( !resources.length && object.url ) {
+        resources = [{
+            url: object.url,
+            protocolInfo: object.protocolInfo,
+            duration: object.duration,
+            size: object.size
+        }];
+    }
+
+    resources.forEach(( resource, index ) => buildResource(node, index ? resource : Object.assign({subtitles: subtitles}, resource)));
+
+    // Samsung TVs take subtitles from their own elements, others from additional `res` elements
+    subtitles.forEach(track => {
+        ['sec:CaptionInfo', 'sec:CaptionInfoEx'].forEach(name => {
+            const captionInfo = et.SubElement(node, name);
+
+            captionInfo.set('sec:type', track.type);
+            captionInfo.text = track.url;
+        });
+    });
+
+    subtitles.forEach(track => {
+        buildResource(node, {url: track.url, protocolInfo: 'http-get:*:' + SUBTITLE_TYPES[track.type] + ':*'});
+    });
+}
+
+
+/**
+ * Build DIDL-Lite document.
+ *
+ * A single resource may be given with `url`, `protocolInfo`, `duration` and `size` properties instead of `resources`.
+ *
+ * @param {Object|Array} objects item description or a list of them
+ *
+ * @return {string} DIDL-Lite XML
+ */
+function build ( objects ) {
+    const didl = et.Element('DIDL-Lite');
+
+    Object.keys(NAMESPACES).forEach(name => didl.set(name, NAMESPACES[name]));
+    [].concat(objects).forEach(object => buildObject(didl, object));
+
+    return new et.ElementTree(didl).write({xml_declaration: false});
+}
+
+
+/**
+ * Read `item` or `container` element.
+ *
+ * @param {Object} node element
+ *
+ * @return {Object} item description
+ */
+function parseObject ( node ) {
+    const object = {
+        id: node.get('id'),
+        parentID: node.get('parentID'),
+        restricted: ['1', 'true'].indexOf(node.get('restricted')) !== -1,
+        container: localName(node) === 'container',
+        albumArt: [],
+        resources: [],
+        subtitles: []
+    };
+
+    // the same track is usually given in several places
+    const addSubtitles = ( url, type ) => {
+        if ( url && !object.subtitles.some(track => track.url === url) ) {
+            object.subtitles.push({url: url, type: subtitleType(type) || subtitleType(url) || type});
+        }
+    };
+
+    if ( object.container && node.get('childCount') !== undefined ) {
+        object.childCount = Number(node.get('childCount'));
+    }
+
+    node.getchildren().forEach(child => {
+        const name = localName(child),
+            text = (child.text || '').trim();
+
+        switch ( name ) {
+            case 'class':
+                object.class = text;
+
+                if ( typeOf(text) ) {
+                    object.type = typeOf(text);
+                }
+                break;
+            case 'albumArtURI':
+                object.albumArt.push({url: text, profileID: attribute(child, 'profileID')});
+                break;
+            case 'res':
+                if ( subtitleType((child.get('protocolInfo') || '').split(':')[2]) ) {
+                    addSubtitles(text, child.get('protocolInfo').split(':')[2]);
+                } else {
+                    object.resources.push(parseResource(child));
+                    addSubtitles(attribute(child, 'subtitleFileUri'), attribute(child, 'subtitleFileType'));
+                }
+                break;
+            case 'CaptionInfoEx':
+            case 'CaptionInfo':
+                addSubtitles(text, attribute(child, 'type'));
+                break;
+            default:
+                Object.keys(PROPERTIES).forEach(property => {
+                    // the first one of repeated elements, e.g. of artists with different roles
+                    if ( PROPERTIES[property].split(':')[1] === name && object[property] === undefined ) {
+                        object[property] = property === 'trackNumber' && isFinite(text) ? Number(text) : text;
+                    }
+                });
+        }
+    });
+
+    return object;
+}
+
+
+/**
+ * Read `res` element.
+ *
+ * @param {Object} node element
+ *
+ * @return {Object} resource description
+ */
+function parseResource ( node ) {
+    const resource = {
+        url: (node.text || '').trim(),
+        protocolInfo: node.get('protocolInfo')
+    };
+
+    const duration = dataTypes.parseTime(node.get('duration'));
+
+    if ( duration !== null ) {
+        resource.duration = duration;
+    }
+
+    NUMERIC_ATTRIBUTES.forEach(name => {
+        const value = node.get(name);
+
+        if ( value !== undefined && value !== '' && isFinite(value) ) {
+            resource[name] = Number(value);
+        }
+    });
+
+    TEXT_ATTRIBUTES.forEach(name => {
+        if ( node.get(name) !== undefined ) {
+            resource[name] = node.get(name);
+        }
+    });
+
+    return resource;
+}
+
+
+/**
+ * Parse DIDL-Lite document.
+ *
+ * Empty values and the `NOT_IMPLEMENTED` placeholder reported by renderers give an empty list.
+ *
+ * @param {string} xml DIDL-Lite XML
+ *
+ * @throws {Error} if XML is malformed
+ *
+ * @return {Array} descriptions of items and containers
+ */
+function parse ( xml ) {
+    if ( !xml || !xml.trim() || xml.trim() === 'NOT_IMPLEMENTED' ) {
+        return [];
+    }
+
+    return et.parse(xml).getroot().getchildren()
+        .filter(node => ['item', 'container'].indexOf(localName(node)) !== -1)
+        .map(parseObject);
+}
+
+
+/**
+ * Parse metadata of a single item, e.g. `CurrentTrackMetaData`, without failing on bad input.
+ *
+ * @param {string} xml DIDL-Lite XML
+ *
+ * @return {Object|null} item description, null if there is none or metadata is malformed
+ */
+function parseItem ( xml ) {
+    try {
+        return parse(xml)[0] || null;
+    } catch ( error ) {
+        return null;
+    }
+}
+
+
+module.exports = {
+    build: build,
+    parse: parse,
+    parseItem: parseItem,
+    subtitleType: subtitleType,
+    formatDuration: dataTypes.formatTime,
+    parseDuration: dataTypes.parseTime
+};
@@ -0,0 +1,406 @@
+/**
+ * SSDP discovery of MediaRenderer devices.
+ */
+
+'use strict';
+
+const dgram           = require('dgram'),
+    util              = require('util'),
+    events            = require('events'),
+    debug             = require('debug')('upnp-ssdp-discovery'),
+    callbackOrPromise = require('./promise'),
+    SSDP_ADDRESS      = '239.255.255.250',
+    SSDP_PORT         = 1900,
+    SEARCH_TARGET     = 'urn:schemas-upnp-org:device:MediaRenderer:1';
+
+
+/**
+ * Parse raw SSDP datagram into a start line and a headers map with lower-cased names.
+ *
+ * @param {Buffer} buffer received datagram
+ *
+ * @return {{startLine: string, headers: Object}} message parts
+ */
+function parseMessage ( buffer ) {
+    const lines = buffer.toString().split(/\r?\n/),
+        headers = {};
+
+    lines.slice(1).forEach(line => {
+        const idx = line.indexOf(':');
+
+        if ( idx > 0 ) {
+            headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+        }
+    });
+
+    return {
+        startLine: lines[0].trim(),
+        headers: headers
+    };
+}
+
+
+/**
+ * Get device UDN from USN header value (`uuid:<id>::<type>` or just `uuid:<id>`).
+ *
+ * @param {string} usn unique service name
+ *
+ * @return {string} device UDN
+ */
+function extractUdn ( usn ) {
+    return (usn || '').split('::')[0];
+}
+
+
+/**
+ * Get announcement lifetime in seconds from CACHE-CONTROL header value.
+ *
+ * @param {string} header CACHE-CONTROL header value
+ *
+ * @return {number} seconds, 0 if not specified
+ */
+function parseMaxAge ( header ) {
+    const match = (/max-age\s*=\s*(\d+)/i).exec(header || '');
+
+    return match ? Number(match[1]) : 0;
+}
+
+
+/**
+ * Create a ready to use client for a discovered device.
+ *
+ * @param {string} location device description address
+ *
+ * @return {MediaRendererClient} client instance
+ */
+function createClient ( location ) {
+    // required lazily to avoid a circular dependency with the main entry point
+    const MediaRendererClient = require('../index');
+
+    return new MediaRendererClient(location);
+}
+
+
+/**
+ * Discover MediaRenderer devices with M-SEARCH requests and NOTIFY announcements.
+ *
+ * Emits `found` (client, info) when a device description was fetched for a new device
+ * and `lost` (client, info) when a device says byebye or its announcement expires.
+ *
+ * @param {Object} [options] discovery options
+ * @param {string} [options.searchTarget] device or service type to look for
+ * @param {string} [options.address] SSDP address to send M-SEARCH requests to
+ * @param {number} [options.port] SSDP port to send M-SEARCH requests to
+ * @param {boolean} [options.listen=true] whether to listen for NOTIFY announcements
+ * @param {number} [options.listenPort] port to listen for NOTIFY announcements on, same as `port` by default
+ * @param {number} [options.mx=2] maximum response delay in seconds requested from devices
+ * @param {number} [options.interval=0] repeat search every given number of milliseconds, 0 to disable
+ * @param {function} [options.createClient] factory to create a client for a description address
+ *
+ * @constructor
+ */
+function Discovery ( options ) {
+    options = options || {};
+
+    events.EventEmitter.call(this);
+
+    this.searchTarget = options.searchTarget || SEARCH_TARGET;
+    this.address = options.address || SSDP_ADDRESS;
+    this.port = options.port || SSDP_PORT;
+    this.listen = options.listen !== false;
+    this.listenPort = options.listenPort === undefined ? this.port : options.listenPort;
+    this.mx = options.mx || 2;
+    this.interval = options.interval || 0;
+    this.createClient = options.createClient || createClient;
+
+    // known devices by UDN
+    this.devices = new Map();
+    // UDNs with device description fetching in progress
+    this.pending = new Set();
+
+    this.searchSocket = null;
+    this.notifySocket = null;
+    this.searchTimer = null;
+}
+
+util.inherits(Discovery, events.EventEmitter);
+
+
+/**
+ * Open sockets and send the first search request.
+ *
+ * @param {function} [callback] method to invoke when discovery is ready
+ *
+ * @return {Promise|undefined} readiness of discovery if no callback was given
+ */
+Discovery.prototype.start = function ( callback ) {
+    return callbackOrPromise(callback, done => this.open(done));
+};
+
+
+/**
+ * Bind sockets and send the first search request.
+ *
+ * @param {function} callback method to invoke when discovery is ready or with a bind error
+ */
+Discovery.prototype.open = function ( callback ) {
+    const self = this;
+
+    let waiting = this.listen ? 2 : 1,
+        failed = false;
+
+    if ( this.searchSocket ) {
+        process.nextTick(callback);
+
+        return;
+    }
+
+    function fail ( error ) {
+        if ( !failed ) {
+            failed = true;
+            debug('unable to bind: %s', error.message);
+            self.stop();
+            callback(error);
+        }
+    }
+
+    function ready () {
+        if ( !failed && --waiting === 0 ) {
+            self.search();
+
+            if ( self.interval ) {
+                self.searchTimer = setInterval(() => self.search(), self.interval);
+            }
+
+            callback();
+        }
+    }
+
+    function createSocket ( type, port, bound ) {
+        const socket = dgram.createSocket(type);
+
+        socket.on('message', ( message, rinfo ) => self.handleMessage(message, rinfo));
+        // errors of binding, e.g. EADDRINUSE, fail the start, the later ones are reported as events
+        socket.once('error', fail);
+        socket.bind(port, () => {
+            socket.removeListener('error', fail);
+            socket.on('error', error => self.emit('error', error));
+            bound(socket);
+        });
+
+        return socket;
+    }
+
+    this.searchSocket = createSocket('udp4', 0, ready);
+
+    if ( this.listen ) {
+        this.notifySocket = createSocket({type: 'udp4', reuseAddr: true}, this.listenPort, socket => {
+            if ( this.address === SSDP_ADDRESS && !failed ) {
+                try {
+                    socket.addMembership(SSDP_ADDRESS);
+                } catch ( error ) {
+                    debug('unable to join multicast group: %s', error.message);
+                }
+            }
+
+            ready();
+        });
+    }
+};
+
+
+/**
+ * Send M-SEARCH request.
+ */
+Discovery.prototype.search = function () {
+    const message = Buffer.from([
+        'M-SEARCH * HTTP/1.1',
+        'HOST: ' + this.address + ':' + this.port,
+        'MAN: "ssdp:discover"',
+        'MX: ' + this.mx,
+        'ST: ' + this.searchTarget,
+        '',
+        ''
+    ].join('\r\n'));
+
+    if ( !this.searchSocket ) {
+        return;
+    }
+
+    debug('search for %s', this.searchTarget);
+    this.searchSocket.send(message, 0, message.length, this.port, this.address);
+};
+
+
+/**
+ * Close sockets and forget all known devices.
+ */
+Discovery.prototype.stop = function () {
+    clearInterval(this.searchTimer);
+    this.searchTimer = null;
+
+    [this.searchSocket, this.notifySocket].forEach(socket => {
+        if ( socket ) {
+            socket.close();
+        }
+    });
+
+    this.searchSocket = null;
+    this.notifySocket = null;
+
+    this.devices.forEach(device => clearTimeout(device.timer));
+    this.devices.clear();
+    this.pending.clear();
+};
+
+
+/**
+ * Dispatch received SSDP message.
+ *
+ * @param {Buffer} message received datagram
+ * @param {Object} rinfo sender information
+ */
+Discovery.prototype.handleMessage = function ( message, rinfo ) {
+    const parsed = parseMessage(message),
+        headers = parsed.headers;
+
+    if ( /^HTTP\/1\.\d 200/i.test(parsed.startLine) ) {
+        if ( headers.st === this.searchTarget ) {
+            this.handleAlive(headers);
+        }
+    } else if ( /^NOTIFY /i.test(parsed.startLine) ) {
+        if ( headers.nts === 'ssdp:byebye' ) {
+            this.handleByebye(headers);
+        } else if ( headers.nts === 'ssdp:alive' && headers.nt === this.searchTarget ) {
+            this.handleAlive(headers);
+        }
+    } else {
+        debug('ignore message from %s: %s', rinfo.address, parsed.startLine);
+    }
+};
+
+
+/**
+ * Register a device from search response or alive announcement.
+ *
+ * @param {Object} headers message headers
+ */
+Discovery.prototype.handleAlive = function ( headers ) {
+    const udn = extractUdn(headers.usn),
+        location = headers.location,
+        known = this.devices.get(udn);
+
+    if ( !udn || !location || this.pending.has(udn) ) {
+        return;
+    }
+
+    if ( known ) {
+        if ( known.location === location ) {
+            this.refresh(known, headers);
+
+            return;
+        }
+
+        // device came back on another address
+        this.remove(udn);
+    }
+
+    this.add(udn, location, headers);
+};
+
+
+/**
+ * Fetch description of a new device and register it.
+ *
+ * @param {string} udn device UDN
+ * @param {string} location device description address
+ * @param {Object} headers message headers
+ */
+Discovery.prototype.add = function ( udn, location, headers ) {
+    const self = this,
+        client = this.createClient(location);
+
+    debug('new device %s at %s', udn, location);
+    this.pending.add(udn);
+
+    client.getDeviceDescription(function ( error ) {
+        self.pending.delete(udn);
+
+        // discovery was stopped meanwhile
+        if ( !self.searchSocket ) {
+            return;
+        }
+
+        if ( error ) {
+            debug('unable to get description of %s: %s', udn, error.message);
+
+            return;
+        }
+
+        const device = {
+            udn: udn,
+            location: location,
+            client: client,
+            headers: headers,
+            timer: null
+        };
+
+        self.devices.set(udn, device);
+        self.refresh(device, headers);
+        self.emit('found', client, {udn: udn, location: location, headers: headers});
+    });
+};
+
+
+/**
+ * Forget a device which said byebye.
+ *
+ * @param {Object} headers message headers
+ */
+Discovery.prototype.handleByebye = function ( headers ) {
+    const udn = extractUdn(headers.usn);
+
+    if ( this.devices.has(udn) ) {
+        debug('device %s left', udn);
+        this.remove(udn);
+    }
+};
+
+
+/**
+ * Restart expiration timer of a known device.
+ *
+ * @param {Object} device known device
+ * @param {Object} headers message headers
+ */
+Discovery.prototype.refresh = function ( device, headers ) {
+    const maxAge = parseMaxAge(headers['cache-control']);
+
+    clearTimeout(device.timer);
+    device.headers = headers;
+
+    if ( maxAge ) {
+        device.timer = setTimeout(() => {
+            debug('device %s expired', device.udn);
+            this.remove(device.udn);
+        }, maxAge * 1000);
+        device.timer.unref();
+    }
+};
+
+
+/**
+ * Remove a known device and notify listeners.
+ *
+ * @param {string} udn device UDN
+ */
+Discovery.prototype.remove = function ( udn ) {
+    const device = this.devices.get(udn);
+
+    clearTimeout(device.timer);
+    this.devices.delete(udn);
+    this.emit('lost', device.client, {udn: udn, location: device.location, headers: device.headers});
+};
+
+
+module.exports = Discovery;
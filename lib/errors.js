@@ -0,0 +1,256 @@
+/**
+ * Errors of communication with devices.
+ */
+
+'use strict';
+
+const util = require('util'),
+    // UPnP Device Architecture errors, the same for all services
+    COMMON_ERRORS = {
+        401: ['INVALID_ACTION', 'Invalid action'],
+        402: ['INVALID_ARGS', 'Invalid args'],
+        403: ['OUT_OF_SYNC', 'Out of sync'],
+        501: ['ACTION_FAILED', 'Action failed'],
+        600: ['ARGUMENT_VALUE_INVALID', 'Argument value invalid'],
+        601: ['ARGUMENT_VALUE_OUT_OF_RANGE', 'Argument value out of range'],
+        602: ['OPTIONAL_ACTION_NOT_IMPLEMENTED', 'Optional action not implemented'],
+        603: ['OUT_OF_MEMORY', 'Out of memory'],
+        604: ['HUMAN_INTERVENTION_REQUIRED', 'Human intervention required'],
+        605: ['STRING_ARGUMENT_TOO_LONG', 'String argument too long']
+    },
+    // service specific errors, codes of different services overlap
+    SERVICE_ERRORS = {
+        AVTransport: {
+            701: ['TRANSITION_NOT_AVAILABLE', 'Transition not available'],
+            702: ['NO_CONTENTS', 'No contents'],
+            703: ['READ_ERROR', 'Read error'],
+            704: ['FORMAT_NOT_SUPPORTED_FOR_PLAYBACK', 'Format not supported for playback'],
+            705: ['TRANSPORT_IS_LOCKED', 'Transport is locked'],
+            706: ['WRITE_ERROR', 'Write error'],
+            707: ['MEDIA_IS_PROTECTED', 'Media is protected or not writeable'],
+            708: ['FORMAT_NOT_SUPPORTED_FOR_RECORDING', 'Format not supported for recording'],
+            709: ['MEDIA_IS_FULL', 'Media is full'],
+            710: ['SEEK_MODE_NOT_SUPPORTED', 'Seek mode not supported'],
+            711: ['ILLEGAL_SEEK_TARGET', 'Illegal seek target'],
+            712: ['PLAY_MODE_NOT_SUPPORTED', 'Play mode not supported'],
+            713: ['RECORD_QUALITY_NOT_SUPPORTED', 'Record quality not supported'],
+            714: ['ILLEGAL_MIME_TYPE', 'Illegal MIME-type'],
+            715: ['CONTENT_BUSY', 'Content busy'],
+            716: ['RESOURCE_NOT_FOUND', 'Resource not found'],
+            717: ['PLAY_SPEED_NOT_SUPPORTED', 'Play speed not supported'],
+            718: ['INVALID_INSTANCE_ID', 'Invalid InstanceID'],
+            719: ['DRM_ERROR', 'DRM error'],
+            720: ['EXPIRED_CONTENT', 'Expired content'],
+            721: ['NON_ALLOWED_USE', 'Non-allowed use'],
+            722: ['CANT_DETERMINE_ALLOWED_USES', 'Can\'t determine allowed uses'],
+            723: ['EXHAUSTED_ALLOWED_USE', 'Exhausted allowed use'],
+            724: ['DEVICE_AUTHENTICATION_FAILURE', 'Device authentication failure'],
+            725: ['DEVICE_REVOCATION', 'Device revocation']
+        },
+        RenderingControl: {
+            701: ['INVALID_NAME', 'Invalid name'],
+            702: ['INVALID_INSTANCE_ID', 'Invalid InstanceID']
+        },
+        ConnectionManager: {
+            701: ['INCOMPATIBLE_PROTOCOL_INFO', 'Incompatible protocol info'],
+            702: ['INCOMPATIBLE_DIRECTIONS', 'Incompatible directions'],
+            703: ['INSUFFICIENT_NETWORK_RESOURCES', 'Insufficient network resources'],
+            704: ['LOCAL_RESTRICTIONS', 'Local restrictions'],
+            705: ['ACCESS_DENIED', 'Access denied'],
+            706: ['INVALID_CONNECTION_REFERENCE', 'Invalid connection reference'],
+            707: ['NOT_IN_NETWORK', 'Not in network']
+        }
+    },
+    // errors which may go away by themselves, e.g. renderer is busy with loading
+    TRANSIENT_ERRORS = ['ACTION_FAILED', 'OUT_OF_MEMORY', 'TRANSITION_NOT_AVAILABLE', 'CONTENT_BUSY'];
+
+
+/**
+ * Get short service name from service id.
+ *
+ * @param {string} [serviceId] service id, e.g. `urn:upnp-org:serviceId:AVTransport`
+ *
+ * @return {string} service name, e.g. `AVTransport`
+ */
+function serviceName ( serviceId ) {
+    return (serviceId || '').split(':').pop();
+}
+
+
+/**
+ * Error reported by device in a SOAP fault.
+ *
+ * Standard error codes are given names in `errorName`, e.g. `TRANSITION_NOT_AVAILABLE` for 701 of AVTransport.
+ *
+ * @param {number} errorCode UPnP error code
+ * @param {string} [description] error description from device
+ * @param {Object} [options] error details
+ * @param {string} [options.serviceId] service of the failed action
+ * @param {string} [options.actionName] failed action
+ * @param {number} [options.statusCode] HTTP status code of response
+ *
+ * @constructor
+ */
+function UPnPError ( errorCode, description, options ) {
+    const known = (SERVICE_ERRORS[serviceName(options && options.serviceId)] || {})[errorCode] || COMMON_ERRORS[errorCode];
+
+    options = options || {};
+
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+
+    this.code = 'EUPNP';
+    this.errorCode = errorCode;
+    this.errorName = known ? known[0] : 'UNKNOWN';
+    this.description = description || (known ? known[1] : 'Unknown error');
+    this.message = this.description + ' (' + errorCode + ')';
+    this.serviceId = options.serviceId;
+    this.actionName = options.actionName;
+    this.statusCode = options.statusCode;
+    this.retryable = TRANSIENT_ERRORS.indexOf(this.errorName) !== -1;
+}
+
+util.inherits(UPnPError, Error);
+
+UPnPError.prototype.name = 'UPnPError';
+
+
+/**
+ * Error reported by AVTransport service.
+ *
+ * @param {number} errorCode UPnP error code
+ * @param {string} [description] error description from device
+ * @param {Object} [options] error details, see UPnPError
+ *
+ * @constructor
+ */
+function TransportError ( errorCode, description, options ) {
+    UPnPError.call(this, errorCode, description, options);
+}
+
+util.inherits(TransportError, UPnPError);
+
+TransportError.prototype.name = 'TransportError';
+
+
+/**
+ * Device is not reachable.
+ *
+ * `code` of the original error is kept, e.g. `ECONNREFUSED`.
+ *
+ * @param {Error} cause original error
+ * @param {string} [url] requested address
+ *
+ * @constructor
+ */
+function NetworkError ( cause, url ) {
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+
+    this.code = cause.code || 'ENETWORK';
+    this.message = url ? cause.message + ' (' + url + ')' : cause.message;
+    this.cause = cause;
+    this.url = url;
+    this.retryable = true;
+}
+
+util.inherits(NetworkError, Error);
+
+NetworkError.prototype.name = 'NetworkError';
+
+
+/**
+ * Device answered with something which is not a valid response.
+ *
+ * @param {string} message error description
+ * @param {Object} [options] error details
+ * @param {number} [options.statusCode] HTTP status code of response
+ * @param {string} [options.url] requested address
+ * @param {Error} [options.cause] parsing error
+ *
+ * @constructor
+ */
+function ProtocolError ( message, options ) {
+    options = options || {};
+
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+
+    this.code = 'EPROTO';
+    this.message = message;
+    this.statusCode = options.statusCode;
+    this.url = options.url;
+    this.cause = options.cause;
+    this.retryable = false;
+}
+
+util.inherits(ProtocolError, Error);
+
+ProtocolError.prototype.name = 'ProtocolError';
+
+
+/**
+ * Request was cancelled with AbortSignal.
+ *
+ * @param {string} [url] requested address
+ *
+ * @constructor
+ */
+function AbortError ( url ) {
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+
+    this.code = 'ABORT_ERR';
+    this.message = url ? 'Request aborted (' + url + ')' : 'Request aborted';
+    this.url = url;
+    this.retryable = false;
+}
+
+util.inherits(AbortError, Error);
+
+AbortError.prototype.name = 'AbortError';
+
+
+/**
+ * Build error for a request without response in time.
+ *
+ * @param {string} url requested address
+ * @param {number} timeout time waited in milliseconds
+ *
+ * @return {NetworkError} error with `ETIMEDOUT` code
+ */
+function createTimeout ( url, timeout ) {
+    const cause = new Error('No response in ' + timeout + ' ms');
+
+    cause.code = 'ETIMEDOUT';
+
+    return new NetworkError(cause, url);
+}
+
+
+/**
+ * Build error for a SOAP fault of the given service.
+ *
+ * @param {string} serviceId service of the failed action
+ * @param {number} errorCode UPnP error code
+ * @param {string} [description] error description from device
+ * @param {Object} [options] error details, see UPnPError
+ *
+ * @return {UPnPError} TransportError for AVTransport, UPnPError for others
+ */
+function createFault ( serviceId, errorCode, description, options ) {
+    const Constructor = serviceName(serviceId) === 'AVTransport' ? TransportError : UPnPError;
+
+    return new Constructor(errorCode, description, Object.assign({serviceId: serviceId}, options));
+}
+
+
+module.exports = {
+    UPnPError: UPnPError,
+    TransportError: TransportError,
+    NetworkError: NetworkError,
+    ProtocolError: ProtocolError,
+    AbortError: AbortError,
+    createFault: createFault,
+    createTimeout: createTimeout
+};
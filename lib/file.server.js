@@ -0,0 +1,328 @@
+/**
+ * HTTP server making local files and buffers available to renderers.
+ */
+
+'use strict';
+
+const http               = require('http'),
+    fs                   = require('fs'),
+    path                 = require('path'),
+    crypto               = require('crypto'),
+    address              = require('network-address'),
+    debug                = require('debug')('upnp-file-server'),
+    callbackOrPromise    = require('./promise'),
+    DEFAULT_TYPE         = 'application/octet-stream',
+    // DLNA.ORG_OP=01 - byte range seek supported, DLNA.ORG_CI=0 - not transcoded
+    STREAMING_FEATURES   = 'DLNA.ORG_OP=01;DLNA.ORG_CI=0;DLNA.ORG_FLAGS=01700000000000000000000000000000',
+    INTERACTIVE_FEATURES = 'DLNA.ORG_OP=01;DLNA.ORG_CI=0;DLNA.ORG_FLAGS=00d00000000000000000000000000000',
+    CONTENT_TYPES        = {
+        '.mp4': 'video/mp4',
+        '.m4v': 'video/mp4',
+        '.mkv': 'video/x-matroska',
+        '.avi': 'video/x-msvideo',
+        '.mpg': 'video/mpeg',
+        '.mpeg': 'video/mpeg',
+        '.ts': 'video/mp2t',
+        '.webm': 'video/webm',
+        '.mov': 'video/quicktime',
+        '.wmv': 'video/x-ms-wmv',
+        '.mp3': 'audio/mpeg',
+        '.m4a': 'audio/mp4',
+        '.aac': 'audio/aac',
+        '.flac': 'audio/flac',
+        '.wav': 'audio/wav',
+        '.ogg': 'audio/ogg',
+        '.wma': 'audio/x-ms-wma',
+        '.jpg': 'image/jpeg',
+        '.jpeg': 'image/jpeg',
+        '.png': 'image/png',
+        '.gif': 'image/gif',
+        '.bmp': 'image/bmp',
+        '.srt': 'text/srt',
+        '.vtt': 'text/vtt',
+        '.ssa': 'text/x-ssa',
+        '.ass': 'text/x-ass',
+        '.smi': 'smi/caption'
+    };
+
+
+/**
+ * Guess MIME type by file name extension.
+ *
+ * @param {string} fileName file name or path
+ *
+ * @return {string} MIME type
+ */
+function lookupContentType ( fileName ) {
+    return CONTENT_TYPES[path.extname(fileName || '').toLowerCase()] || DEFAULT_TYPE;
+}
+
+
+/**
+ * Parse Range header value for the given content size.
+ *
+ * Only a single range is supported as renderers never ask for more.
+ *
+ * @param {string} header Range header value
+ * @param {number} size content size in bytes
+ *
+ * @return {{start: number, end: number}|null} inclusive byte range, null if not satisfiable
+ */
+function parseRange ( header, size ) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+
+    let start, end;
+
+    if ( !match || (match[1] === '' && match[2] === '') ) {
+        return null;
+    }
+
+    if ( match[1] === '' ) {
+        // suffix range: last N bytes
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if ( start > end || start >= size ) {
+        return null;
+    }
+
+    return {start: start, end: end};
+}
+
+
+/**
+ * Serve registered files and buffers over HTTP with DLNA specific headers.
+ *
+ * @param {Object} [options] server options
+ * @param {string} [options.host] address to listen on and to build URLs with, LAN address by default
+ * @param {number} [options.port=0] port to listen on, random by default
+ *
+ * @constructor
+ */
+function FileServer ( options ) {
+    options = options || {};
+
+    this.host = options.host || null;
+    this.port = options.port || 0;
+    this.server = null;
+    this.listening = false;
+    this.resources = new Map();
+
+    // failed server is dropped so the next call tries to bind again
+    this.onBindError = error => {
+        debug('failed to listen on %s:%d: %s', this.host, this.port, error.message);
+        this.server = null;
+    };
+}
+
+
+/**
+ * Start listening if not already.
+ *
+ * @param {function} [callback] method to invoke when server is ready
+ *
+ * @return {Promise|undefined} readiness of server if no callback was given
+ */
+FileServer.prototype.listen = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        if ( this.listening ) {
+            process.nextTick(done);
+
+            return;
+        }
+
+        if ( !this.server ) {
+            this.host = this.host || address.ipv4();
+            this.server = http.createServer(( req, res ) => this.handleRequest(req, res));
+            this.server.once('error', this.onBindError);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener('error', this.onBindError);
+                this.port = this.server.address().port;
+                this.listening = true;
+                debug('listening on %s:%d', this.host, this.port);
+                // errors of a running server, e.g. of accepting connections, must not crash the process
+                this.server.on('error', error => debug('server error: %s', error.message));
+            });
+        }
+
+        const server = this.server,
+            // invoked either with bind error or without arguments on listening
+            settle = error => {
+                server.removeListener('error', settle);
+                server.removeListener('listening', settle);
+                done(error);
+            };
+
+        server.once('error', settle);
+        server.once('listening', settle);
+    });
+};
+
+
+/**
+ * Stop listening and forget all resources.
+ */
+FileServer.prototype.close = function () {
+    if ( this.server ) {
+        this.server.close();
+    }
+
+    this.server = null;
+    this.listening = false;
+    this.resources.clear();
+};
+
+
+/**
+ * Make a file or a buffer available to renderers.
+ *
+ * @param {string|Buffer} source file path or content
+ * @param {Object} [options] resource options
+ * @param {string} [options.contentType] MIME type, guessed by file extension by default
+ * @param {string} [options.fileName] name to use in resource address
+ * @param {string} [options.contentFeatures] value of `contentFeatures.dlna.org` header
+ * @param {string} [options.subtitlesUrl] subtitles address for `CaptionInfo.sec` header of media
+ * @param {string} [options.language] value of `Content-Language` header, e.g. of subtitles
+ *
+ * @return {string} resource address, valid once server is listening
+ */
+FileServer.prototype.add = function ( source, options ) {
+    const id = crypto.randomBytes(8).toString('hex'),
+        isBuffer = Buffer.isBuffer(source);
+
+    options = options || {};
+
+    const fileName = options.fileName || (isBuffer ? 'media' : path.basename(source)),
+        contentType = options.contentType || lookupContentType(fileName),
+        // pictures and subtitles are fetched at once rather than played
+        interactive = /^(image|text|smi)\//.test(contentType);
+
+    this.resources.set(id, {
+        path: isBuffer ? null : path.resolve(source),
+        buffer: isBuffer ? source : null,
+        contentType: contentType,
+        transferMode: interactive ? 'Interactive' : 'Streaming',
+        contentFeatures: options.contentFeatures || (interactive ? INTERACTIVE_FEATURES : STREAMING_FEATURES),
+        subtitlesUrl: options.subtitlesUrl || null,
+        language: options.language || null
+    });
+
+    debug('add resource %s (%s)', id, fileName);
+
+    return 'http://' + this.host + ':' + this.port + '/' + id + '/' + encodeURIComponent(fileName);
+};
+
+
+/**
+ * Stop serving a resource.
+ *
+ * @param {string} url resource address
+ */
+FileServer.prototype.remove = function ( url ) {
+    this.resources.delete(url.split('/')[3]);
+};
+
+
+/**
+ * Answer a renderer request.
+ *
+ * @param {http.IncomingMessage} req request
+ * @param {http.ServerResponse} res response
+ */
+FileServer.prototype.handleRequest = function ( req, res ) {
+    const resource = this.resources.get(req.url.split('/')[1]);
+
+    debug('%s %s %j', req.method, req.url, req.headers);
+
+    if ( req.method !== 'GET' && req.method !== 'HEAD' ) {
+        res.writeHead(405, {'Allow': 'GET, HEAD'});
+
+        return res.end();
+    }
+
+    if ( !resource ) {
+        res.writeHead(404);
+
+        return res.end();
+    }
+
+    this.getSize(resource, ( error, size ) => {
+        if ( error ) {
+            res.writeHead(404);
+
+            return res.end();
+        }
+
+        const headers = {
+            'Content-Type': resource.contentType,
+            'Accept-Ranges': 'bytes',
+            'transferMode.dlna.org': resource.transferMode,
+            'contentFeatures.dlna.org': resource.contentFeatures
+        };
+
+        // Samsung TVs look for subtitles in media response as well
+        if ( resource.subtitlesUrl ) {
+            headers['CaptionInfo.sec'] = resource.subtitlesUrl;
+        }
+
+        if ( resource.language ) {
+            headers['Content-Language'] = resource.language;
+        }
+
+        let range = {start: 0, end: size - 1},
+            statusCode = 200;
+
+        if ( req.headers.range ) {
+            range = parseRange(req.headers.range, size);
+
+            if ( !range ) {
+                headers['Content-Range'] = 'bytes */' + size;
+                res.writeHead(416, headers);
+
+                return res.end();
+            }
+
+            statusCode = 206;
+            headers['Content-Range'] = 'bytes ' + range.start + '-' + range.end + '/' + size;
+        }
+
+        headers['Content-Length'] = size === 0 ? 0 : range.end - range.start + 1;
+        res.writeHead(statusCode, headers);
+
+        if ( req.method === 'HEAD' || size === 0 ) {
+            return res.end();
+        }
+
+        if ( resource.buffer ) {
+            res.end(resource.buffer.slice(range.start, range.end + 1));
+        } else {
+            fs.createReadStream(resource.path, {start: range.start, end: range.end})
+                .on('error', () => res.destroy())
+                .pipe(res);
+        }
+    });
+};
+
+
+/**
+ * Get current size of resource content.
+ *
+ * @param {Object} resource registered resource
+ * @param {function} callback method to invoke with a result of operation
+ */
+FileServer.prototype.getSize = function ( resource, callback ) {
+    if ( resource.buffer ) {
+        return process.nextTick(callback, null, resource.buffer.length);
+    }
+
+    fs.stat(resource.path, ( error, stats ) => callback(error, stats && stats.size));
+};
+
+
+FileServer.lookupContentType = lookupContentType;
+
+module.exports = FileServer;
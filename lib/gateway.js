@@ -0,0 +1,566 @@
+/**
+ * HTTP and WebSocket gateway to renderers for browser applications.
+ */
+
+'use strict';
+
+const http          = require('http'),
+    url             = require('url'),
+    util            = require('util'),
+    events          = require('events'),
+    crypto          = require('crypto'),
+    websocket       = require('./websocket'),
+    Discovery       = require('./discovery'),
+    debug           = require('debug')('upnp-gateway'),
+    // renderer events pushed to WebSocket clients
+    PUSH_EVENTS     = ['status', 'playing', 'paused', 'stopped', 'speedChanged'],
+    // POST actions and how to call them with request body
+    ACTIONS         = {
+        play: ( client, body, callback ) => client.play(body.speed, callback),
+        pause: ( client, body, callback ) => client.pause(callback),
+        stop: ( client, body, callback ) => client.stop(callback),
+        next: ( client, body, callback ) => client.next(callback),
+        previous: ( client, body, callback ) => client.previous(callback),
+        seek: ( client, body, callback ) => client.seek(body.target, {unit: body.unit}, callback),
+        skip: ( client, body, callback ) => client.skip(body.seconds, callback),
+        load: ( client, body, callback ) => client.setUri(body.url, body, callback),
+        volume: ( client, body, callback ) => client.setVolume(body.volume, body.channel, callback),
+        mute: ( client, body, callback ) => client.setMute({mute: body.mute, channel: body.channel}, callback),
+        playMode: ( client, body, callback ) => client.setPlayMode(body.mode, callback)
+    },
+    // HTTP status codes of error codes, others are device failures
+    STATUS_CODES    = {
+        EINVAL: 400,
+        ERANGE: 400,
+        EBODY: 400,
+        ENOTALLOWED: 409,
+        ENOACTION: 501,
+        ENOSERVICE: 501,
+        ETIMEDOUT: 504
+    },
+    // checks of argument types with their descriptions for error messages
+    ARGUMENT_TYPES  = {
+        string: {description: 'a non-empty string', check: value => typeof value === 'string' && value !== ''},
+        number: {description: 'a number', check: value => typeof value === 'number' && isFinite(value)},
+        boolean: {description: 'a boolean', check: value => typeof value === 'boolean'},
+        position: {
+            description: 'a number or a non-empty string',
+            check: value => (typeof value === 'number' && isFinite(value)) || (typeof value === 'string' && value !== '')
+        }
+    },
+    // arguments actions can't go without and their types
+    REQUIRED        = {
+        load: {url: 'string'},
+        seek: {target: 'position'},
+        skip: {seconds: 'number'},
+        volume: {volume: 'number'},
+        mute: {mute: 'boolean'},
+        playMode: {mode: 'string'}
+    },
+    MAX_BODY_LENGTH = 65536;
+
+
+/**
+ * Get public description of renderer.
+ *
+ * @param {Object} renderer registered renderer
+ *
+ * @return {Object} renderer id, address and device description fields
+ */
+function describe ( renderer ) {
+    const desc = renderer.client.deviceDescription || {};
+
+    return {
+        id: renderer.id,
+        location: renderer.client.url,
+        friendlyName: desc.friendlyName,
+        manufacturer: desc.manufacturer,
+        modelName: desc.modelName,
+        deviceType: desc.deviceType
+    };
+}
+
+
+/**
+ * Read JSON request body.
+ *
+ * @param {http.IncomingMessage} req request
+ * @param {function} callback method to invoke with parsed body, empty object for empty one
+ */
+function readJson ( req, callback ) {
+    const chunks = [];
+
+    let length = 0;
+
+    req.on('data', chunk => {
+        length += chunk.length;
+
+        if ( length <= MAX_BODY_LENGTH ) {
+            chunks.push(chunk);
+        }
+    });
+
+    req.on('end', () => {
+        const text = Buffer.concat(chunks).toString(),
+            error = new Error('Request body must be a JSON object up to ' + MAX_BODY_LENGTH + ' bytes');
+
+        let body = null;
+
+        error.code = 'EBODY';
+
+        try {
+            body = text.trim() ? JSON.parse(text) : {};
+        } catch ( parseError ) {
+            debug('malformed body: %s', parseError.message);
+        }
+
+        if ( length > MAX_BODY_LENGTH || !body || typeof body !== 'object' || Array.isArray(body) ) {
+            callback(error);
+        } else {
+            callback(null, body);
+        }
+    });
+}
+
+
+/**
+ * Send JSON response.
+ *
+ * @param {http.ServerResponse} res response
+ * @param {number} statusCode HTTP status code
+ * @param {*} data response body
+ */
+function sendJson ( res, statusCode, data ) {
+    const body = JSON.stringify(data);
+
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+}
+
+
+/**
+ * Send error response, failures of renderer give 502.
+ *
+ * @param {http.ServerResponse} res response
+ * @param {Error} error failure
+ */
+function sendError ( res, error ) {
+    sendJson(res, STATUS_CODES[error.code] || 502, {
+        error: {
+            code: error.code,
+            message: error.message,
+            errorCode: error.errorCode,
+            errorName: error.errorName
+        }
+    });
+}
+
+
+/**
+ * Check that request body has arguments required by action.
+ *
+ * @param {string} action action name
+ * @param {Object} body parsed request body
+ *
+ * @return {Error|null} error with `EINVAL` code and `argument` name, null if body is fine
+ */
+function checkBody ( action, body ) {
+    const required = REQUIRED[action] || {},
+        name = Object.keys(required).find(key => !ARGUMENT_TYPES[required[key]].check(body[key]));
+
+    let error = null;
+
+    if ( name ) {
+        error = new Error('Argument ' + name + ' must be ' + ARGUMENT_TYPES[required[name]].description);
+        error.code = 'EINVAL';
+        error.argument = name;
+    }
+
+    return error;
+}
+
+
+/**
+ * Split and decode API path.
+ *
+ * @param {string} pathname path after API prefix
+ *
+ * @return {Array|null} path segments, null if path is malformed
+ */
+function decodePath ( pathname ) {
+    try {
+        return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch ( error ) {
+        // e.g. `%E0%A4%A` is not a valid escape sequence
+        debug('malformed path %s: %s', pathname, error.message);
+
+        return null;
+    }
+}
+
+
+/**
+ * Expose renderers to browsers with REST API and push their events over WebSocket.
+ *
+ * REST API under `prefix`:
+ *
+ *     GET  /renderers                 list of renderers
+ *     GET  /renderers/:id             renderer description
+ *     GET  /renderers/:id/state       AVTransport and RenderingControl state
+ *     POST /renderers/:id/:action     play, pause, stop, next, previous, seek, skip, load, volume, mute or playMode
+ *                                     with arguments in JSON body, e.g. {"volume": 20}
+ *
+ * WebSocket connections to `prefix + '/events'` receive `{renderer, event, args}` messages,
+ * including `error` and `subscriptionError` ones on subscription failures, `?renderer=id` limits them to a single renderer.
+ *
+ * Emits `error` (error) on failures of discovery.
+ *
+ * @param {Object} [options] gateway options
+ * @param {string} [options.prefix='/api'] path prefix of API
+ * @param {string} [options.token] secret to require as `Authorization: Bearer` header or `token` query parameter
+ * @param {boolean|Object} [options.discovery] discover renderers, Discovery options may be given
+ *
+ * @constructor
+ */
+function Gateway ( options ) {
+    options = options || {};
+
+    events.EventEmitter.call(this);
+
+    this.prefix = (options.prefix === undefined ? '/api' : options.prefix).replace(/\/$/, '');
+    this.token = options.token || null;
+    // renderers by id
+    this.renderers = new Map();
+    this.sockets = new Set();
+    this.server = null;
+    this.discovery = null;
+
+    if ( options.discovery ) {
+        this.discovery = new Discovery(options.discovery === true ? {} : options.discovery);
+        this.discovery.on('found', ( client, info ) => this.add(client, info.udn));
+        this.discovery.on('lost', ( client, info ) => this.remove(info.udn));
+        this.discovery.on('error', error => this.emit('error', error));
+        // bind errors, e.g. busy SSDP port, come to start callback rather than as events
+        this.discovery.start(error => {
+            if ( error ) {
+                this.emit('error', error);
+            }
+        });
+    }
+}
+
+util.inherits(Gateway, events.EventEmitter);
+
+
+/**
+ * Make renderer available.
+ *
+ * @param {MediaRendererClient} client renderer client
+ * @param {string} [id] renderer id, UDN of device by default, which requires its description to be fetched
+ */
+Gateway.prototype.add = function ( client, id ) {
+    const renderer = {id: id || client.deviceDescription.UDN, client: client, listeners: null};
+
+    debug('add %s', renderer.id);
+    this.remove(renderer.id);
+    this.renderers.set(renderer.id, renderer);
+
+    if ( this.sockets.size ) {
+        this.watch(renderer);
+    }
+};
+
+
+/**
+ * Forget renderer.
+ *
+ * @param {string} id renderer id
+ */
+Gateway.prototype.remove = function ( id ) {
+    const renderer = this.renderers.get(id);
+
+    if ( renderer ) {
+        debug('remove %s', id);
+        this.unwatch(renderer);
+        this.renderers.delete(id);
+    }
+};
+
+
+/**
+ * Start forwarding renderer events to WebSocket clients.
+ *
+ * @param {Object} renderer registered renderer
+ */
+Gateway.prototype.watch = function ( renderer ) {
+    if ( renderer.listeners ) {
+        return;
+    }
+
+    renderer.listeners = {};
+
+    PUSH_EVENTS.forEach(eventName => {
+        renderer.listeners[eventName] = function () {
+            this.push(renderer.id, eventName, Array.prototype.slice.call(arguments));
+        }.bind(this);
+
+        renderer.client.on(eventName, renderer.listeners[eventName]);
+    });
+
+    // failed subscriptions are reported to clients instead of crashing the process
+    ['error', 'subscriptionError'].forEach(eventName => {
+        renderer.listeners[eventName] = error => {
+            debug('%s failed: %s', renderer.id, error.message);
+            this.push(renderer.id, eventName, [{code: error.code, message: error.message}]);
+        };
+
+        renderer.client.on(eventName, renderer.listeners[eventName]);
+    });
+};
+
+
+/**
+ * Stop forwarding renderer events, so renderer subscriptions are cancelled.
+ *
+ * @param {Object} renderer registered renderer
+ */
+Gateway.prototype.unwatch = function ( renderer ) {
+    if ( renderer.listeners ) {
+        Object.keys(renderer.listeners).forEach(eventName => {
+            renderer.client.removeListener(eventName, renderer.listeners[eventName]);
+        });
+        renderer.listeners = null;
+    }
+};
+
+
+/**
+ * Send renderer event to interested WebSocket clients.
+ *
+ * @param {string} id renderer id
+ * @param {string} eventName event name
+ * @param {Array} args event arguments
+ */
+Gateway.prototype.push = function ( id, eventName, args ) {
+    const message = JSON.stringify({renderer: id, event: eventName, args: args});
+
+    this.sockets.forEach(socket => {
+        if ( !socket.renderer || socket.renderer === id ) {
+            socket.send(message);
+        }
+    });
+};
+
+
+/**
+ * Serve requests of an existing HTTP server, its other requests and upgrades are left to its own handlers.
+ *
+ * @param {http.Server} server HTTP server
+ */
+Gateway.prototype.attach = function ( server ) {
+    const handlers = server.listeners('request'),
+        upgradeHandlers = server.listeners('upgrade');
+
+    server.removeAllListeners('request');
+    server.on('request', ( req, res ) => {
+        this.handleRequest(req, res, () => {
+            if ( handlers.length ) {
+                handlers.forEach(handler => handler.call(server, req, res));
+            } else {
+                sendJson(res, 404, {error: {code: 'ENOTFOUND', message: 'Not found'}});
+            }
+        });
+    });
+
+    server.removeAllListeners('upgrade');
+    server.on('upgrade', ( req, socket, head ) => {
+        this.handleUpgrade(req, socket, head, upgradeHandlers.length ? () => {
+            upgradeHandlers.forEach(handler => handler.call(server, req, socket, head));
+        } : null);
+    });
+};
+
+
+/**
+ * Start a server of its own.
+ *
+ * @param {number} port port to listen on
+ * @param {string} [host] address to listen on
+ * @param {function} [callback] method to invoke when server is ready
+ *
+ * @return {http.Server} server
+ */
+Gateway.prototype.listen = function ( port, host, callback ) {
+    this.server = http.createServer();
+    this.attach(this.server);
+
+    return this.server.listen(port, host, callback);
+};
+
+
+/**
+ * Stop discovery and own server, close WebSocket connections and cancel renderer subscriptions.
+ */
+Gateway.prototype.close = function () {
+    if ( this.discovery ) {
+        this.discovery.stop();
+    }
+
+    if ( this.server ) {
+        this.server.close();
+        this.server = null;
+    }
+
+    this.sockets.forEach(socket => socket.close(1001));
+    this.renderers.forEach(renderer => this.unwatch(renderer));
+};
+
+
+/**
+ * Tell whether request carries the right token.
+ *
+ * @param {http.IncomingMessage} req request
+ * @param {Object} query parsed query string
+ *
+ * @return {boolean} true if access is allowed
+ */
+Gateway.prototype.authorize = function ( req, query ) {
+    if ( !this.token ) {
+        return true;
+    }
+
+    const match = (/^Bearer\s+(.+)$/i).exec(req.headers.authorization || ''),
+        given = Buffer.from(String((match && match[1]) || query.token || '')),
+        expected = Buffer.from(this.token);
+
+    // constant time comparison doesn't reveal the token by response timing
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+
+/**
+ * Answer API request, pass others to `next`.
+ *
+ * May be used as a middleware of other frameworks.
+ *
+ * @param {http.IncomingMessage} req request
+ * @param {http.ServerResponse} res response
+ * @param {function} [next] method to invoke for requests outside of API
+ */
+Gateway.prototype.handleRequest = function ( req, res, next ) {
+    const parsed = url.parse(req.url, true),
+        pathname = parsed.pathname;
+
+    if ( pathname === this.prefix || pathname.indexOf(this.prefix + '/') === 0 ) {
+        debug('%s %s', req.method, pathname);
+        this.route(req, res, parsed);
+    } else if ( next ) {
+        next();
+    } else {
+        sendJson(res, 404, {error: {code: 'ENOTFOUND', message: 'Not found'}});
+    }
+};
+
+
+/**
+ * Answer API request.
+ *
+ * @param {http.IncomingMessage} req request
+ * @param {http.ServerResponse} res response
+ * @param {Object} parsed parsed request URL
+ */
+Gateway.prototype.route = function ( req, res, parsed ) {
+    const parts = decodePath(parsed.pathname.slice(this.prefix.length)),
+        renderer = parts && parts[0] === 'renderers' && parts[1] ? this.renderers.get(parts[1]) : null,
+        reply = ( error, result ) => error ? sendError(res, error) : sendJson(res, 200, result === undefined ? {} : result);
+
+    if ( !this.authorize(req, parsed.query) ) {
+        sendJson(res, 401, {error: {code: 'EACCES', message: 'Invalid token'}});
+    } else if ( !parts ) {
+        sendJson(res, 400, {error: {code: 'EINVAL', message: 'Malformed path'}});
+    } else if ( parts[0] !== 'renderers' || parts.length > 3 || (parts[1] && !renderer) ) {
+        sendJson(res, 404, {error: {code: 'ENOTFOUND', message: 'Not found'}});
+    } else if ( req.method === 'GET' && parts.length === 1 ) {
+        reply(null, Array.from(this.renderers.values()).map(describe));
+    } else if ( req.method === 'GET' && parts.length === 2 ) {
+        reply(null, describe(renderer));
+    } else if ( req.method === 'GET' && parts[2] === 'state' ) {
+        renderer.client.refreshState(reply);
+    } else if ( req.method === 'POST' && parts.length === 3 && ACTIONS.hasOwnProperty(parts[2]) ) {
+        readJson(req, ( error, body ) => {
+            error = error || checkBody(parts[2], body);
+
+            if ( error ) {
+                reply(error);
+            } else {
+                ACTIONS[parts[2]](renderer.client, body, reply);
+            }
+        });
+    } else {
+        sendJson(res, 404, {error: {code: 'ENOTFOUND', message: 'Not found'}});
+    }
+};
+
+
+/**
+ * Accept WebSocket connection for events, pass other upgrades to `next`.
+ *
+ * Upgrades outside of API are refused if there is no `next`, so their connections don't hang.
+ *
+ * @param {http.IncomingMessage} req upgrade request
+ * @param {net.Socket} socket request connection
+ * @param {Buffer} [head] first packet of upgraded stream
+ * @param {function} [next] method to invoke for other upgrades
+ */
+Gateway.prototype.handleUpgrade = function ( req, socket, head, next ) {
+    const parsed = url.parse(req.url, true);
+
+    if ( parsed.pathname !== this.prefix + '/events' ) {
+        if ( next ) {
+            next();
+        } else {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        }
+    } else if ( this.authorize(req, parsed.query) ) {
+        this.connect(websocket.accept(req, socket), parsed.query.renderer);
+    } else {
+        socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+    }
+};
+
+
+/**
+ * Start pushing events to WebSocket client.
+ *
+ * @param {WebSocket|null} ws accepted connection, null if handshake failed
+ * @param {string} [rendererId] renderer to push events of, all by default
+ */
+Gateway.prototype.connect = function ( ws, rendererId ) {
+    if ( !ws ) {
+        return;
+    }
+
+    ws.renderer = rendererId || null;
+    this.sockets.add(ws);
+    debug('websocket connected, %d in total', this.sockets.size);
+
+    // renderers are subscribed to only while somebody listens
+    if ( this.sockets.size === 1 ) {
+        this.renderers.forEach(renderer => this.watch(renderer));
+    }
+
+    ws.on('close', () => {
+        this.sockets.delete(ws);
+        debug('websocket disconnected, %d left', this.sockets.size);
+
+        if ( !this.sockets.size ) {
+            this.renderers.forEach(renderer => this.unwatch(renderer));
+        }
+    });
+};
+
+
+module.exports = Gateway;
@@ -0,0 +1,335 @@
+/**
+ * ContentDirectory client of MediaServer devices.
+ */
+
+'use strict';
+
+const util            = require('util'),
+    DeviceClient      = require('./device.client'),
+    didl              = require('./didl'),
+    dataTypes         = require('./data.types'),
+    errors            = require('./errors'),
+    callbackOrPromise = require('./promise'),
+    debug             = require('debug')('upnp-mediaserver-client'),
+    UPDATE_EVENTS     = [
+        'systemUpdate',
+        'containerUpdate'
+    ],
+    // ObjectID of the root container
+    ROOT_ID           = '0';
+
+
+/**
+ * Browse and search libraries of a MediaServer.
+ *
+ * Emits `systemUpdate` (updateId) when anything on server is changed
+ * and `containerUpdate` (containerId, updateId) for changed containers, if server tracks them.
+ * ContentDirectory is subscribed to only while there are listeners of these events.
+ *
+ * @param {string} url XML config address
+ * @param {Object} [options] request options, the same as for MediaRendererClient
+ * @param {string} [options.device] embedded device to bind to by type or UDN, the first MediaServer by default
+ *
+ * @constructor
+ */
+function MediaServerClient ( url, options ) {
+    DeviceClient.call(this, url, options);
+
+    const handler = e => this.handleUpdate(e);
+
+    let refs = 0;
+
+    this.addListener('newListener', eventName => {
+        if ( UPDATE_EVENTS.indexOf(eventName) !== -1 && refs++ === 0 ) {
+            this.subscribe('ContentDirectory', handler);
+        }
+    });
+
+    this.addListener('removeListener', eventName => {
+        if ( UPDATE_EVENTS.indexOf(eventName) !== -1 && --refs === 0 ) {
+            this.unsubscribe('ContentDirectory', handler);
+        }
+    });
+}
+
+util.inherits(MediaServerClient, DeviceClient);
+
+
+MediaServerClient.prototype.defaultDevice = 'MediaServer';
+
+
+/**
+ * Emit update events of ContentDirectory event.
+ *
+ * @param {Object} e service event
+ */
+MediaServerClient.prototype.handleUpdate = function ( e ) {
+    if ( e.hasOwnProperty('SystemUpdateID') ) {
+        this.emit('systemUpdate', Number(e.SystemUpdateID));
+    }
+
+    // pairs of container id and its update id: `12,3,15,7`
+    const values = dataTypes.splitList(e.ContainerUpdateIDs);
+
+    for ( let index = 0; index + 1 < values.length; index += 2 ) {
+        debug('container %s is updated', values[index]);
+        this.emit('containerUpdate', values[index], Number(values[index + 1]));
+    }
+};
+
+
+/**
+ * Get children of a container.
+ *
+ * Servers may return fewer children than asked, the rest is requested with the next `start`.
+ *
+ * @param {string} [containerId='0'] container ObjectID, the root one by default
+ * @param {Object} [options] request options
+ * @param {number} [options.start=0] index of the first child
+ * @param {number} [options.count=0] number of children to return, 0 for as many as server gives
+ * @param {string|Array} [options.sort] sort criteria, e.g. `['+upnp:artist', '-dc:date']`, see `getSortCapabilities`
+ * @param {string|Array} [options.filter='*'] properties to return, all by default
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} page of children `{items, start, returned, total, updateId}` if no callback was given
+ */
+MediaServerClient.prototype.browse = function ( containerId, options, callback ) {
+    if ( typeof containerId === 'function' ) {
+        callback = containerId;
+        containerId = ROOT_ID;
+        options = {};
+    } else if ( typeof options === 'function' ) {
+        callback = options;
+        options = {};
+    }
+
+    options = options || {};
+
+    return callbackOrPromise(callback, done => {
+        const params = Object.assign({
+            ObjectID: containerId === undefined || containerId === null ? ROOT_ID : String(containerId),
+            BrowseFlag: 'BrowseDirectChildren'
+        }, pageParams(options));
+
+        this.callAction('ContentDirectory', 'Browse', params, ( err, result ) => {
+            if ( err ) {
+                return done(err);
+            }
+
+            parsePage(result, options, done);
+        });
+    });
+};
+
+
+/**
+ * Get an item or a container itself.
+ *
+ * @param {string} objectId ObjectID
+ * @param {Object} [options] request options
+ * @param {string|Array} [options.filter='*'] properties to return, all by default
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} DIDL-Lite object description if no callback was given
+ */
+MediaServerClient.prototype.getMetadata = function ( objectId, options, callback ) {
+    if ( typeof options === 'function' ) {
+        callback = options;
+        options = {};
+    }
+
+    options = options || {};
+
+    return callbackOrPromise(callback, done => {
+        const params = {
+            ObjectID: String(objectId),
+            BrowseFlag: 'BrowseMetadata',
+            Filter: formatList(options.filter, '*'),
+            StartingIndex: 0,
+            RequestedCount: 0,
+            SortCriteria: ''
+        };
+
+        this.callAction('ContentDirectory', 'Browse', params, ( err, result ) => {
+            if ( err ) {
+                return done(err);
+            }
+
+            parsePage(result, options, ( error, page ) => {
+                if ( error ) {
+                    return done(error);
+                }
+
+                if ( !page.items.length ) {
+                    const error = new Error('Object ' + objectId + ' is not found');
+
+                    error.code = 'ENOTFOUND';
+
+                    return done(error);
+                }
+
+                done(null, page.items[0]);
+            });
+        });
+    });
+};
+
+
+/**
+ * Search a container and its descendants.
+ *
+ * @param {string|null} containerId container ObjectID, null for the root one
+ * @param {string} criteria search criteria, e.g. `upnp:class derivedfrom "object.item.audioItem" and dc:title contains "love"`
+ * @param {Object} [options] the same as for `browse`
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} page of found objects `{items, start, returned, total, updateId}` if no callback was given
+ */
+MediaServerClient.prototype.search = function ( containerId, criteria, options, callback ) {
+    if ( typeof options === 'function' ) {
+        callback = options;
+        options = {};
+    }
+
+    options = options || {};
+
+    return callbackOrPromise(callback, done => {
+        const params = Object.assign({
+            ContainerID: containerId === undefined || containerId === null ? ROOT_ID : String(containerId),
+            SearchCriteria: criteria || '*'
+        }, pageParams(options));
+
+        this.callAction('ContentDirectory', 'Search', params, ( err, result ) => {
+            if ( err ) {
+                return done(err);
+            }
+
+            parsePage(result, options, done);
+        });
+    });
+};
+
+
+/**
+ * Get properties server is able to search by.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} property names, e.g. `['dc:title', 'upnp:class']`, `['*']` for any, if no callback was given
+ */
+MediaServerClient.prototype.getSearchCapabilities = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.callAction('ContentDirectory', 'GetSearchCapabilities', {}, function ( err, result ) {
+            if ( err ) {
+                return done(err);
+            }
+
+            done(null, dataTypes.splitList(result.SearchCaps));
+        });
+    });
+};
+
+
+/**
+ * Get properties server is able to sort by.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} property names, e.g. `['dc:title', 'dc:date']` if no callback was given
+ */
+MediaServerClient.prototype.getSortCapabilities = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.callAction('ContentDirectory', 'GetSortCapabilities', {}, function ( err, result ) {
+            if ( err ) {
+                return done(err);
+            }
+
+            done(null, dataTypes.splitList(result.SortCaps));
+        });
+    });
+};
+
+
+/**
+ * Get update id of the whole server, changed with any change of its content.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} update id if no callback was given
+ */
+MediaServerClient.prototype.getSystemUpdateId = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.callAction('ContentDirectory', 'GetSystemUpdateID', {}, function ( err, result ) {
+            if ( err ) {
+                return done(err);
+            }
+
+            done(null, Number(result.Id));
+        });
+    });
+};
+
+
+/**
+ * Build paging, sorting and filtering arguments of Browse and Search.
+ *
+ * @param {Object} options request options
+ *
+ * @return {Object} action arguments
+ */
+function pageParams ( options ) {
+    return {
+        Filter: formatList(options.filter, '*'),
+        StartingIndex: options.start || 0,
+        RequestedCount: options.count || 0,
+        SortCriteria: formatList(options.sort, '')
+    };
+}
+
+
+/**
+ * Parse results of Browse or Search.
+ *
+ * @param {Object} result action results
+ * @param {Object} options request options
+ * @param {function} callback method to invoke with a page of objects
+ */
+function parsePage ( result, options, callback ) {
+    let items;
+
+    try {
+        items = didl.parse(result.Result);
+    } catch ( error ) {
+        return callback(new errors.ProtocolError('Malformed DIDL-Lite result', {cause: error}));
+    }
+
+    callback(null, {
+        items: items,
+        start: options.start || 0,
+        returned: Number(result.NumberReturned),
+        total: Number(result.TotalMatches),
+        updateId: Number(result.UpdateID)
+    });
+}
+
+
+/**
+ * Join list argument.
+ *
+ * @param {string|Array} [value] list or its string
+ * @param {string} fallback value if list is not given
+ *
+ * @return {string} comma separated list
+ */
+function formatList ( value, fallback ) {
+    if ( value === undefined || value === null ) {
+        return fallback;
+    }
+
+    return [].concat(value).join(',');
+}
+
+
+MediaServerClient.ROOT_ID = ROOT_ID;
+
+module.exports = MediaServerClient;
@@ -0,0 +1,524 @@
+/**
+ * Playback queue on top of MediaRendererClient.
+ */
+
+'use strict';
+
+const util            = require('util'),
+    events            = require('events'),
+    debug             = require('debug')('upnp-playback-queue'),
+    callbackOrPromise = require('./promise'),
+    REPEAT_MODES      = ['none', 'one', 'all'];
+
+
+/**
+ * Normalize queue item given as address or as an object.
+ *
+ * @param {string|Object} item media address or item description
+ *
+ * @return {{url: string, options: Object}} queue item
+ */
+function normalizeItem ( item ) {
+    if ( typeof item === 'string' ) {
+        return {url: item, options: {}};
+    }
+
+    return {url: item.url, options: item.options || {}};
+}
+
+
+/**
+ * Shuffle array in place.
+ *
+ * @param {Array} list array to shuffle
+ *
+ * @return {Array} the same array
+ */
+function shuffleList ( list ) {
+    for ( let i = list.length - 1; i > 0; i-- ) {
+        const j = Math.floor(Math.random() * (i + 1)),
+            tmp = list[i];
+
+        list[i] = list[j];
+        list[j] = tmp;
+    }
+
+    return list;
+}
+
+
+/**
+ * Play a list of media items on a renderer one after another.
+ *
+ * The following item is loaded ahead with SetNextAVTransportURI for gapless transition if renderer supports it,
+ * otherwise it is loaded when the client reports `ended` for the current one,
+ * so stops by user or from the renderer remote in the middle of an item don't switch to the next one.
+ *
+ * Emits `change` (item, index) when the current item changes, `end` when there is nothing left to play
+ * and `error` when automatic transition fails.
+ *
+ * @param {MediaRendererClient} client renderer to play on
+ * @param {Object} [options] queue options
+ * @param {Array} [options.items] initial list of items
+ * @param {string} [options.repeat='none'] repeat mode: `none`, `one` or `all`
+ * @param {boolean} [options.shuffle=false] whether to play items in random order
+ * @param {boolean} [options.gapless=true] whether to use SetNextAVTransportURI
+ *
+ * @constructor
+ */
+function PlaybackQueue ( client, options ) {
+    options = options || {};
+
+    events.EventEmitter.call(this);
+
+    this.client = client;
+    this.items = [];
+    // play order as a list of item indexes
+    this.order = [];
+    // current position in play order
+    this.position = -1;
+    this.repeat = 'none';
+    this.shuffle = false;
+    this.gapless = options.gapless !== false;
+    // position of the item loaded with SetNextAVTransportURI
+    this.armed = -1;
+    // increased on each change of the armed item, so outdated SetNextAVTransportURI answers are dropped
+    this.armGeneration = 0;
+    // renderer reached playing state after the last load
+    this.started = false;
+    this.loading = false;
+    this.stopped = true;
+
+    this.onstatus = this.onstatus.bind(this);
+    this.onended = this.onended.bind(this);
+    this.client.on('status', this.onstatus);
+    // position tracking of client tells the end of media from other stops
+    this.client.on('ended', this.onended);
+
+    if ( options.repeat ) {
+        this.setRepeat(options.repeat);
+    }
+
+    this.add(options.items || []);
+    this.setShuffle(!!options.shuffle);
+}
+
+util.inherits(PlaybackQueue, events.EventEmitter);
+
+
+/**
+ * Current item.
+ *
+ * @type {Object|null}
+ */
+Object.defineProperty(PlaybackQueue.prototype, 'current', {
+    get: function () {
+        return this.position === -1 ? null : this.items[this.order[this.position]];
+    }
+});
+
+
+/**
+ * Append items to the queue.
+ *
+ * @param {string|Object|Array} items media address, item description or a list of them
+ */
+PlaybackQueue.prototype.add = function ( items ) {
+    [].concat(items).forEach(item => {
+        const index = this.items.push(normalizeItem(item)) - 1;
+
+        if ( this.shuffle ) {
+            // put somewhere among not yet played items
+            const from = this.position + 1,
+                at = from + Math.floor(Math.random() * (this.order.length - from + 1));
+
+            this.order.splice(at, 0, index);
+        } else {
+            this.order.push(index);
+        }
+    });
+
+    this.rearm();
+};
+
+
+/**
+ * Remove item from the queue.
+ *
+ * @param {number} index item index
+ */
+PlaybackQueue.prototype.remove = function ( index ) {
+    const orderIndex = this.order.indexOf(index);
+
+    if ( orderIndex === -1 ) {
+        return;
+    }
+
+    this.items.splice(index, 1);
+    this.order.splice(orderIndex, 1);
+    this.order = this.order.map(value => value > index ? value - 1 : value);
+
+    // removed current item keeps playing on renderer, the following one is played next
+    if ( orderIndex <= this.position ) {
+        this.position--;
+    }
+
+    // renderer may still switch to the removed item, it's taken as a stop then
+    if ( orderIndex === this.armed ) {
+        this.disarm();
+    } else if ( orderIndex < this.armed ) {
+        this.armed--;
+    }
+
+    // pending arming refers to old positions
+    this.armGeneration++;
+
+    this.rearm();
+};
+
+
+/**
+ * Remove all items from the queue.
+ */
+PlaybackQueue.prototype.clear = function () {
+    this.items = [];
+    this.order = [];
+    this.position = -1;
+    this.disarm();
+};
+
+
+/**
+ * Enable or disable random play order.
+ *
+ * @param {boolean} enabled new state
+ */
+PlaybackQueue.prototype.setShuffle = function ( enabled ) {
+    const current = this.position === -1 ? -1 : this.order[this.position],
+        armed = this.armed === -1 ? -1 : this.order[this.armed];
+
+    this.shuffle = enabled;
+    this.order = this.items.map(( item, index ) => index);
+
+    if ( enabled ) {
+        shuffleList(this.order);
+
+        // keep the current item as the first played one
+        if ( current !== -1 ) {
+            this.order.splice(this.order.indexOf(current), 1);
+            this.order.unshift(current);
+        }
+    }
+
+    this.position = current === -1 ? -1 : this.order.indexOf(current);
+    this.armed = armed === -1 ? -1 : this.order.indexOf(armed);
+    // pending arming refers to old positions
+    this.armGeneration++;
+    this.rearm();
+};
+
+
+/**
+ * Set repeat mode.
+ *
+ * @param {string} mode `none`, `one` or `all`
+ */
+PlaybackQueue.prototype.setRepeat = function ( mode ) {
+    if ( REPEAT_MODES.indexOf(mode) === -1 ) {
+        throw new Error('Unknown repeat mode ' + mode);
+    }
+
+    this.repeat = mode;
+    this.rearm();
+};
+
+
+/**
+ * Get position of the item which should be played after the current one.
+ *
+ * @param {boolean} [manual=false] whether the user asked to skip the current item
+ *
+ * @return {number} position in play order, -1 if there is nothing to play
+ */
+PlaybackQueue.prototype.nextPosition = function ( manual ) {
+    if ( this.order.length === 0 ) {
+        return -1;
+    }
+
+    if ( this.repeat === 'one' && !manual && this.position !== -1 ) {
+        return this.position;
+    }
+
+    if ( this.position + 1 < this.order.length ) {
+        return this.position + 1;
+    }
+
+    return this.repeat === 'all' ? 0 : -1;
+};
+
+
+/**
+ * Start playing item at the given index, or the current one.
+ *
+ * @param {number} [index] item index
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+PlaybackQueue.prototype.play = function ( index, callback ) {
+    if ( typeof index === 'function' ) {
+        callback = index;
+        index = undefined;
+    }
+
+    if ( index === undefined ) {
+        index = this.position === -1 ? this.order[0] : this.order[this.position];
+    }
+
+    return this.jump(index, callback);
+};
+
+
+/**
+ * Switch to item at the given index.
+ *
+ * @param {number} index item index
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+PlaybackQueue.prototype.jump = function ( index, callback ) {
+    return callbackOrPromise(callback, done => {
+        const position = this.order.indexOf(index);
+
+        if ( position === -1 ) {
+            done(new Error('No item at index ' + index));
+        } else {
+            this.load(position, done);
+        }
+    });
+};
+
+
+/**
+ * Switch to the following item.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+PlaybackQueue.prototype.next = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        const position = this.nextPosition(true);
+
+        if ( position === -1 ) {
+            done(new Error('No next item'));
+        } else {
+            this.load(position, done);
+        }
+    });
+};
+
+
+/**
+ * Switch to the preceding item.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+PlaybackQueue.prototype.previous = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        let position = this.position - 1;
+
+        if ( position < 0 ) {
+            position = this.repeat === 'all' ? this.order.length - 1 : -1;
+        }
+
+        if ( position === -1 ) {
+            done(new Error('No previous item'));
+        } else {
+            this.load(position, done);
+        }
+    });
+};
+
+
+/**
+ * Stop playback without switching to the following item.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} completion of operation if no callback was given
+ */
+PlaybackQueue.prototype.stop = function ( callback ) {
+    this.stopped = true;
+
+    return this.client.stop(callback);
+};
+
+
+/**
+ * Stop following renderer events.
+ */
+PlaybackQueue.prototype.destroy = function () {
+    this.client.removeListener('status', this.onstatus);
+    this.client.removeListener('ended', this.onended);
+};
+
+
+/**
+ * Load and play item at the given play order position.
+ *
+ * @param {number} position position in play order
+ * @param {function} callback method to invoke with a result of operation
+ */
+PlaybackQueue.prototype.load = function ( position, callback ) {
+    const item = this.items[this.order[position]];
+
+    debug('load item %d: %s', this.order[position], item.url);
+
+    this.loading = true;
+    this.started = false;
+    this.stopped = false;
+    this.disarm();
+
+    this.client.setUri(item.url, Object.assign({}, item.options, {autoplay: true}), error => {
+        this.loading = false;
+
+        if ( error ) {
+            callback(error);
+        } else {
+            this.setPosition(position);
+            this.arm();
+            callback();
+        }
+    });
+};
+
+
+/**
+ * Change current position and notify listeners.
+ *
+ * @param {number} position position in play order
+ */
+PlaybackQueue.prototype.setPosition = function ( position ) {
+    this.position = position;
+    this.emit('change', this.current, this.order[position]);
+};
+
+
+/**
+ * Load the following item to renderer ahead of time.
+ */
+PlaybackQueue.prototype.arm = function () {
+    const position = this.nextPosition(),
+        item = this.items[this.order[position]],
+        generation = this.disarm();
+
+    // renderer can't report transition to the same address, so rely on stop detection instead
+    if ( !this.gapless || position === -1 || position === this.position ) {
+        return;
+    }
+
+    this.client.setNextUri(item.url, item.options, error => {
+        if ( generation !== this.armGeneration ) {
+            // queue was loaded, cleared or changed meanwhile
+            debug('drop outdated arming of %s', item.url);
+        } else if ( error ) {
+            if ( error.code === 'ENOACTION' ) {
+                debug('gapless transitions are not supported by renderer');
+                this.gapless = false;
+            } else {
+                debug('unable to set next item: %s', error.message);
+            }
+        } else {
+            this.armed = position;
+        }
+    });
+};
+
+
+/**
+ * Forget the armed item.
+ *
+ * @return {number} new arming generation
+ */
+PlaybackQueue.prototype.disarm = function () {
+    this.armed = -1;
+
+    return ++this.armGeneration;
+};
+
+
+/**
+ * Re-arm the following item after queue modification.
+ */
+PlaybackQueue.prototype.rearm = function () {
+    if ( this.position !== -1 && !this.loading && !this.stopped ) {
+        this.arm();
+    }
+};
+
+
+/**
+ * Follow renderer AVTransport state.
+ *
+ * @param {Object} event AVTransport state variables
+ */
+PlaybackQueue.prototype.onstatus = function ( event ) {
+    if ( this.armed !== -1 ) {
+        const armedItem = this.items[this.order[this.armed]];
+
+        if ( event.AVTransportURI === armedItem.url || event.CurrentTrackURI === armedItem.url ) {
+            debug('renderer switched to the next item');
+            this.started = true;
+            this.setPosition(this.armed);
+            this.arm();
+
+            return;
+        }
+    }
+
+    if ( event.TransportState === 'PLAYING' ) {
+        this.started = true;
+    }
+};
+
+
+/**
+ * Switch to the following item when renderer played the current one to its end.
+ */
+PlaybackQueue.prototype.onended = function () {
+    // ignore ends caused by loading and after stop of the queue
+    if ( this.loading || this.stopped || !this.started ) {
+        return;
+    }
+
+    this.started = false;
+    this.advance();
+};
+
+
+/**
+ * Switch to the following item when the current one has ended.
+ */
+PlaybackQueue.prototype.advance = function () {
+    const position = this.nextPosition();
+
+    if ( position === -1 ) {
+        this.stopped = true;
+        this.emit('end');
+
+        return;
+    }
+
+    this.load(position, error => {
+        if ( error ) {
+            this.emit('error', error);
+        }
+    });
+};
+
+
+module.exports = PlaybackQueue;
@@ -0,0 +1,350 @@
+/**
+ * Playback position tracking of a renderer.
+ */
+
+'use strict';
+
+const dataTypes = require('./data.types'),
+    debug       = require('debug')('upnp-position-tracker');
+
+
+/**
+ * Poll renderer position while playing and interpolate it locally between polls.
+ *
+ * Emits on the client `timeupdate` ({position, duration}) every tick while playing and after each poll,
+ * `durationchange` (duration) when track duration is changed and `ended` when media is played to its end.
+ * Poll interval starts from the minimal one and grows while polled positions match interpolated ones.
+ *
+ * @param {MediaRendererClient} client renderer client to poll and emit events on
+ * @param {Object} [options] tracking options
+ * @param {number} [options.interval=1000] milliseconds between `timeupdate` events and the minimal poll interval
+ * @param {number} [options.maxInterval=10000] maximal poll interval in milliseconds
+ * @param {number} [options.drift=1] seconds of difference between polled and interpolated positions to poll more often
+ *
+ * @constructor
+ */
+function PositionTracker ( client, options ) {
+    options = options || {};
+
+    this.client = client;
+    this.interval = options.interval || 1000;
+    this.maxInterval = Math.max(options.maxInterval || 10000, this.interval);
+    this.drift = options.drift || 1;
+    this.pollInterval = this.interval;
+    this.transportState = null;
+    this.speed = 1;
+    this.position = null;
+    this.duration = null;
+    // time of the last known position
+    this.positionAt = 0;
+    // stop() was called by this client, so stopping is not the end of media
+    this.stopRequested = false;
+    this.pollTimer = null;
+    this.tickTimer = null;
+    this.polling = false;
+    this.active = false;
+
+    this.onstatus = e => this.handleStatus(e);
+}
+
+
+/**
+ * Start tracking.
+ */
+PositionTracker.prototype.start = function () {
+    if ( this.active ) {
+        return;
+    }
+
+    debug('start');
+    this.active = true;
+    // transport state comes with the initial AVTransport event
+    this.client.on('status', this.onstatus);
+    this.poll();
+
+    // renderers without events are left with the state at start
+    this.client.getTransportInfo(( err, result ) => {
+        if ( err ) {
+            return debug('unable to get transport state: %s', err.message);
+        }
+
+        if ( this.active && this.transportState === null ) {
+            this.speed = parseSpeed(result.CurrentSpeed);
+            this.setTransportState(result.CurrentTransportState);
+        }
+    });
+};
+
+
+/**
+ * Stop tracking.
+ */
+PositionTracker.prototype.stop = function () {
+    debug('stop');
+    this.active = false;
+    this.client.removeListener('status', this.onstatus);
+    this.clearTimers();
+};
+
+
+/**
+ * Cancel scheduled polls and ticks.
+ */
+PositionTracker.prototype.clearTimers = function () {
+    clearTimeout(this.pollTimer);
+    clearInterval(this.tickTimer);
+    this.pollTimer = null;
+    this.tickTimer = null;
+};
+
+
+/**
+ * Get position interpolated from the last known one.
+ *
+ * @return {number|null} position in seconds
+ */
+PositionTracker.prototype.getPosition = function () {
+    let position = this.position;
+
+    if ( position === null ) {
+        return null;
+    }
+
+    if ( this.transportState === 'PLAYING' ) {
+        position += (Date.now() - this.positionAt) / 1000 * this.speed;
+    }
+
+    position = Math.max(position, 0);
+
+    return this.duration ? Math.min(position, this.duration) : position;
+};
+
+
+/**
+ * Handle AVTransport event.
+ *
+ * @param {Object} e service event
+ */
+PositionTracker.prototype.handleStatus = function ( e ) {
+    if ( e.hasOwnProperty('CurrentTrackDuration') ) {
+        this.setDuration(dataTypes.parseTime(String(e.CurrentTrackDuration)));
+    }
+
+    if ( e.hasOwnProperty('TransportPlaySpeed') ) {
+        // keep position interpolated with the previous speed
+        this.position = this.getPosition();
+        this.positionAt = Date.now();
+        this.speed = parseSpeed(e.TransportPlaySpeed);
+    }
+
+    if ( e.hasOwnProperty('TransportState') && e.TransportState !== this.transportState ) {
+        this.setTransportState(e.TransportState);
+    }
+};
+
+
+/**
+ * Follow transport state changes.
+ *
+ * @param {string} state new transport state
+ */
+PositionTracker.prototype.setTransportState = function ( state ) {
+    const previous = this.transportState,
+        position = this.getPosition();
+
+    debug('%s -> %s at %s', previous, state, position);
+
+    this.position = position;
+    this.positionAt = Date.now();
+    this.transportState = state;
+
+    if ( state === 'STOPPED' || state === 'NO_MEDIA_PRESENT' ) {
+        // renderers reset position on stop, so the end is recognized by the last interpolated one
+        if ( previous === 'PLAYING' && !this.stopRequested && this.isNearEnd(position) ) {
+            this.position = this.duration;
+            this.client.emit('ended');
+        }
+
+        this.stopRequested = false;
+    } else if ( state === 'PLAYING' ) {
+        // new media is loaded without stopping
+        this.stopRequested = false;
+    }
+
+    this.clearTimers();
+
+    if ( state === 'PLAYING' ) {
+        this.tickTimer = setInterval(() => this.tick(), this.interval);
+        this.pollInterval = this.interval;
+    }
+
+    this.poll();
+};
+
+
+/**
+ * Tell whether position is close enough to the end of track to count as played to its end.
+ *
+ * @param {number|null} position position in seconds
+ *
+ * @return {boolean} true if track ended, false if its duration or the position is not known
+ */
+PositionTracker.prototype.isNearEnd = function ( position ) {
+    // a stop of a stream or of a renderer not reporting position can't be told from a user one
+    if ( !this.duration || position === null ) {
+        return false;
+    }
+
+    // position may lag behind by a poll interval
+    return this.duration - position <= Math.max(this.pollInterval / 1000 * this.speed, this.drift) + this.drift;
+};
+
+
+/**
+ * Mark the following stop as requested by user.
+ */
+PositionTracker.prototype.expectStop = function () {
+    this.stopRequested = true;
+};
+
+
+/**
+ * Forget the stop requested by user, e.g. when renderer refused it.
+ */
+PositionTracker.prototype.cancelStop = function () {
+    this.stopRequested = false;
+};
+
+
+/**
+ * Emit interpolated position.
+ */
+PositionTracker.prototype.tick = function () {
+    if ( this.position !== null ) {
+        this.client.emit('timeupdate', {position: this.getPosition(), duration: this.duration});
+    }
+};
+
+
+/**
+ * Change known duration.
+ *
+ * @param {number|null} duration duration in seconds
+ */
+PositionTracker.prototype.setDuration = function ( duration ) {
+    if ( duration !== this.duration ) {
+        this.duration = duration;
+        this.client.emit('durationchange', duration);
+    }
+};
+
+
+/**
+ * Fetch position from renderer now and schedule the next poll while playing.
+ */
+PositionTracker.prototype.poll = function () {
+    if ( !this.active || this.polling ) {
+        return;
+    }
+
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    this.polling = true;
+
+    this.client.getPositionInfo(( err, result ) => {
+        this.polling = false;
+
+        if ( !this.active ) {
+            return;
+        }
+
+        if ( err ) {
+            debug('unable to get position: %s', err.message);
+        } else {
+            this.update(result);
+        }
+
+        if ( this.transportState === 'PLAYING' ) {
+            this.pollTimer = setTimeout(() => this.poll(), this.nextInterval());
+        }
+    });
+};
+
+
+/**
+ * Take polled position.
+ *
+ * @param {Object} result GetPositionInfo results
+ */
+PositionTracker.prototype.update = function ( result ) {
+    const expected = this.getPosition(),
+        position = parsePosition(result);
+
+    this.setDuration(dataTypes.parseTime(String(result.TrackDuration)));
+
+    // renderer may reset position at the end before it reports stopping
+    if ( position === null || (position === 0 && expected !== null && this.isNearEnd(expected)) ) {
+        return;
+    }
+
+    // poll less often while local interpolation keeps up with renderer
+    if ( expected !== null && Math.abs(expected - position) <= this.drift ) {
+        this.pollInterval = Math.min(this.pollInterval * 2, this.maxInterval);
+    } else {
+        this.pollInterval = this.interval;
+    }
+
+    this.position = position;
+    this.positionAt = Date.now();
+    this.tick();
+};
+
+
+/**
+ * Get time till the next poll, shorter close to the end of track.
+ *
+ * @return {number} milliseconds
+ */
+PositionTracker.prototype.nextInterval = function () {
+    const position = this.getPosition();
+
+    if ( this.duration && position !== null && this.speed > 0 ) {
+        return Math.max(Math.min(this.pollInterval, (this.duration - position) / this.speed * 1000), this.interval);
+    }
+
+    return this.pollInterval;
+};
+
+
+/**
+ * Get track position from GetPositionInfo results.
+ *
+ * @param {Object} result action results
+ *
+ * @return {number|null} position in seconds, null if renderer doesn't report it
+ */
+function parsePosition ( result ) {
+    const relative = dataTypes.parseTime(String(result.RelTime));
+
+    return relative === null ? dataTypes.parseTime(String(result.AbsTime)) : relative;
+}
+
+
+/**
+ * Parse `TransportPlaySpeed` value.
+ *
+ * @param {string} speed play speed, e.g. `2` or `1/2`
+ *
+ * @return {number} play speed
+ */
+function parseSpeed ( speed ) {
+    const parts = String(speed).split('/').map(Number),
+        value = parts.length === 2 ? parts[0] / parts[1] : parts[0];
+
+    return isFinite(value) ? value : 1;
+}
+
+
+PositionTracker.parsePosition = parsePosition;
+
+module.exports = PositionTracker;
@@ -0,0 +1,36 @@
+/**
+ * Callback or Promise based completion of asynchronous operations.
+ */
+
+'use strict';
+
+
+/**
+ * Run asynchronous operation and deliver its result to the given callback
+ * or, if there is no callback, through the returned Promise.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ * @param {function} executor method starting the operation, receives node-style `done` callback
+ *
+ * @return {Promise|undefined} operation result if no callback was given
+ */
+function callbackOrPromise ( callback, executor ) {
+    if ( typeof callback === 'function' ) {
+        executor(callback);
+
+        return;
+    }
+
+    return new Promise(( resolve, reject ) => {
+        executor(( error, result ) => {
+            if ( error ) {
+                reject(error);
+            } else {
+                resolve(result);
+            }
+        });
+    });
+}
+
+
+module.exports = callbackOrPromise;
@@ -0,0 +1,203 @@
+/**
+ * DLNA protocolInfo parsing, formatting and negotiation.
+ */
+
+'use strict';
+
+// DLNA parameters of sink entries which don't depend on media profile
+const TRANSFER_PARAMS = ['DLNA.ORG_OP', 'DLNA.ORG_CI', 'DLNA.ORG_FLAGS'];
+
+
+/**
+ * Parse protocolInfo string `<protocol>:<network>:<contentFormat>:<additionalInfo>`.
+ *
+ * @param {string} value protocolInfo string
+ *
+ * @return {{protocol: string, network: string, contentFormat: string, additionalInfo: string, params: Object}} parsed fields
+ */
+function parse ( value ) {
+    const parts = value.trim().split(':'),
+        // additional info itself may contain colons
+        additionalInfo = parts.slice(3).join(':') || '*',
+        params = {};
+
+    if ( additionalInfo !== '*' ) {
+        additionalInfo.split(';').forEach(pair => {
+            const idx = pair.indexOf('=');
+
+            if ( idx > 0 ) {
+                params[pair.slice(0, idx)] = pair.slice(idx + 1);
+            }
+        });
+    }
+
+    return {
+        protocol: parts[0],
+        network: parts[1],
+        contentFormat: parts[2],
+        additionalInfo: additionalInfo,
+        params: params
+    };
+}
+
+
+/**
+ * Parse comma separated list of protocolInfo strings.
+ *
+ * @param {string} value protocolInfo list, e.g. `Sink` value of GetProtocolInfo
+ *
+ * @return {Array} parsed entries
+ */
+function parseList ( value ) {
+    return (value || '').split(',')
+        .filter(item => item.trim())
+        .map(parse);
+}
+
+
+/**
+ * Build protocolInfo string.
+ *
+ * @param {Object} info parsed protocolInfo
+ *
+ * @return {string} protocolInfo string
+ */
+function format ( info ) {
+    return [info.protocol || 'http-get', info.network || '*', info.contentFormat || '*', info.additionalInfo || '*'].join(':');
+}
+
+
+/**
+ * Rate how well a renderer sink entry fits the media.
+ *
+ * @param {Object} sink parsed sink protocolInfo
+ * @param {string} contentType media MIME type
+ * @param {string} [profile] media DLNA profile name
+ *
+ * @return {number} score, 0 if the entry does not fit at all
+ */
+function rate ( sink, contentType, profile ) {
+    const sinkFormat = (sink.contentFormat || '').toLowerCase(),
+        pn = sink.params['DLNA.ORG_PN'];
+
+    let score;
+
+    if ( sink.protocol !== 'http-get' && sink.protocol !== '*' ) {
+        return 0;
+    }
+
+    if ( sinkFormat === contentType ) {
+        score = 4;
+    } else if ( sinkFormat === contentType.split('/')[0] + '/*' ) {
+        score = 2;
+    } else if ( sinkFormat === '*' || sinkFormat === '*/*' ) {
+        score = 1;
+    } else {
+        return 0;
+    }
+
+    if ( pn ) {
+        if ( profile ) {
+            // an entry for another profile means another codec inside the same container
+            return pn === profile ? score + 4 : 0;
+        }
+    } else if ( !profile ) {
+        // without known profile a generic entry is the safest choice
+        score += 1;
+    }
+
+    return score;
+}
+
+
+/**
+ * Find the renderer sink entry fitting the media best.
+ *
+ * @param {Array} sinks parsed renderer sink protocolInfo entries
+ * @param {string} contentType media MIME type
+ * @param {string} [profile] media DLNA profile name
+ *
+ * @return {Object} the best entry as `sink`, null if nothing fits, and its `score`
+ */
+function findBest ( sinks, contentType, profile ) {
+    const best = {sink: null, score: 0};
+
+    contentType = contentType.toLowerCase().split(';')[0].trim();
+
+    sinks.forEach(sink => {
+        const score = rate(sink, contentType, profile);
+
+        if ( score > best.score ) {
+            best.sink = sink;
+            best.score = score;
+        }
+    });
+
+    return best;
+}
+
+
+/**
+ * Rate how well renderer is able to play the media.
+ *
+ * Exact content type beats wildcard entries and a matching DLNA profile beats a generic entry.
+ *
+ * @param {Array} sinks parsed renderer sink protocolInfo entries
+ * @param {string} contentType media MIME type
+ * @param {string} [profile] media DLNA profile name, e.g. `AVC_MP4_HP_HD_AAC`
+ *
+ * @return {number} score of the best entry, 0 if renderer can't play the media
+ */
+function score ( sinks, contentType, profile ) {
+    return findBest(sinks, contentType, profile).score;
+}
+
+
+/**
+ * Pick the best renderer sink entry for the media.
+ *
+ * @param {Array} sinks parsed renderer sink protocolInfo entries
+ * @param {string} contentType media MIME type
+ * @param {string} [profile] media DLNA profile name, e.g. `AVC_MP4_HP_HD_AAC`
+ *
+ * @return {Object|null} protocolInfo to use, null if renderer can't play the media
+ */
+function negotiate ( sinks, contentType, profile ) {
+    const best = findBest(sinks, contentType, profile).sink,
+        params = {};
+
+    if ( !best ) {
+        return null;
+    }
+
+    if ( profile && best.params['DLNA.ORG_PN'] === profile ) {
+        Object.assign(params, best.params);
+    } else {
+        // profile of the entry is not known to fit the media, so only transfer flags are taken
+        TRANSFER_PARAMS
+            .filter(name => best.params.hasOwnProperty(name))
+            .forEach(name => {
+                params[name] = best.params[name];
+            });
+    }
+
+    contentType = contentType.toLowerCase().split(';')[0].trim();
+
+    return {
+        protocol: 'http-get',
+        network: '*',
+        // don't send wildcards from renderer back to it
+        contentFormat: contentType,
+        additionalInfo: Object.keys(params).map(name => name + '=' + params[name]).join(';') || '*',
+        params: params
+    };
+}
+
+
+module.exports = {
+    parse: parse,
+    parseList: parseList,
+    format: format,
+    score: score,
+    negotiate: negotiate
+};
@@ -0,0 +1,499 @@
+/**
+ * Synchronised playback on several renderers.
+ */
+
+'use strict';
+
+const util            = require('util'),
+    events            = require('events'),
+    callbackOrPromise = require('./promise'),
+    PositionTracker   = require('./position.tracker'),
+    errors            = require('./errors'),
+    debug             = require('debug')('upnp-renderer-group'),
+    // weight of the latest measurement in the average latency
+    LATENCY_WEIGHT    = 0.3,
+    // round trips to measure before the first play
+    LATENCY_SAMPLES   = 3;
+
+
+/**
+ * Get allowed range of volume from RenderingControl description.
+ *
+ * @param {MediaRendererClient} client renderer client
+ * @param {function} callback method to invoke with `{minimum, maximum}`, null if renderer doesn't tell
+ */
+function getVolumeRange ( client, callback ) {
+    client.getServiceDescription('RenderingControl', ( error, desc ) => {
+        let action, input, variable;
+
+        if ( error ) {
+            callback(error);
+        } else {
+            action = desc.actions.SetVolume;
+            input = action && action.inputs.find(item => item.name === 'DesiredVolume');
+            variable = desc.stateVariables[input ? input.relatedStateVariable : 'Volume'];
+
+            callback(null, variable && variable.allowedValueRange ? variable.allowedValueRange : null);
+        }
+    });
+}
+
+
+/**
+ * Group of renderers playing the same media.
+ *
+ * Commands are sent to all the members at once, failures of some members don't fail the group:
+ * results come as a list of `{id, error, result}` per member and failures are emitted as `memberError` (id, error).
+ * Members failing with network errors are marked offline until they answer again.
+ *
+ * `Play` is sent to members in order of their latencies, so it reaches all of them at the same time.
+ * While synchronisation is on, positions are compared every `interval` and members drifting away
+ * from the first online member by more than `tolerance` are sought to its position, emitting `drift` (id, seconds).
+ *
+ * @param {Array} [clients] renderer clients to start with
+ * @param {Object} [options] group options
+ * @param {number} [options.interval=5000] milliseconds between position checks
+ * @param {number} [options.tolerance=1] seconds of drift to correct
+ *
+ * @constructor
+ */
+function RendererGroup ( clients, options ) {
+    options = options || {};
+
+    events.EventEmitter.call(this);
+
+    this.members = [];
+    this.volume = null;
+    this.interval = options.interval || 5000;
+    this.tolerance = options.tolerance || 1;
+    this.syncTimer = null;
+    this.syncing = false;
+
+    (clients || []).forEach(client => this.add(client));
+}
+
+util.inherits(RendererGroup, events.EventEmitter);
+
+
+/**
+ * Add renderer to group.
+ *
+ * @param {MediaRendererClient} client renderer client
+ * @param {Object} [options] member options
+ * @param {string} [options.id] member id for results and events, client URL by default
+ * @param {number} [options.volumeOffset=0] difference of member volume from group volume
+ *
+ * @return {Object} member
+ */
+RendererGroup.prototype.add = function ( client, options ) {
+    const member = {
+        id: (options && options.id) || client.url,
+        client: client,
+        volumeOffset: (options && options.volumeOffset) || 0,
+        // average round trip time in milliseconds
+        latency: null,
+        online: true,
+        error: null
+    };
+
+    // the same renderer can't be a member twice
+    this.remove(member.id);
+    this.remove(client);
+    this.members.push(member);
+
+    return member;
+};
+
+
+/**
+ * Remove renderer from group.
+ *
+ * @param {string|MediaRendererClient} member member id or client
+ */
+RendererGroup.prototype.remove = function ( member ) {
+    this.members = this.members.filter(item => item.id !== member && item.client !== member);
+};
+
+
+/**
+ * Find member by id.
+ *
+ * @param {string} id member id
+ *
+ * @return {Object|undefined} member
+ */
+RendererGroup.prototype.get = function ( id ) {
+    return this.members.find(member => member.id === id);
+};
+
+
+/**
+ * Change member volume offset, applied with the next group volume change.
+ *
+ * @param {string} id member id
+ * @param {number} offset difference of member volume from group volume
+ */
+RendererGroup.prototype.setVolumeOffset = function ( id, offset ) {
+    const member = this.get(id);
+
+    if ( member ) {
+        member.volumeOffset = offset;
+    }
+};
+
+
+/**
+ * Run a client method on a member, measuring its latency and following its availability.
+ *
+ * @param {Object} member group member
+ * @param {function} method function taking client, node-style callback and member
+ * @param {function} callback method to invoke with member result
+ */
+RendererGroup.prototype.run = function ( member, method, callback ) {
+    const startedAt = Date.now();
+
+    method(member.client, ( error, result ) => {
+        const duration = Date.now() - startedAt;
+
+        if ( error ) {
+            debug('%s failed: %s', member.id, error.message);
+            member.error = error;
+            // device is not reachable rather than refusing the command
+            member.online = member.online && !(error instanceof errors.NetworkError);
+            this.emit('memberError', member.id, error);
+        } else {
+            member.error = null;
+            member.online = true;
+            member.latency = member.latency === null ? duration : Math.round(member.latency * (1 - LATENCY_WEIGHT) + duration * LATENCY_WEIGHT);
+        }
+
+        callback({id: member.id, error: error || null, result: result});
+    }, member);
+};
+
+
+/**
+ * Run a client method on all the members at once.
+ *
+ * Members removed meanwhile are still in results, so they come with the list of members the method was run on.
+ *
+ * @param {function} method function taking client, node-style callback and member
+ * @param {function} callback method to invoke with a list of member results and a list of members in the same order
+ * @param {function} [delay] function giving milliseconds to wait before running method on a member
+ */
+RendererGroup.prototype.each = function ( method, callback, delay ) {
+    const results = [],
+        members = this.members.slice();
+
+    let left = members.length;
+
+    if ( !left ) {
+        process.nextTick(callback, null, results, members);
+    }
+
+    members.forEach(( member, index ) => {
+        const run = () => this.run(member, method, result => {
+            results[index] = result;
+
+            if ( --left === 0 ) {
+                callback(null, results, members);
+            }
+        });
+
+        // latency is measured from the moment of sending
+        if ( delay ) {
+            setTimeout(run, delay(member));
+        } else {
+            run();
+        }
+    });
+};
+
+
+/**
+ * Load media on all the members.
+ *
+ * @param {string} url media address
+ * @param {Object} [options] the same as for `MediaRendererClient.setUri`
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} member results if no callback was given
+ */
+RendererGroup.prototype.setUri = function ( url, options, callback ) {
+    if ( typeof options === 'function' ) {
+        callback = options;
+        options = {};
+    }
+
+    return callbackOrPromise(callback, done => {
+        this.each(( client, cb ) => client.setUri(url, options, cb), done);
+    });
+};
+
+
+/**
+ * Measure latencies of the members with a few `GetTransportInfo` round trips.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} member results with latencies in milliseconds if no callback was given
+ */
+RendererGroup.prototype.measureLatency = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        let round = 0;
+
+        // failures are in member results
+        const next = ( error, results, members ) => {
+            if ( ++round > LATENCY_SAMPLES ) {
+                done(null, results.map(( result, index ) => Object.assign(result, {result: members[index].latency})));
+            } else {
+                this.each(( client, cb ) => client.getTransportInfo(cb), next);
+            }
+        };
+
+        next();
+    });
+};
+
+
+/**
+ * Start playback on all the members, the slowest ones are asked first.
+ *
+ * Latencies of online members are measured first if not known yet.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} member results if no callback was given
+ */
+RendererGroup.prototype.play = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        const start = () => {
+            const latencies = this.members.map(member => member.latency || 0),
+                slowest = Math.max.apply(null, latencies.concat(0));
+
+            // Play reaches each device in about a half of its round trip
+            this.each(( client, cb ) => client.play(cb), done, member => {
+                const delay = Math.round((slowest - (member.latency || 0)) / 2);
+
+                debug('play %s in %d ms', member.id, delay);
+
+                return delay;
+            });
+        };
+
+        if ( this.members.some(member => member.online && member.latency === null) ) {
+            this.measureLatency(start);
+        } else {
+            start();
+        }
+    });
+};
+
+
+/**
+ * Pause playback on all the members.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} member results if no callback was given
+ */
+RendererGroup.prototype.pause = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.each(( client, cb ) => client.pause(cb), done);
+    });
+};
+
+
+/**
+ * Stop playback on all the members.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} member results if no callback was given
+ */
+RendererGroup.prototype.stop = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.each(( client, cb ) => client.stop(cb), done);
+    });
+};
+
+
+/**
+ * Seek on all the members.
+ *
+ * @param {number|string} target position, see `MediaRendererClient.seek`
+ * @param {Object} [options] the same as for `MediaRendererClient.seek`
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} member results if no callback was given
+ */
+RendererGroup.prototype.seek = function ( target, options, callback ) {
+    if ( typeof options === 'function' ) {
+        callback = options;
+        options = {};
+    }
+
+    return callbackOrPromise(callback, done => {
+        this.each(( client, cb ) => client.seek(target, options, cb), done);
+    });
+};
+
+
+/**
+ * Set group volume, each member gets it with its own offset, limited to volume range of the member.
+ *
+ * @param {number} volume group volume
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} member results if no callback was given
+ */
+RendererGroup.prototype.setVolume = function ( volume, callback ) {
+    this.volume = volume;
+
+    return callbackOrPromise(callback, done => {
+        this.each(( client, cb, member ) => {
+            getVolumeRange(client, ( error, range ) => {
+                // volume is unsigned, the maximum is up to vendor
+                const minimum = range && range.minimum !== undefined ? range.minimum : 0,
+                    maximum = range && range.maximum !== undefined ? range.maximum : Infinity;
+
+                if ( error ) {
+                    cb(error);
+                } else {
+                    client.setVolume(Math.min(Math.max(volume + member.volumeOffset, minimum), maximum), cb);
+                }
+            });
+        }, done);
+    });
+};
+
+
+/**
+ * Start correcting drift of member positions.
+ */
+RendererGroup.prototype.startSync = function () {
+    if ( !this.syncTimer ) {
+        this.syncTimer = setInterval(() => {
+            // runs on slow renderers may take longer than interval, overlapping ones would seek twice
+            if ( this.syncing ) {
+                debug('skip sync, the previous one is in progress');
+            } else {
+                this.syncing = true;
+                this.sync(() => {
+                    this.syncing = false;
+                });
+            }
+        }, this.interval);
+    }
+};
+
+
+/**
+ * Stop correcting drift of member positions.
+ */
+RendererGroup.prototype.stopSync = function () {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+};
+
+
+/**
+ * Compare positions of playing members and seek the ones drifted away.
+ *
+ * Members which are not `PLAYING`, e.g. paused or still buffering, are left as they are.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ *
+ * @return {Promise|undefined} member results with transport `state`, `position` and `drift` in seconds if no callback was given
+ */
+RendererGroup.prototype.sync = function ( callback ) {
+    return callbackOrPromise(callback, done => {
+        this.each(( client, cb ) => {
+            client.getTransportInfo(( error, result ) => {
+                cb(error, error ? null : {state: result.CurrentTransportState, position: null});
+            });
+        // failures are in member results
+        }, ( error, results, members ) => {
+            let left = 1;
+
+            const finish = () => {
+                if ( --left === 0 ) {
+                    this.correct(results, members, done);
+                }
+            };
+
+            results.forEach(( item, index ) => {
+                if ( item.error || item.result.state !== 'PLAYING' ) {
+                    return;
+                }
+
+                left++;
+                this.run(members[index], ( client, cb ) => {
+                    client.getPositionInfo(( error, result ) => {
+                        // position as of the moment of response
+                        cb(error, error ? null : {state: item.result.state, position: PositionTracker.parsePosition(result), at: Date.now()});
+                    });
+                }, result => {
+                    results[index] = result;
+                    finish();
+                });
+            });
+
+            finish();
+        });
+    });
+};
+
+
+/**
+ * Seek members drifted away from the first one with known position.
+ *
+ * @param {Array} results member results with positions
+ * @param {Array} members members in the same order
+ * @param {function} callback method to invoke with member results
+ */
+RendererGroup.prototype.correct = function ( results, members, callback ) {
+    let left = 1,
+        reference;
+
+    const playing = results.filter(item => !item.error && item.result.position !== null),
+        leader = playing[0],
+        now = Date.now(),
+        latency = item => members[results.indexOf(item)].latency || 0,
+        finish = () => {
+            if ( --left === 0 ) {
+                callback(null, results);
+            }
+        };
+
+    if ( !leader ) {
+        callback(null, results);
+
+        return;
+    }
+
+    // the answer left device about a half of round trip before it came
+    reference = leader.result.position + (now - leader.result.at + latency(leader) / 2) / 1000;
+
+    playing.slice(1).forEach(item => {
+        const member = members[results.indexOf(item)],
+            position = item.result.position + (now - item.result.at + latency(item) / 2) / 1000,
+            drift = position - reference;
+
+        item.result.drift = drift;
+
+        if ( Math.abs(drift) > this.tolerance ) {
+            debug('%s drifted by %d s', item.id, drift);
+            this.emit('drift', item.id, drift);
+            left++;
+
+            // the target is where the leader will be when Seek reaches the device
+            this.run(member, ( client, cb ) => client.seek(reference + (member.latency || 0) / 2000, {check: false}, cb), finish);
+        }
+    });
+
+    finish();
+};
+
+
+module.exports = RendererGroup;
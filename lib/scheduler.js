@@ -0,0 +1,148 @@
+/**
+ * Per-device request queue.
+ */
+
+'use strict';
+
+const util   = require('util'),
+    events = require('events'),
+    debug  = require('debug')('upnp-scheduler');
+
+
+/**
+ * Run requests to a device with limited concurrency.
+ *
+ * A request with a coalescing key replaces a not yet started one with the same key,
+ * callbacks of both get the result of the latest one.
+ *
+ * Emits `depth` (queued, running) when the number of queued or running requests changes
+ * and `complete` (info) after each request with `name`, `wait` and `duration` in milliseconds and `error`.
+ *
+ * @param {Object} [options] scheduler options
+ * @param {number} [options.concurrency=1] maximum number of requests running at once
+ *
+ * @constructor
+ */
+function Scheduler ( options ) {
+    options = options || {};
+
+    events.EventEmitter.call(this);
+
+    this.concurrency = options.concurrency || 1;
+    this.queue = [];
+    this.running = 0;
+    this.completed = 0;
+    this.failed = 0;
+    this.coalesced = 0;
+    // total and last time from start to completion of requests
+    this.totalDuration = 0;
+    this.lastDuration = 0;
+    this.maxWait = 0;
+}
+
+util.inherits(Scheduler, events.EventEmitter);
+
+
+/**
+ * Queue request.
+ *
+ * @param {Object} info request details
+ * @param {string} info.name request name for statistics, e.g. action name
+ * @param {string} [info.key] coalescing key, requests with the same key supersede each other
+ * @param {function} task method to start request, receives node-style `done` callback
+ * @param {function} callback method to invoke with a result of request
+ */
+Scheduler.prototype.run = function ( info, task, callback ) {
+    const previous = info.key && this.queue.find(entry => entry.key === info.key);
+
+    if ( previous ) {
+        debug('%s supersedes queued request', info.key);
+        previous.task = task;
+        previous.callbacks.push(callback);
+        this.coalesced++;
+
+        return;
+    }
+
+    this.queue.push({
+        name: info.name,
+        key: info.key,
+        task: task,
+        callbacks: [callback],
+        queuedAt: Date.now()
+    });
+
+    this.emit('depth', this.queue.length, this.running);
+    this.next();
+};
+
+
+/**
+ * Start queued requests while concurrency allows.
+ */
+Scheduler.prototype.next = function () {
+    while ( this.running < this.concurrency && this.queue.length ) {
+        this.start(this.queue.shift());
+    }
+};
+
+
+/**
+ * Start request.
+ *
+ * @param {Object} entry queued request
+ */
+Scheduler.prototype.start = function ( entry ) {
+    const startedAt = Date.now(),
+        wait = startedAt - entry.queuedAt;
+
+    let finished = false;
+
+    this.running++;
+    this.maxWait = Math.max(this.maxWait, wait);
+    this.emit('depth', this.queue.length, this.running);
+
+    entry.task(( error, result ) => {
+        const duration = Date.now() - startedAt;
+
+        if ( finished ) {
+            return;
+        }
+
+        finished = true;
+        this.running--;
+        this.completed++;
+        this.failed += error ? 1 : 0;
+        this.totalDuration += duration;
+        this.lastDuration = duration;
+
+        this.emit('complete', {name: entry.name, wait: wait, duration: duration, error: error || null});
+        this.emit('depth', this.queue.length, this.running);
+
+        entry.callbacks.forEach(callback => callback(error, result));
+        this.next();
+    });
+};
+
+
+/**
+ * Get queue statistics.
+ *
+ * @return {Object} numbers of `queued`, `running`, `completed`, `failed` and `coalesced` requests,
+ * `lastDuration`, `averageDuration` and `maxWait` in milliseconds
+ */
+Scheduler.prototype.stats = function () {
+    return {
+        queued: this.queue.length,
+        running: this.running,
+        completed: this.completed,
+        failed: this.failed,
+        coalesced: this.coalesced,
+        lastDuration: this.lastDuration,
+        averageDuration: this.completed ? Math.round(this.totalDuration / this.completed) : 0,
+        maxWait: this.maxWait
+    };
+};
+
+
+module.exports = Scheduler;
@@ -0,0 +1,85 @@
+/**
+ * Service proxies with a method per action of service description.
+ */
+
+'use strict';
+
+const callbackOrPromise = require('./promise');
+
+
+/**
+ * Make sure action arguments match the action inputs exactly.
+ *
+ * @param {string} actionName action name
+ * @param {Object} action action description
+ * @param {Object} params action arguments
+ *
+ * @return {Error|null} error describing the first bad argument, if any
+ */
+function checkNames ( actionName, action, params ) {
+    const names = action.inputs.map(input => input.name),
+        unknown = Object.keys(params).filter(name => names.indexOf(name) === -1),
+        missing = names.filter(name => params[name] === undefined);
+
+    let error = null;
+
+    if ( unknown.length ) {
+        error = new Error('Unknown argument ' + unknown[0] + ' of action ' + actionName);
+        error.argument = unknown[0];
+    } else if ( missing.length ) {
+        error = new Error('Missing argument ' + missing[0] + ' of action ' + actionName);
+        error.argument = missing[0];
+    }
+
+    if ( error ) {
+        error.code = 'EINVAL';
+    }
+
+    return error;
+}
+
+
+/**
+ * Build a proxy object for service.
+ *
+ * Each action becomes a method taking arguments map (may be omitted for actions without inputs)
+ * and optional callback, e.g. `proxy.Play({InstanceID: 0, Speed: '1'})`.
+ * Arguments are checked before sending, so nothing goes to device on unknown or missing ones.
+ *
+ * @param {DeviceClient} client device client
+ * @param {string} serviceId service to call actions of
+ * @param {Object} desc parsed service description
+ *
+ * @return {Object} proxy with a method per service action
+ */
+function createServiceProxy ( client, serviceId, desc ) {
+    const proxy = {};
+
+    Object.keys(desc.actions).forEach(actionName => {
+        const action = desc.actions[actionName];
+
+        proxy[actionName] = function ( params, callback ) {
+            if ( typeof params === 'function' ) {
+                callback = params;
+                params = undefined;
+            }
+
+            params = params || {};
+
+            return callbackOrPromise(callback, done => {
+                const error = checkNames(actionName, action, params);
+
+                if ( error ) {
+                    return process.nextTick(done, error);
+                }
+
+                client.callAction(serviceId, actionName, params, done);
+            });
+        };
+    });
+
+    return proxy;
+}
+
+
+module.exports = createServiceProxy;
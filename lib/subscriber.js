@@ -1,243 +1,596 @@
 /**
+ * GENA eventing: subscriptions to service events.
  *
+ * All subscriptions of all clients share a single callback HTTP server,
+ * which is started with the first subscription and stopped after the last one is gone.
  */
 
 'use strict';
 
-const http            = require('http'),
-    ip                = require('ip'),
-    util              = require('util'),
-    events            = require('events'),
-    xmlResponseParser = require('parsexmlresponse');
+const http          = require('http'),
+    util            = require('util'),
+    events          = require('events'),
+    parseUrl        = require('url').parse,
+    et              = require('elementtree'),
+    concat          = require('concat-stream'),
+    debug           = require('debug')('upnp-gena'),
+    errors          = require('./errors'),
+    DEFAULT_TIMEOUT = 300,
+    // renew subscription this number of seconds before expiration
+    RENEW_MARGIN    = 30,
+    // milliseconds to wait for response to SUBSCRIBE and UNSUBSCRIBE
+    REQUEST_TIMEOUT = 10000,
+    // SEQ wraps to 1 after this value, 0 is reserved for the initial event
+    MAX_SEQ         = 4294967295,
+    // delays between attempts to restore a lost subscription, in seconds
+    RETRY_DELAY     = 5,
+    RETRY_MAX_DELAY = 300,
+    // how long to keep notifications which came before the SUBSCRIBE response
+    EARLY_TTL       = 5000;
+
+// subscriptions by SID
+let subscriptions = new Map(),
+    // subscriptions waiting for SUBSCRIBE response
+    pendingCount  = 0,
+    // notifications with not yet known SID
+    early         = new Map(),
+    // callbacks waiting for the server to start listening
+    waiting       = [],
+    server        = null,
+    listening     = false;
 
-let httpServerEmitter  = new events(),
-    httpServerStarting = false,
-    httpServerStarted  = false,
-    subscriptions      = new Map(),
-    httpServerPort,
-    httpSubscriptionResponseServer;
 
-httpServerEmitter.setMaxListeners(100);
+/**
+ * Parse NOTIFY request body to a list of events.
+ *
+ * @param {Buffer} buf request body
+ *
+ * @return {Array} events as maps of state variable names to values
+ */
+function parseEvents ( buf ) {
+    let events = [];
+    let doc = et.parse(buf.toString());
+
+    let lastChange = doc.findtext('.//LastChange');
+    if ( lastChange ) {
+        // AVTransport and RenderingControl services embed event data
+        // in an `<Event></Event>` element stored as an URIencoded string.
+        doc = et.parse(lastChange);
+
+        // The `<Event></Event>` element contains one `<InstanceID></InstanceID>`
+        // subtree per stream instance reporting its status.
+        doc.findall('./InstanceID').forEach(instance => {
+            let data = {
+                InstanceID: Number(instance.get('val'))
+            };
+
+            instance.findall('./*').forEach(node => {
+                let channel = node.get('channel');
+
+                if ( channel ) {
+                    // RenderingControl reports some variables per audio channel,
+                    // the top level value is the one of the `Master` channel
+                    data.channels = data.channels || {};
+                    data.channels[node.tag] = data.channels[node.tag] || {};
+                    data.channels[node.tag][channel] = node.get('val');
+
+                    if ( channel !== 'Master' ) {
+                        return;
+                    }
+                }
+
+                data[node.tag] = node.get('val');
+            });
+
+            events.push(data);
+        });
+    } else {
+        // In any other case, each variable is stored separately in a
+        // `<property></property>` tag, usually with `e:` prefix kept in tag names by parser
+        let data = {};
+
+        doc.getroot().getchildren()
+            .filter(property => property.tag.split(':').pop() === 'property')
+            .forEach(property => property.getchildren().forEach(node => {
+                data[node.tag] = node.text;
+            }));
+
+        events.push(data);
+    }
+
+    return events;
+}
 
 
 /**
- * Parse valuable data from renderer to readable structure.
+ * Get subscription duration in seconds from TIMEOUT header value.
  *
- * @param {Object} data data to parse
+ * @param {string} header TIMEOUT header value, e.g. `Second-1800`
  *
- * @return {Object|null} parsed data
+ * @return {number} seconds
  */
-function parseSubscriptionData ( data ) {
-    const actualData  = data['e:propertyset']['e:property']['LastChange'],
-        removeWrapper = /^[\S\s]*<InstanceID val="\d+"><([\S\s]*)\/><\/InstanceID>[\S\s]*$/,
-        subscriptionDataToOutput = {};
+function parseTimeout ( header ) {
+    const match = /^Second-(\d+)$/i.exec((header || '').trim());
 
-    let parsed;
+    return match ? Number(match[1]) : DEFAULT_TIMEOUT;
+}
 
-    if ( actualData && (parsed = actualData.match(removeWrapper)) ) {
-        if ( /^(?:CurrentTrackMetaData|AVTransportURIMetaData)/.test(parsed[1]) ) {
-            const fastXmlParser = require('fast-xml-parser'),
-                options = {
-                    attrPrefix: '',
-                    textNodeName: '#text',
-                    ignoreNonTextNodeAttr: false,
-                    ignoreTextNodeAttr: false,
-                    textNodeConversion: true,
-                    textAttrConversion: true
-                },
-                jsonObj = fastXmlParser.parse('<' + parsed[1] + '/>', options);
 
-            let aInfo = jsonObj.CurrentTrackMetaData.item,
-                bInfo = jsonObj.AVTransportURIMetaData.item,
-                aRes  = aInfo.res,
-                bRes  = bInfo.res;
+/**
+ * Format local address for CALLBACK header.
+ *
+ * @param {string} address socket local address
+ *
+ * @return {string} host part of URL
+ */
+function formatHost ( address ) {
+    if ( address.indexOf('::ffff:') === 0 ) {
+        return address.slice(7);
+    }
 
-            aInfo.restricted = aInfo.restricted === 'true';
-            bInfo.restricted = bInfo.restricted === 'true';
+    return address.indexOf(':') === -1 ? address : '[' + address + ']';
+}
 
-            delete aInfo.res;
-            delete bInfo.res;
 
-            return {
-                CurrentTrackMetaData: Object.assign(aInfo, aRes),
-                AVTransportURIMetaData: Object.assign(bInfo, bRes)
-            };
-        } else {
-            parsed = parsed[1].split('/><').map(elem => {
-                return elem.split(' ').map(( elem, idx ) => {
-                    return idx ? elem.split('=') : elem;
-                });
-            });
+/**
+ * Answer NOTIFY request from device.
+ *
+ * @param {http.IncomingMessage} req request
+ * @param {http.ServerResponse} res response
+ */
+function handleRequest ( req, res ) {
+    const sid = req.headers.sid,
+        nt = req.headers.nt,
+        nts = req.headers.nts,
+        seq = /^\d+$/.test(req.headers.seq) ? Number(req.headers.seq) : null;
+
+    function reply ( statusCode ) {
+        res.writeHead(statusCode, {'Content-Length': 0});
+        res.end();
+    }
 
-            for ( let i = 0; i < parsed.length; i += 1 ) {
-                for ( let j = 0; j < parsed[i].length; j += 1 ) {
-                    if ( j ) {
-                        if ( parsed[i][j].length === 2 ) {
-                            let timeValue  = /^(?:\d+:)+\d+(?:\.\d+)?$/,
-                                resolution = /\B\d+x\d+\B/,
-                                //actionsValue = /^((?:[a-z]+,)+)?[a-z]+$/i,
-                                key        = parsed[i][j][0],
-                                value      = parsed[i][j][1] = parsed[i][j][1].replace(/"/g, ''),
-                                tmp;
-
-                            if ( timeValue.test(value) || resolution.test(value) ) {
-                                subscriptionDataToOutput[parsed[i][0]][key] = value;
-                            } else if ( parsed[i][0] === 'CurrentTransportActions' ) {
-                                subscriptionDataToOutput[parsed[i][0]][key] = value.split(',');
-                            } else{
-                                subscriptionDataToOutput[parsed[i][0]][key] = isNaN(tmp = parseInt(value, 10)) ? value : tmp;
-                            }
-                        } else {
-                            subscriptionDataToOutput[parsed[i][0]][parsed[i][j][0]] = null;
-                        }
-                    } else {
-                        subscriptionDataToOutput[parsed[i][j]] = {};
-                    }
-                }
+    if ( req.method !== 'NOTIFY' ) {
+        req.resume();
+
+        return reply(405);
+    }
+
+    req.pipe(concat(buf => {
+        let eventList;
+
+        if ( !nt || !nts ) {
+            return reply(400);
+        }
+
+        if ( nt !== 'upnp:event' || nts !== 'upnp:propchange' || !sid ) {
+            return reply(412);
+        }
+
+        try {
+            eventList = parseEvents(buf);
+        } catch ( error ) {
+            debug('invalid NOTIFY body from %s: %s', sid, error.message);
+
+            return reply(400);
+        }
+
+        const subscription = subscriptions.get(sid);
+
+        if ( subscription ) {
+            reply(200);
+            subscription.notify(eventList, seq);
+        } else if ( pendingCount > 0 ) {
+            // device may send initial event before we get the SID from SUBSCRIBE response
+            debug('keep notification for not yet known SID %s', sid);
+            reply(200);
+
+            if ( !early.has(sid) ) {
+                early.set(sid, []);
+                setTimeout(() => early.delete(sid), EARLY_TTL).unref();
             }
+
+            early.get(sid).push({events: eventList, seq: seq});
+        } else {
+            debug('unknown SID %s', sid);
+            reply(412);
         }
+    }));
+}
 
-        return subscriptionDataToOutput;
-    } else {
-        return null; // unusable/non-informative data
+
+/**
+ * Start callback server if not already.
+ *
+ * @param {function} callback method to invoke when server is ready
+ */
+function ensureServer ( callback ) {
+    if ( listening ) {
+        return process.nextTick(callback);
     }
-}
 
+    waiting.push(callback);
 
-let ensureHttpServer = function ( callback ) {
-    if ( httpServerStarting ) {
-        httpServerEmitter.once('started', callback);
-    } else {
-        httpServerStarting = true;
-
-        httpSubscriptionResponseServer = http.createServer();
-        httpServerPort = 0; // do the trick
-        httpSubscriptionResponseServer.listen(httpServerPort, () => {
-            httpServerPort = httpSubscriptionResponseServer.address().port;
-
-            httpServerStarted = true;
-            httpServerEmitter.emit('started');
-            httpServerStarting = false;
-            httpSubscriptionResponseServer.on('request', ( req, res ) => {
-                let sid = req.headers.sid,
-                    handle = xmlResponseParser((err, data) => {
-                        let emitter = subscriptions.get(sid);
-
-                        if ( emitter ) {
-                            let ret = parseSubscriptionData(data);
-
-                            if ( ret ) {
-                                emitter.emit('message', null, {sid: sid, body: ret});
-                            }
-                        }
-                    });
-
-                handle(req, res);
-            });
+    if ( server ) {
+        return;
+    }
 
-            callback();
-        });
+    debug('create eventing server');
+    server = http.createServer(handleRequest);
+
+    server.on('error', error => {
+        const callbacks = waiting;
+
+        waiting = [];
+        server = null;
+        listening = false;
+        callbacks.forEach(callback => callback(error));
+    });
+
+    // listen on all interfaces as devices may be reached through any of them
+    server.listen(0, () => {
+        const callbacks = waiting;
+
+        waiting = [];
+        listening = true;
+        debug('eventing server is listening on port %d', server.address().port);
+        callbacks.forEach(callback => callback(null));
+    });
+}
+
+
+/**
+ * Stop callback server if there are no subscriptions left.
+ */
+function releaseServer () {
+    if ( server && listening && subscriptions.size === 0 && pendingCount === 0 ) {
+        debug('shutdown eventing server');
+        server.close();
+        server = null;
+        listening = false;
     }
-};
+}
 
 
 /**
- * Create subscription instance.
+ * Subscription to events of a single service.
  *
- * @param {string} host
- * @param {string} port
- * @param {string} eventSub
- * @param {number} requestedTimeoutSeconds
+ * Emits `message` (event, seq) for each received event.
+ * A subscription which missed events or was lost by device is restored with a new SID,
+ * then `resync` (reason) is emitted: `gap` when SEQ numbering is broken, `renewal` when renewal failed
+ * and `reboot` when device doesn't know the subscription anymore, usually after a restart.
+ * `subscriptionError` (error) is emitted when the subscription can't be restored, attempts continue anyway.
+ *
+ * @param {string} url service event subscription address
+ * @param {Object} [options] subscription options
+ * @param {number} [options.timeout=300] requested subscription duration in seconds
+ * @param {number} [options.requestTimeout=10000] milliseconds to wait for response to SUBSCRIBE and UNSUBSCRIBE
+ * @param {string} [options.userAgent] control point name
  *
  * @constructor
  */
-function Subscription ( host, port, eventSub, requestedTimeoutSeconds ) {
-    let sid,
-        resubscribeTimeout,
-        emitter = this,
-        timeoutSeconds = requestedTimeoutSeconds || 1800;
-
-
-    function resubscribe () {
-        if ( sid ) {
-            const req = http.request({
-                host: host,
-                port: port,
-                path: eventSub,
-                method: 'SUBSCRIBE',
-                headers: {
-                    'SID': sid,
-                    'TIMEOUT': 'Second-' + timeoutSeconds
-                }
-            }, function ( res ) {
-                emitter.emit('resubscribed', {sid: sid});
-                resubscribeTimeout = setTimeout(resubscribe, (timeoutSeconds - 1) * 1000);
-            }).on('error', function ( e ) {
-                emitter.emit('error:resubscribe', {sid: sid, error: e});
-            }).end();
+function Subscription ( url, options ) {
+    options = options || {};
+
+    events.EventEmitter.call(this);
+
+    this.url = url;
+    this.requestedTimeout = options.timeout || DEFAULT_TIMEOUT;
+    this.requestTimeout = options.requestTimeout || REQUEST_TIMEOUT;
+    this.userAgent = options.userAgent;
+    this.sid = null;
+    // sequence number of the last received event
+    this.seq = null;
+    this.timeout = null;
+    this.timer = null;
+    this.closed = false;
+}
+
+util.inherits(Subscription, events.EventEmitter);
+
+
+/**
+ * Send subscription related request.
+ *
+ * @param {string} method SUBSCRIBE or UNSUBSCRIBE
+ * @param {Object} headers request specific headers
+ * @param {function} callback method to invoke with response
+ * @param {AbortSignal} [signal] signal to cancel request with `AbortError`
+ *
+ * @return {http.ClientRequest} request, not yet finished
+ */
+Subscription.prototype.request = function ( method, headers, callback, signal ) {
+    const options = parseUrl(this.url);
+
+    options.method = method;
+    options.headers = Object.assign({'HOST': options.host}, headers);
+
+    if ( this.userAgent ) {
+        options.headers['USER-AGENT'] = this.userAgent;
+    }
+
+    let finished = false,
+        timer = null;
+
+    const done = ( error, res ) => {
+        if ( !finished ) {
+            finished = true;
+            clearTimeout(timer);
+            callback(error, res);
         }
+    };
+
+    const req = http.request(options, res => {
+        res.on('error', error => done(new errors.NetworkError(error, this.url)));
+        res.on('end', () => {
+            if ( res.statusCode === 200 ) {
+                done(null, res);
+            } else {
+                done(new errors.ProtocolError(method + ' failed with HTTP status ' + res.statusCode, {
+                    statusCode: res.statusCode,
+                    url: this.url
+                }), res);
+            }
+        });
+        res.resume();
+    });
+
+    req.on('error', error => done(new errors.NetworkError(error, this.url)));
+
+    // limits the whole response, not only idle time of the socket
+    timer = setTimeout(() => {
+        req.destroy();
+        done(errors.createTimeout(this.url, this.requestTimeout));
+    }, this.requestTimeout);
+
+    if ( signal ) {
+        const onabort = () => {
+            req.destroy();
+            done(new errors.AbortError(this.url));
+        };
+
+        signal.addEventListener('abort', onabort);
+        req.on('close', () => signal.removeEventListener('abort', onabort));
     }
 
+    return req;
+};
+
 
-    this.unsubscribe = function unsubscribe () {
-        clearTimeout(resubscribeTimeout);
-        if (sid) {
-            http.request({
-                host: host,
-                port: port,
-                path: eventSub,
-                method: 'UNSUBSCRIBE',
-                headers: {
-                    'SID': sid
-                }
-            }, function(res) {
-                emitter.emit('unsubscribed', { sid: sid });
-            }).on('error', function(e) {
-                emitter.emit('error:unsubscribe', e);
-            }).setTimeout(3000, () => emitter.emit('unsubscribed', { sid: sid })).end();
-        } else {
-            emitter.emit('error:unsubscribe', new Error('No SID for subscription'));
+/**
+ * Subscribe to service events.
+ *
+ * @param {Object} [options] request options
+ * @param {AbortSignal} [options.signal] signal to cancel subscribing with `AbortError`
+ * @param {function} callback method to invoke with a result of operation
+ */
+Subscription.prototype.subscribe = function ( options, callback ) {
+    if ( typeof options === 'function' ) {
+        callback = options;
+        options = {};
+    }
+
+    pendingCount++;
+
+    const done = error => {
+        pendingCount--;
+
+        if ( error ) {
+            releaseServer();
+        }
+
+        callback(error);
+    };
+
+    ensureServer(error => {
+        if ( error ) {
+            return done(error);
+        }
+
+        if ( options.signal && options.signal.aborted ) {
+            return done(new errors.AbortError(this.url));
         }
-        subscriptions.delete(sid);
-    }.bind(this);
-
-    this.init = function () {
-        http.request({
-            host: host,
-            port: port,
-            path: eventSub,
-            method: 'SUBSCRIBE',
-            headers: {
-                'CALLBACK': "<http://" + ip.address() + ':' + httpServerPort + ">",
-                'NT': 'upnp:event',
-                'TIMEOUT': 'Second-' + timeoutSeconds
+
+        const req = this.request('SUBSCRIBE', {
+            'NT': 'upnp:event',
+            'TIMEOUT': 'Second-' + this.requestedTimeout
+        }, ( error, res ) => {
+            if ( error ) {
+                return done(error);
             }
-        }, function(res) {
-            emitter.emit('subscribed', { sid: res.headers.sid });
-            sid = res.headers.sid;
-            if (res.headers.timeout) {
-                let subscriptionTimeout = res.headers.timeout.match(/\d+/);
-                if (subscriptionTimeout) {
-                    timeoutSeconds = subscriptionTimeout[0];
+
+            this.sid = res.headers.sid;
+            this.seq = null;
+            this.timeout = parseTimeout(res.headers.timeout);
+            subscriptions.set(this.sid, this);
+            this.schedule();
+
+            debug('subscribed to %s with SID %s for %d seconds', this.url, this.sid, this.timeout);
+
+            done(null);
+
+            // deliver events which came before the response
+            const sid = this.sid;
+
+            (early.get(sid) || []).forEach(item => {
+                // stop if events turned out to be broken
+                if ( this.sid === sid ) {
+                    this.notify(item.events, item.seq);
                 }
+            });
+            early.delete(sid);
+        }, options.signal);
+
+        // callback address is the local one of the connection to device,
+        // so it's reachable from device whatever interface it's behind
+        req.on('socket', socket => {
+            const send = () => {
+                req.setHeader('CALLBACK', '<http://' + formatHost(socket.localAddress) + ':' + server.address().port + '/>');
+                req.end();
+            };
+
+            if ( socket.connecting ) {
+                socket.once('connect', send);
+            } else {
+                send();
+            }
+        });
+    });
+};
+
+
+/**
+ * Schedule subscription renewal before expiration.
+ */
+Subscription.prototype.schedule = function () {
+    const delay = Math.max(this.timeout - RENEW_MARGIN, this.timeout / 2);
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.renew(), delay * 1000);
+    this.timer.unref();
+};
+
+
+/**
+ * Renew subscription.
+ */
+Subscription.prototype.renew = function () {
+    debug('renew subscription %s', this.sid);
+
+    this.request('SUBSCRIBE', {
+        'SID': this.sid,
+        'TIMEOUT': 'Second-' + this.requestedTimeout
+    }, ( error, res ) => {
+        if ( !subscriptions.has(this.sid) ) {
+            // unsubscribed meanwhile
+            return;
+        }
+
+        if ( error ) {
+            debug('unable to renew subscription %s: %s', this.sid, error.message);
+
+            // 412 Precondition Failed - device has no such subscription
+            return this.resync(error.statusCode === 412 ? 'reboot' : 'renewal');
+        }
+
+        this.timeout = parseTimeout(res.headers.timeout);
+        this.schedule();
+    }).end();
+};
+
+
+/**
+ * Replace subscription with a new one, as events may be lost.
+ *
+ * @param {string} reason `gap`, `renewal` or `reboot`
+ */
+Subscription.prototype.resync = function ( reason ) {
+    const sid = this.sid;
+
+    debug('resync subscription %s (%s)', sid, reason);
+
+    clearTimeout(this.timer);
+    subscriptions.delete(sid);
+    this.sid = null;
+    this.seq = null;
+
+    if ( reason === 'gap' ) {
+        // the old subscription is still alive on device
+        this.request('UNSUBSCRIBE', {'SID': sid}, error => {
+            if ( error ) {
+                debug('unable to unsubscribe %s: %s', sid, error.message);
             }
-            resubscribeTimeout = setTimeout(resubscribe, (timeoutSeconds-1) * 1000);
-            subscriptions.set(sid, emitter);
-        }).on('error', function(e) {
-            emitter.emit('error', e);
-            subscriptions.delete(sid);
         }).end();
-        events.EventEmitter.call(this);
-    }.bind(this);
+    }
 
-    if ( !httpServerStarted ) {
-        ensureHttpServer(this.init);
-    } else {
-        this.init();
+    this.restore(reason, 0);
+};
+
+
+/**
+ * Subscribe again until succeeded or cancelled.
+ *
+ * @param {string} reason why subscription is restored
+ * @param {number} attempt number of failed attempts so far
+ */
+Subscription.prototype.restore = function ( reason, attempt ) {
+    this.subscribe(error => {
+        if ( this.closed ) {
+            // cancelled meanwhile
+            return error || this.unsubscribe();
+        }
+
+        if ( error ) {
+            const delay = Math.min(RETRY_DELAY * Math.pow(2, attempt), RETRY_MAX_DELAY);
+
+            debug('unable to restore subscription to %s, retry in %d seconds', this.url, delay);
+
+            // report only the first failure of a row, not as `error` since it's not fatal
+            if ( attempt === 0 ) {
+                this.emit('subscriptionError', error);
+            }
+
+            this.timer = setTimeout(() => this.restore(reason, attempt + 1), delay * 1000);
+            this.timer.unref();
+
+            return;
+        }
+
+        this.emit('resync', reason);
+    });
+};
+
+
+/**
+ * Cancel subscription.
+ *
+ * @param {function} [callback] method to invoke with a result of operation
+ */
+Subscription.prototype.unsubscribe = function ( callback ) {
+    const sid = this.sid,
+        done = () => callback && callback(null);
+
+    this.closed = true;
+    clearTimeout(this.timer);
+    subscriptions.delete(sid);
+    this.sid = null;
+    releaseServer();
+
+    if ( !sid ) {
+        return process.nextTick(done);
     }
-}
 
+    this.request('UNSUBSCRIBE', {'SID': sid}, error => {
+        if ( error ) {
+            // subscription expires anyway
+            debug('unable to unsubscribe %s: %s', sid, error.message);
+        }
+
+        done();
+    }).end();
+};
 
-util.inherits(Subscription, events.EventEmitter);
+
+/**
+ * Deliver received events.
+ *
+ * @param {Array} eventList parsed events
+ * @param {number|null} seq event sequence number
+ */
+Subscription.prototype.notify = function ( eventList, seq ) {
+    debug('received events %s %d %j', this.sid, seq, eventList);
+
+    if ( seq !== null && this.seq !== null && seq !== (this.seq >= MAX_SEQ ? 1 : this.seq + 1) ) {
+        // missed or reordered events, the following initial event of a new subscription brings the full state
+        debug('expected SEQ %d from %s, got %d', this.seq + 1, this.sid, seq);
+
+        return this.resync('gap');
+    }
+
+    this.seq = seq;
+    eventList.forEach(e => this.emit('message', e, seq));
+};
+
+
+Subscription.parseEvents = parseEvents;
 
 module.exports = Subscription;
@@ -0,0 +1,247 @@
+/**
+ * Minimal server side of WebSocket protocol for pushing events to browsers.
+ */
+
+'use strict';
+
+const util    = require('util'),
+    events    = require('events'),
+    crypto    = require('crypto'),
+    debug     = require('debug')('upnp-websocket'),
+    // RFC 6455 key suffix
+    GUID      = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11',
+    OPCODES   = {
+        text: 0x1,
+        close: 0x8,
+        ping: 0x9,
+        pong: 0xA
+    },
+    // nothing big is expected from clients
+    MAX_FRAME = 65536;
+
+
+/**
+ * Build unmasked frame.
+ *
+ * @param {number} opcode frame type
+ * @param {Buffer} payload frame data
+ *
+ * @return {Buffer} frame
+ */
+function buildFrame ( opcode, payload ) {
+    let header;
+
+    if ( payload.length < 126 ) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if ( payload.length < 65536 ) {
+        header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.from([0x80 | opcode, 127, 0, 0, 0, 0, 0, 0, 0, 0]);
+        header.writeUInt32BE(payload.length, 6);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+
+/**
+ * Copy frame payload and apply its mask.
+ *
+ * @param {Buffer} data payload as received
+ * @param {Buffer|null} mask masking key, null for an unmasked payload
+ *
+ * @return {Buffer} payload
+ */
+function unmask ( data, mask ) {
+    const payload = Buffer.from(data);
+
+    if ( mask ) {
+        for ( let index = 0; index < payload.length; index++ ) {
+            payload[index] ^= mask[index % 4];
+        }
+    }
+
+    return payload;
+}
+
+
+/**
+ * Parse a complete frame at the beginning of buffer.
+ *
+ * Fragmented messages are not expected from clients and are taken frame by frame.
+ *
+ * @param {Buffer} buffer received data
+ *
+ * @return {Object|null} frame with `opcode`, unmasked `payload`, `masked` flag, payload `size` and total `length`, null if incomplete
+ */
+function parseFrame ( buffer ) {
+    let offset = 2,
+        size;
+
+    if ( buffer.length < 2 ) {
+        return null;
+    }
+
+    size = buffer[1] & 0x7F;
+
+    if ( size === 126 ) {
+        if ( buffer.length < 4 ) {
+            return null;
+        }
+
+        size = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if ( size === 127 ) {
+        if ( buffer.length < 10 ) {
+            return null;
+        }
+
+        size = buffer.readUInt32BE(6);
+        offset = 10;
+    }
+
+    const masked = Boolean(buffer[1] & 0x80),
+        length = offset + (masked ? 4 : 0) + size;
+
+    // too big frames are reported as soon as their size is known
+    if ( size > MAX_FRAME ) {
+        return {opcode: buffer[0] & 0x0F, payload: Buffer.alloc(0), masked: masked, size: size, length: buffer.length};
+    }
+
+    if ( buffer.length < length ) {
+        return null;
+    }
+
+    return {
+        opcode: buffer[0] & 0x0F,
+        payload: unmask(buffer.slice(length - size, length), masked ? buffer.slice(offset, offset + 4) : null),
+        masked: masked,
+        size: size,
+        length: length
+    };
+}
+
+
+/**
+ * Accepted WebSocket connection.
+ *
+ * Only sending text messages is supported, received messages are emitted as `message` (text).
+ * Emits `close` when connection is gone.
+ *
+ * @param {net.Socket} socket upgraded connection
+ *
+ * @constructor
+ */
+function WebSocket ( socket ) {
+    events.EventEmitter.call(this);
+
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.closed = false;
+
+    socket.setNoDelay(true);
+    socket.on('data', data => this.handleData(data));
+    socket.on('error', error => debug('socket error: %s', error.message));
+    socket.on('close', () => {
+        this.closed = true;
+        this.emit('close');
+    });
+}
+
+util.inherits(WebSocket, events.EventEmitter);
+
+
+/**
+ * Send text message.
+ *
+ * @param {string} text message
+ */
+WebSocket.prototype.send = function ( text ) {
+    if ( !this.closed ) {
+        this.socket.write(buildFrame(OPCODES.text, Buffer.from(text)));
+    }
+};
+
+
+/**
+ * Close connection.
+ *
+ * @param {number} [code=1000] close status code
+ */
+WebSocket.prototype.close = function ( code ) {
+    const payload = Buffer.alloc(2);
+
+    if ( this.closed ) {
+        return;
+    }
+
+    payload.writeUInt16BE(code || 1000, 0);
+    this.closed = true;
+    this.socket.end(buildFrame(OPCODES.close, payload));
+};
+
+
+/**
+ * Read frames from received data.
+ *
+ * @param {Buffer} data received chunk
+ */
+WebSocket.prototype.handleData = function ( data ) {
+    let frame;
+
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    while ( !this.closed && (frame = parseFrame(this.buffer)) ) {
+        this.buffer = this.buffer.slice(frame.length);
+
+        if ( frame.size > MAX_FRAME ) {
+            this.close(1009);
+        } else if ( !frame.masked ) {
+            // clients must mask all frames they send
+            this.close(1002);
+        } else if ( frame.opcode === OPCODES.text ) {
+            this.emit('message', frame.payload.toString());
+        } else if ( frame.opcode === OPCODES.ping ) {
+            this.socket.write(buildFrame(OPCODES.pong, frame.payload));
+        } else if ( frame.opcode === OPCODES.close ) {
+            this.close();
+        }
+    }
+};
+
+
+/**
+ * Complete WebSocket handshake of an upgrade request.
+ *
+ * @param {http.IncomingMessage} req upgrade request
+ * @param {net.Socket} socket request connection
+ *
+ * @return {WebSocket|null} connection, null if request is not a valid WebSocket handshake
+ */
+function accept ( req, socket ) {
+    const key = req.headers['sec-websocket-key'];
+
+    if ( (req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key ) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+
+        return null;
+    }
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Accept: ' + crypto.createHash('sha1').update(key + GUID).digest('base64'),
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocket(socket);
+}
+
+
+module.exports = {
+    accept: accept,
+    WebSocket: WebSocket
+};
@@ -0,0 +1,97 @@
+/**
+ * Conversion of arguments and results by state variable data type.
+ */
+
+'use strict';
+
+const test      = require('node:test'),
+    assert      = require('assert'),
+    dataTypes   = require('../lib/data.types'),
+    VOLUME      = {dataType: 'ui2', allowedValueRange: {minimum: 0, maximum: 100, step: 1}},
+    CHANNEL     = {dataType: 'string', allowedValues: ['Master', 'LF', 'RF']};
+
+
+/**
+ * Get error code of marshalling a value.
+ *
+ * @param {Object} variable state variable description
+ * @param {*} value argument value
+ *
+ * @return {string|null} error code, null if value is accepted
+ */
+function marshalError ( variable, value ) {
+    try {
+        dataTypes.marshal(variable, 'Arg', value);
+    } catch ( error ) {
+        assert.strictEqual(error.argument, 'Arg');
+
+        return error.code;
+    }
+
+    return null;
+}
+
+
+test('checks numbers against type limits and allowed range', () => {
+    assert.strictEqual(dataTypes.marshal(VOLUME, 'DesiredVolume', 30), '30');
+    assert.strictEqual(dataTypes.marshal(VOLUME, 'DesiredVolume', ' 30 '), '30');
+    assert.strictEqual(marshalError(VOLUME, 101), 'ERANGE');
+    assert.strictEqual(marshalError(VOLUME, -1), 'ERANGE');
+    assert.strictEqual(marshalError(VOLUME, 1.5), 'EINVAL');
+    assert.strictEqual(marshalError(VOLUME, ''), 'EINVAL');
+    assert.strictEqual(marshalError(VOLUME, 'loud'), 'EINVAL');
+    assert.strictEqual(marshalError({dataType: 'i1'}, 128), 'ERANGE');
+    assert.strictEqual(marshalError({dataType: 'ui4'}, -1), 'ERANGE');
+    assert.strictEqual(dataTypes.marshal({dataType: 'r8'}, 'Arg', '1.5'), '1.5');
+    assert.strictEqual(marshalError({dataType: 'r8'}, Infinity), 'EINVAL');
+});
+
+
+test('checks values against allowedValueList', () => {
+    assert.strictEqual(dataTypes.marshal(CHANNEL, 'Channel', 'LF'), 'LF');
+    assert.strictEqual(marshalError(CHANNEL, 'master'), 'EINVAL');
+    // empty list allows anything
+    assert.strictEqual(dataTypes.marshal({dataType: 'string', allowedValues: []}, 'Arg', 'any'), 'any');
+});
+
+
+test('marshals booleans and times', () => {
+    const bool = {dataType: 'boolean'},
+        time = {dataType: 'time'};
+
+    assert.deepStrictEqual([true, false, 1, 0, 'true', 'No'].map(value => dataTypes.marshal(bool, 'Arg', value)), ['1', '0', '1', '0', '1', '0']);
+    assert.strictEqual(marshalError(bool, 'maybe'), 'EINVAL');
+    assert.strictEqual(dataTypes.marshal(time, 'Arg', 3725), '1:02:05');
+    assert.strictEqual(dataTypes.marshal(time, 'Arg', '0:00:10'), '0:00:10');
+    assert.strictEqual(marshalError(time, -1), 'EINVAL');
+    assert.strictEqual(dataTypes.marshal(time, 'Arg', null), '');
+});
+
+
+test('coerces results and keeps values not matching their type', () => {
+    assert.strictEqual(dataTypes.coerce(VOLUME, '15'), 15);
+    assert.strictEqual(dataTypes.coerce(VOLUME, ''), '');
+    assert.strictEqual(dataTypes.coerce(VOLUME, 'NOT_IMPLEMENTED'), 'NOT_IMPLEMENTED');
+    assert.strictEqual(dataTypes.coerce({dataType: 'boolean'}, 'TRUE'), true);
+    assert.strictEqual(dataTypes.coerce({dataType: 'boolean'}, '0'), false);
+    assert.strictEqual(dataTypes.coerce({dataType: 'time'}, '1:02:05.5'), 3725.5);
+    assert.strictEqual(dataTypes.coerce({dataType: 'time'}, 'NOT_IMPLEMENTED'), 'NOT_IMPLEMENTED');
+    assert.strictEqual(dataTypes.coerce(CHANNEL, 'LF'), 'LF');
+});
+
+
+test('coerces event variables and channel values in place', () => {
+    const desc = {stateVariables: {Volume: VOLUME, Mute: {dataType: 'boolean'}}},
+        event = {Volume: '10', Mute: '1', Unknown: '5', channels: {Volume: {Master: '10', LF: '20'}}};
+
+    assert.strictEqual(dataTypes.coerceVariables(desc, event), event);
+    assert.deepStrictEqual(event, {Volume: 10, Mute: true, Unknown: '5', channels: {Volume: {Master: 10, LF: 20}}});
+});
+
+
+test('splits lists of state variables', () => {
+    assert.deepStrictEqual(dataTypes.splitList('Play, Stop,,Seek '), ['Play', 'Stop', 'Seek']);
+    assert.deepStrictEqual(dataTypes.splitList('NOT_IMPLEMENTED'), []);
+    assert.deepStrictEqual(dataTypes.splitList(''), []);
+    assert.deepStrictEqual(dataTypes.splitList(undefined), []);
+});
@@ -0,0 +1,202 @@
+/**
+ * Device client subscriptions against a fake renderer on loopback.
+ */
+
+/* global AbortController */
+
+'use strict';
+
+const test                = require('node:test'),
+    assert                = require('assert'),
+    http                  = require('http'),
+    DeviceClient          = require('../lib/device.client'),
+    MediaRendererClient   = require('../index'),
+    createRenderer        = require('./helpers/renderer');
+
+
+/**
+ * Build description of an AV receiver with embedded media server and renderer.
+ *
+ * @param {string} base value of URLBase
+ *
+ * @return {string} description XML
+ */
+function describeReceiver ( base ) {
+    const device = ( type, udn, services ) => '<device><deviceType>' + type + '</deviceType><UDN>' + udn + '</UDN>' +
+        '<serviceList>' + services + '</serviceList>';
+
+    return '<?xml version="1.0"?><root xmlns="urn:schemas-upnp-org:device-1-0"><URLBase>' + base + '</URLBase>' +
+        device('urn:schemas-example-com:device:Receiver:1', 'uuid:receiver', '') +
+        '<iconList><icon><mimetype>image/png</mimetype><url>icon.png</url></icon></iconList><deviceList>' +
+        device('urn:schemas-upnp-org:device:MediaServer:1', 'uuid:server', '') + '</device>' +
+        device('urn:schemas-upnp-org:device:MediaRenderer:2', 'uuid:renderer', '<service>' +
+            '<serviceType>urn:schemas-upnp-org:service:AVTransport:1</serviceType>' +
+            '<serviceId>urn:upnp-org:serviceId:AVTransport</serviceId><SCPDURL>AVTransport/scpd.xml</SCPDURL>' +
+            '<controlURL>/control/AVTransport</controlURL><eventSubURL>http://127.0.0.2/event</eventSubURL></service>') +
+        '</device></deviceList></device></root>';
+}
+
+
+test('stops restoring subscription once the last listener is removed', ( context, done ) => {
+    createRenderer({}, renderer => {
+        const client = new DeviceClient(renderer.url),
+            listener = event => assert.ok(event);
+
+        client.on('unsubscribed', () => assert.fail('unexpected UNSUBSCRIBE without SID'));
+
+        // after the initial event device refuses new subscriptions and the next event is out of order
+        client.once('subscribed', () => setTimeout(() => {
+            renderer.subscribeStatus = 503;
+            renderer.subscriptions.AVTransport.seq += 5;
+            renderer.set({TransportState: 'PLAYING'});
+        }, 100));
+
+        client.on('subscriptionError', error => {
+            const subscription = client.subscriptions[error.serviceId].subscription;
+
+            assert.strictEqual(subscription.sid, null);
+            assert.ok(subscription.timer);
+
+            client.unsubscribe('AVTransport', listener);
+
+            assert.strictEqual(subscription.closed, true);
+            assert.strictEqual(client.subscriptions[error.serviceId], undefined);
+
+            setTimeout(() => renderer.server.close(() => done()), 50);
+            renderer.server.closeAllConnections();
+        });
+
+        client.subscribe('AVTransport', listener);
+    });
+});
+
+
+test('applies per call timeout and signal to description requests', ( context, done ) => {
+    // device accepts requests but never answers
+    const server = http.createServer(req => req.resume());
+
+    server.listen(0, '127.0.0.1', () => {
+        const client = new DeviceClient('http://127.0.0.1:' + server.address().port + '/description.xml', {timeout: 10000}),
+            controller = new AbortController();
+
+        client.getDeviceDescription({timeout: 100, retries: 0}, error => {
+            assert.strictEqual(error.code, 'ETIMEDOUT');
+
+            client.getServiceDescription('AVTransport', {signal: controller.signal}, error => {
+                assert.strictEqual(error.code, 'ABORT_ERR');
+
+                server.closeAllConnections();
+                server.close(() => done());
+            });
+
+            setTimeout(() => controller.abort(), 50);
+        });
+    });
+});
+
+
+test('cancels SUBSCRIBE with signal', ( context, done ) => {
+    createRenderer({}, renderer => {
+        const client = new DeviceClient(renderer.url),
+            controller = new AbortController();
+
+        client.on('subscribed', () => assert.fail('unexpected subscription'));
+
+        // description is already known, so it's SUBSCRIBE which is cancelled
+        client.getServiceDescription('AVTransport', error => {
+            assert.ifError(error);
+
+            client.subscribe('AVTransport', event => assert.ok(event), {signal: controller.signal});
+            controller.abort();
+        });
+
+        setTimeout(() => {
+            assert.deepStrictEqual(client.subscriptions, {});
+            assert.deepStrictEqual(renderer.subscriptions, {});
+
+            renderer.server.closeAllConnections();
+            renderer.server.close(() => done());
+        }, 200);
+    });
+});
+
+
+test('coalesces queued Seek calls per Unit', ( context, done ) => {
+    createRenderer({}, renderer => {
+        const client = new DeviceClient(renderer.url),
+            targets = [],
+            seek = ( unit, target ) => client.callAction('AVTransport', 'Seek', {InstanceID: 0, Unit: unit, Target: target}, error => {
+                assert.ifError(error);
+                targets.push(target);
+
+                if ( targets.length < 3 ) {
+                    return;
+                }
+
+                // a track jump is kept, the time seek is replaced by the latest one
+                assert.deepStrictEqual(renderer.calls.filter(call => call.action === 'Seek').map(call => call.params.Target), ['0:00:20', '2']);
+                assert.strictEqual(client.scheduler.stats().coalesced, 1);
+
+                renderer.server.closeAllConnections();
+                renderer.server.close(() => done());
+            });
+
+        // the first call fetches descriptions, the next ones wait for the running one
+        client.callAction('AVTransport', 'GetTransportInfo', {InstanceID: 0}, error => {
+            assert.ifError(error);
+
+            client.callAction('AVTransport', 'GetTransportInfo', {InstanceID: 0}, error => assert.ifError(error));
+            seek('REL_TIME', '0:00:10');
+            seek('TRACK_NR', '2');
+            seek('REL_TIME', '0:00:20');
+        });
+    });
+});
+
+
+test('binds to embedded devices and resolves addresses against URLBase', ( context, done ) => {
+    const server = http.createServer(( req, res ) => res.end(describeReceiver('http://127.0.0.1:' + server.address().port + '/base/')));
+
+    server.listen(0, '127.0.0.1', () => {
+        const url = 'http://127.0.0.1:' + server.address().port + '/description/root.xml',
+            base = 'http://127.0.0.1:' + server.address().port,
+            selectors = [
+                [{}, 'uuid:receiver'],
+                // renderer client picks the renderer by default
+                [null, 'uuid:renderer'],
+                [{device: 'MediaRenderer'}, 'uuid:renderer'],
+                [{device: 'urn:schemas-upnp-org:device:MediaRenderer:2'}, 'uuid:renderer'],
+                [{device: 'urn:schemas-upnp-org:device:MediaServer'}, 'uuid:server'],
+                [{device: 'uuid:server'}, 'uuid:server'],
+                [{device: 'Printer'}, 'ENODEVICE']
+            ],
+            next = () => {
+                const selector = selectors.shift();
+
+                if ( !selector ) {
+                    server.close(() => done());
+
+                    return;
+                }
+
+                (selector[0] ? new DeviceClient(url, selector[0]) : new MediaRendererClient(url)).getDeviceDescription(( error, desc ) => {
+                    assert.strictEqual(error ? error.code : desc.UDN, selector[1], JSON.stringify(selector[0]));
+                    next();
+                });
+            },
+            client = new DeviceClient(url, {device: 'MediaRenderer'});
+
+        client.getDeviceDescription(( error, desc ) => {
+            const service = desc.services['urn:upnp-org:serviceId:AVTransport'];
+
+            assert.ifError(error);
+            assert.strictEqual(service.SCPDURL, base + '/base/AVTransport/scpd.xml');
+            assert.strictEqual(service.controlURL, base + '/control/AVTransport');
+            assert.strictEqual(service.eventSubURL, 'http://127.0.0.2/event');
+            assert.strictEqual(client.rootDescription.icons[0].url, base + '/base/icon.png');
+            assert.deepStrictEqual(client.rootDescription.devices.map(device => device.UDN), ['uuid:server', 'uuid:renderer']);
+
+            next();
+        });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * DIDL-Lite metadata building and parsing.
+ */
+
+'use strict';
+
+const test      = require('node:test'),
+    assert      = require('assert'),
+    didl        = require('../lib/didl'),
+    TRACK       = {
+        id: '12',
+        parentID: '3',
+        type: 'audio',
+        title: 'Rock & <Roll>',
+        creator: 'Band',
+        artist: 'Band',
+        album: 'Album',
+        genre: 'Rock',
+        date: '2017-05-01',
+        trackNumber: 3,
+        albumArt: [{url: 'http://127.0.0.1/cover.jpg', profileID: 'JPEG_TN'}],
+        resources: [
+            {url: 'http://127.0.0.1/song.flac?a=1&b=2', protocolInfo: 'http-get:*:audio/flac:*', duration: 215.5, size: 35000000},
+            {url: 'http://127.0.0.1/song.mp3', protocolInfo: 'http-get:*:audio/mpeg:DLNA.ORG_PN=MP3', bitrate: 40000, resolution: '0x0'}
+        ]
+    };
+
+
+test('parses built metadata back to the same object', () => {
+    const item = didl.parseItem(didl.build(TRACK));
+
+    ['id', 'parentID', 'type', 'title', 'creator', 'artist', 'album', 'genre', 'date', 'trackNumber', 'albumArt', 'resources'].forEach(name => {
+        assert.deepStrictEqual(item[name], TRACK[name], name);
+    });
+    assert.strictEqual(item.class, 'object.item.audioItem.musicTrack');
+    assert.strictEqual(item.restricted, true);
+    assert.strictEqual(item.container, false);
+});
+
+
+test('builds single resource and container shortcuts', () => {
+    const objects = didl.parse(didl.build([
+        {title: 'Movie', type: 'video', url: 'http://127.0.0.1/movie.mp4', protocolInfo: 'http-get:*:video/mp4:*', duration: 5400},
+        {id: 'music', container: true, childCount: 7, restricted: false, title: 'Music'}
+    ]));
+
+    assert.strictEqual(objects.length, 2);
+    assert.strictEqual(objects[0].class, 'object.item.videoItem.movie');
+    assert.deepStrictEqual(objects[0].resources, [{url: 'http://127.0.0.1/movie.mp4', protocolInfo: 'http-get:*:video/mp4:*', duration: 5400}]);
+    assert.strictEqual(objects[1].class, 'object.container');
+    assert.strictEqual(objects[1].container, true);
+    assert.strictEqual(objects[1].childCount, 7);
+    assert.strictEqual(objects[1].restricted, false);
+    assert.ok(didl.build({title: 'Movie', type: 'video', url: 'http://127.0.0.1/movie.mp4', duration: 5400}).indexOf('duration="1:30:00"') !== -1);
+});
+
+
+test('parses metadata of other servers', () => {
+    const xml = '<DIDL-Lite xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/" xmlns:d="http://purl.org/dc/elements/1.1/" ' +
+        'xmlns:u="urn:schemas-upnp-org:metadata-1-0/upnp/" xmlns:x="urn:schemas-dlna-org:metadata-1-0/">' +
+        '<item id="1" parentID="0" restricted="true"><d:title> Song </d:title><u:class>object.item.audioItem</u:class>' +
+        '<u:artist role="Composer">Composer</u:artist><u:artist>Performer</u:artist>' +
+        '<u:albumArtURI x:profileID="PNG_LRG">http://127.0.0.1/art.png</u:albumArtURI>' +
+        '<res protocolInfo="http-get:*:audio/mpeg:*" duration="0:03:05.1/2" size="">http://127.0.0.1/song.mp3</res></item></DIDL-Lite>',
+        item = didl.parseItem(xml);
+
+    assert.strictEqual(item.title, 'Song');
+    assert.strictEqual(item.type, 'audio');
+    assert.strictEqual(item.artist, 'Composer');
+    assert.deepStrictEqual(item.albumArt, [{url: 'http://127.0.0.1/art.png', profileID: 'PNG_LRG'}]);
+    assert.deepStrictEqual(item.resources, [{url: 'http://127.0.0.1/song.mp3', protocolInfo: 'http-get:*:audio/mpeg:*', duration: 185.5}]);
+});
+
+
+test('treats missing and malformed metadata as empty', () => {
+    assert.deepStrictEqual(didl.parse(''), []);
+    assert.deepStrictEqual(didl.parse(' NOT_IMPLEMENTED '), []);
+    assert.throws(() => didl.parse('<DIDL-Lite><item>'));
+    assert.strictEqual(didl.parseItem('<DIDL-Lite><item>'), null);
+    assert.strictEqual(didl.parseItem(undefined), null);
+});
+
+
+test('builds subtitle tracks for all vendors and reads them back once', () => {
+    const xml = didl.build({
+            title: 'Movie',
+            type: 'video',
+            url: 'http://127.0.0.1/movie.mkv',
+            subtitles: [{url: 'http://127.0.0.1/movie.en.srt', language: 'en'}, {url: 'http://127.0.0.1/movie.de.vtt?token=1', type: 'vtt'}]
+        }),
+        item = didl.parseItem(xml);
+
+    assert.ok(xml.indexOf('<sec:CaptionInfoEx sec:type="srt">http://127.0.0.1/movie.en.srt</sec:CaptionInfoEx>') !== -1);
+    assert.ok(xml.indexOf('pv:subtitleFileUri="http://127.0.0.1/movie.en.srt"') !== -1);
+    assert.ok(xml.indexOf('<res protocolInfo="http-get:*:text/vtt:*">http://127.0.0.1/movie.de.vtt?token=1</res>') !== -1);
+
+    // subtitle resources aren't media resources
+    assert.deepStrictEqual(item.resources.map(resource => resource.url), ['http://127.0.0.1/movie.mkv']);
+    assert.deepStrictEqual(item.subtitles, [
+        {url: 'http://127.0.0.1/movie.en.srt', type: 'srt'},
+        {url: 'http://127.0.0.1/movie.de.vtt?token=1', type: 'vtt'}
+    ]);
+    assert.deepStrictEqual(didl.parseItem(didl.build({title: 'Movie', subtitlesUrl: 'http://127.0.0.1/movie.ass'})).subtitles,
+        [{url: 'http://127.0.0.1/movie.ass', type: 'ass'}]);
+});
+
+
+test('detects subtitle format by address and MIME type', () => {
+    assert.strictEqual(didl.subtitleType('http://127.0.0.1/a.SRT#t'), 'srt');
+    assert.strictEqual(didl.subtitleType('application/x-subrip'), 'srt');
+    assert.strictEqual(didl.subtitleType('smi/caption'), 'smi');
+    assert.strictEqual(didl.subtitleType('text/x-ssa'), 'ssa');
+    assert.strictEqual(didl.subtitleType('video/mp4'), undefined);
+    assert.strictEqual(didl.subtitleType(undefined), undefined);
+});
@@ -0,0 +1,196 @@
+/**
+ * SSDP discovery against a local responder.
+ */
+
+'use strict';
+
+const test      = require('node:test'),
+    assert      = require('assert'),
+    dgram       = require('dgram'),
+    events      = require('events'),
+    Discovery   = require('../lib/discovery'),
+    TARGET      = 'urn:schemas-upnp-org:device:MediaRenderer:1',
+    UDN         = 'uuid:4d696e69-444c-164e-9d41-001a8f1c2a3b',
+    LOCATION    = 'http://127.0.0.1:49152/description.xml';
+
+
+/**
+ * Answer M-SEARCH requests on loopback like a renderer does.
+ *
+ * @param {function} callback method to invoke with bound responder socket
+ */
+function createResponder ( callback ) {
+    const socket = dgram.createSocket('udp4');
+
+    socket.searches = [];
+
+    socket.on('message', ( message, rinfo ) => {
+        const text = message.toString(),
+            response = Buffer.from([
+                'HTTP/1.1 200 OK',
+                'CACHE-CONTROL: max-age=1800',
+                'LOCATION: ' + LOCATION,
+                'ST: ' + TARGET,
+                'USN: ' + UDN + '::' + TARGET,
+                '',
+                ''
+            ].join('\r\n'));
+
+        socket.searches.push(text);
+
+        if ( text.indexOf('ST: ' + TARGET) !== -1 ) {
+            socket.send(response, 0, response.length, rinfo.port, rinfo.address);
+        }
+    });
+
+    socket.bind(0, '127.0.0.1', () => callback(socket));
+}
+
+
+/**
+ * Create client stub with a description fetched at once.
+ *
+ * @param {string} location device description address
+ *
+ * @return {Object} client stub
+ */
+function createClient ( location ) {
+    const client = new events.EventEmitter();
+
+    client.url = location;
+    client.getDeviceDescription = callback => process.nextTick(callback, null, {});
+
+    return client;
+}
+
+
+/**
+ * Send SSDP message to a port on loopback.
+ *
+ * @param {number} port destination port
+ * @param {Array} lines message lines
+ */
+function send ( port, lines ) {
+    const socket = dgram.createSocket('udp4'),
+        message = Buffer.from(lines.concat('', '').join('\r\n'));
+
+    socket.send(message, 0, message.length, port, '127.0.0.1', () => socket.close());
+}
+
+
+test('finds renderer answering M-SEARCH', ( context, done ) => {
+    createResponder(responder => {
+        const discovery = new Discovery({
+            address: '127.0.0.1',
+            port: responder.address().port,
+            listen: false,
+            createClient: createClient
+        });
+
+        discovery.on('found', ( client, info ) => {
+            assert.strictEqual(client.url, LOCATION);
+            assert.strictEqual(info.udn, UDN);
+            assert.strictEqual(info.location, LOCATION);
+            assert.ok(/^M-SEARCH \* HTTP\/1\.1/.test(responder.searches[0]));
+            assert.ok(responder.searches[0].indexOf('MAN: "ssdp:discover"') !== -1);
+
+            discovery.stop();
+            responder.close();
+            done();
+        });
+
+        discovery.start(error => assert.ifError(error));
+    });
+});
+
+
+test('follows alive and byebye announcements', ( context, done ) => {
+    const discovery = new Discovery({
+        address: '127.0.0.1',
+        port: 9,
+        listenPort: 0,
+        createClient: createClient
+    });
+
+    discovery.on('found', ( client, info ) => {
+        assert.strictEqual(info.udn, UDN);
+        assert.strictEqual(discovery.devices.size, 1);
+
+        send(discovery.notifySocket.address().port, [
+            'NOTIFY * HTTP/1.1',
+            'NT: ' + TARGET,
+            'NTS: ssdp:byebye',
+            'USN: ' + UDN + '::' + TARGET
+        ]);
+    });
+
+    discovery.on('lost', ( client, info ) => {
+        assert.strictEqual(info.udn, UDN);
+        assert.strictEqual(discovery.devices.size, 0);
+
+        discovery.stop();
+        done();
+    });
+
+    discovery.start().then(() => {
+        send(discovery.notifySocket.address().port, [
+            'NOTIFY * HTTP/1.1',
+            'CACHE-CONTROL: max-age=1800',
+            'LOCATION: ' + LOCATION,
+            'NT: ' + TARGET,
+            'NTS: ssdp:alive',
+            'USN: ' + UDN + '::' + TARGET
+        ]);
+    });
+});
+
+
+test('ignores other device types', ( context, done ) => {
+    const discovery = new Discovery({
+        address: '127.0.0.1',
+        port: 9,
+        listenPort: 0,
+        createClient: createClient
+    });
+
+    discovery.on('found', () => assert.fail('unexpected device'));
+
+    discovery.start().then(() => {
+        send(discovery.notifySocket.address().port, [
+            'NOTIFY * HTTP/1.1',
+            'LOCATION: ' + LOCATION,
+            'NT: urn:schemas-upnp-org:device:MediaServer:1',
+            'NTS: ssdp:alive',
+            'USN: ' + UDN + '::urn:schemas-upnp-org:device:MediaServer:1'
+        ]);
+
+        setTimeout(() => {
+            assert.strictEqual(discovery.devices.size, 0);
+            discovery.stop();
+            done();
+        }, 100);
+    });
+});
+
+
+test('fails start when port is taken', ( context, done ) => {
+    // bound without SO_REUSEADDR, so nobody else may bind the port
+    const socket = dgram.createSocket('udp4');
+
+    socket.bind(0, () => {
+        const discovery = new Discovery({
+            address: '127.0.0.1',
+            listenPort: socket.address().port,
+            createClient: createClient
+        });
+
+        discovery.start().then(() => assert.fail('unexpected start'), error => {
+            assert.strictEqual(error.code, 'EADDRINUSE');
+            assert.strictEqual(discovery.searchSocket, null);
+            assert.strictEqual(discovery.notifySocket, null);
+
+            socket.close();
+            done();
+        });
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Typed errors of device communication.
+ */
+
+'use strict';
+
+const test              = require('node:test'),
+    assert              = require('assert'),
+    http                = require('http'),
+    errors              = require('../lib/errors'),
+    MediaRendererClient = require('../index'),
+    DeviceClient        = require('../lib/device.client'),
+    createRenderer      = require('./helpers/renderer');
+
+
+test('names fault codes by service', () => {
+    const transport = errors.createFault('urn:upnp-org:serviceId:AVTransport', 701, '', {actionName: 'Play'}),
+        rendering = errors.createFault('urn:upnp-org:serviceId:RenderingControl', 701, 'No such preset'),
+        common = errors.createFault('urn:upnp-org:serviceId:RenderingControl', 402),
+        unknown = errors.createFault('urn:upnp-org:serviceId:ConnectionManager', 799, 'Vendor error');
+
+    assert.ok(transport instanceof errors.TransportError);
+    assert.ok(transport instanceof errors.UPnPError);
+    assert.deepStrictEqual(
+        [transport.code, transport.errorCode, transport.errorName, transport.message, transport.actionName, transport.retryable],
+        ['EUPNP', 701, 'TRANSITION_NOT_AVAILABLE', 'Transition not available (701)', 'Play', true]
+    );
+
+    assert.ok(!(rendering instanceof errors.TransportError));
+    assert.deepStrictEqual([rendering.errorName, rendering.description, rendering.retryable], ['INVALID_NAME', 'No such preset', false]);
+    assert.deepStrictEqual([common.errorName, common.description], ['INVALID_ARGS', 'Invalid args']);
+    assert.deepStrictEqual([unknown.errorName, unknown.description, unknown.name], ['UNKNOWN', 'Vendor error', 'UPnPError']);
+});
+
+
+test('reports SOAP faults of renderer', ( context, done ) => {
+    const options = {responses: {
+        Play: {errorCode: 701, errorDescription: 'Transition not available'},
+        GetVolume: {errorCode: 402, errorDescription: 'Invalid Args'}
+    }};
+
+    createRenderer(options, renderer => {
+        const client = new MediaRendererClient(renderer.url);
+
+        client.play(error => {
+            assert.ok(error instanceof errors.TransportError);
+            assert.deepStrictEqual(
+                [error.errorCode, error.errorName, error.actionName, error.statusCode],
+                [701, 'TRANSITION_NOT_AVAILABLE', 'Play', 500]
+            );
+
+            client.getVolume(error => {
+                assert.ok(error instanceof errors.UPnPError && !(error instanceof errors.TransportError));
+                assert.deepStrictEqual([error.errorName, error.description], ['INVALID_ARGS', 'Invalid Args']);
+
+                renderer.server.closeAllConnections();
+                renderer.server.close(() => done());
+            });
+        });
+    });
+});
+
+
+test('reports malformed answers of device', ( context, done ) => {
+    const server = http.createServer(( req, res ) => res.end('not a description'));
+
+    server.listen(0, '127.0.0.1', () => {
+        const address = 'http://127.0.0.1:' + server.address().port + '/description.xml';
+
+        new DeviceClient(address).getDeviceDescription(error => {
+            assert.ok(error instanceof errors.ProtocolError);
+            assert.deepStrictEqual([error.code, error.url, error.retryable], ['EPROTO', address, false]);
+
+            server.closeAllConnections();
+            server.close(() => done());
+        });
+    });
+});
+
+
+test('reports unreachable devices', ( context, done ) => {
+    const server = http.createServer();
+
+    server.listen(0, '127.0.0.1', () => {
+        const address = 'http://127.0.0.1:' + server.address().port + '/description.xml';
+
+        // nothing listens on the port anymore
+        server.close(() => new DeviceClient(address, {retries: 0}).getDeviceDescription(error => {
+            assert.ok(error instanceof errors.NetworkError);
+            assert.deepStrictEqual([error.code, error.url, error.retryable], ['ECONNREFUSED', address, true]);
+
+            done();
+        }));
+    });
+});
@@ -0,0 +1,185 @@
+/**
+ * Serving files and buffers to renderers on loopback.
+ */
+
+'use strict';
+
+const test        = require('node:test'),
+    assert        = require('assert'),
+    http          = require('http'),
+    net           = require('net'),
+    fs            = require('fs'),
+    FileServer    = require('../lib/file.server'),
+    CONTENT       = Buffer.from('0123456789');
+
+
+/**
+ * Send request to a resource.
+ *
+ * @param {string} url resource address
+ * @param {Object} [options] request options, e.g. method and headers
+ * @param {function} callback method to invoke with response and its body
+ */
+function request ( url, options, callback ) {
+    // no keep-alive so closed servers don't wait for idle connections
+    http.request(url, Object.assign({agent: false}, options), res => {
+        const chunks = [];
+
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(res, Buffer.concat(chunks).toString()));
+    }).end();
+}
+
+
+/**
+ * Start a server on loopback with a buffer resource.
+ *
+ * @param {Object} [options] resource options
+ * @param {function} callback method to invoke with server and resource address
+ */
+function start ( options, callback ) {
+    const server = new FileServer({host: '127.0.0.1'});
+
+    server.listen(error => {
+        assert.ifError(error);
+        callback(server, server.add(CONTENT, options));
+    });
+}
+
+
+test('serves byte ranges', ( context, done ) => {
+    const ranges = [
+        ['bytes=2-4', 206, '234', 'bytes 2-4/10'],
+        ['bytes=7-', 206, '789', 'bytes 7-9/10'],
+        ['bytes=-2', 206, '89', 'bytes 8-9/10'],
+        ['bytes=5-100', 206, '56789', 'bytes 5-9/10'],
+        ['bytes=10-', 416, '', 'bytes */10'],
+        ['bytes=4-2', 416, '', 'bytes */10'],
+        ['lines=1-2', 416, '', 'bytes */10']
+    ];
+
+    start({fileName: 'movie.mp4'}, ( server, url ) => {
+        const next = () => {
+            const range = ranges.shift();
+
+            if ( !range ) {
+                server.close();
+                done();
+
+                return;
+            }
+
+            request(url, {headers: {Range: range[0]}}, ( res, body ) => {
+                assert.strictEqual(res.statusCode, range[1], range[0]);
+                assert.strictEqual(body, range[2], range[0]);
+                assert.strictEqual(res.headers['content-range'], range[3], range[0]);
+                next();
+            });
+        };
+
+        next();
+    });
+});
+
+
+test('answers HEAD with headers only', ( context, done ) => {
+    start({fileName: 'movie.mp4'}, ( server, url ) => {
+        request(url, {method: 'HEAD'}, ( res, body ) => {
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(body, '');
+            assert.strictEqual(res.headers['content-length'], '10');
+            assert.strictEqual(res.headers['accept-ranges'], 'bytes');
+
+            request(url, {method: 'POST'}, res => {
+                assert.strictEqual(res.statusCode, 405);
+
+                server.close();
+                done();
+            });
+        });
+    });
+});
+
+
+test('sends DLNA headers by content type', ( context, done ) => {
+    start({fileName: 'movie.mp4'}, ( server, url ) => {
+        const picture = server.add(CONTENT, {fileName: 'photo.jpg'});
+
+        request(url, {}, ( res, body ) => {
+            assert.strictEqual(body, '0123456789');
+            assert.strictEqual(res.headers['content-type'], 'video/mp4');
+            assert.strictEqual(res.headers['transfermode.dlna.org'], 'Streaming');
+            assert.ok(res.headers['contentfeatures.dlna.org'].indexOf('DLNA.ORG_OP=01') === 0);
+
+            request(picture, {}, res => {
+                assert.strictEqual(res.headers['content-type'], 'image/jpeg');
+                assert.strictEqual(res.headers['transfermode.dlna.org'], 'Interactive');
+
+                server.close();
+                done();
+            });
+        });
+    });
+});
+
+
+test('points media to its subtitles', ( context, done ) => {
+    start({fileName: 'movie.mp4', subtitlesUrl: 'http://127.0.0.1/movie.srt'}, ( server, url ) => {
+        const subtitles = server.add(CONTENT, {fileName: 'movie.srt', language: 'en'});
+
+        request(url, {method: 'HEAD'}, res => {
+            assert.strictEqual(res.headers['captioninfo.sec'], 'http://127.0.0.1/movie.srt');
+
+            request(subtitles, {method: 'HEAD'}, res => {
+                assert.strictEqual(res.headers['content-type'], 'text/srt');
+                assert.strictEqual(res.headers['content-language'], 'en');
+                assert.strictEqual(res.headers['transfermode.dlna.org'], 'Interactive');
+
+                server.close();
+                done();
+            });
+        });
+    });
+});
+
+
+test('serves files and forgets removed resources', ( context, done ) => {
+    start({}, ( server, url ) => {
+        const file = server.add(__filename);
+
+        request(file, {headers: {Range: 'bytes=0-12'}}, ( res, body ) => {
+            assert.strictEqual(res.statusCode, 206);
+            assert.strictEqual(body, fs.readFileSync(__filename, 'utf8').slice(0, 13));
+            assert.strictEqual(res.headers['content-type'], 'application/octet-stream');
+
+            server.remove(url);
+            request(url, {}, res => {
+                assert.strictEqual(res.statusCode, 404);
+
+                server.close();
+                done();
+            });
+        });
+    });
+});
+
+
+test('binds again after a failed listen', ( context, done ) => {
+    const busy = net.createServer().listen(0, '127.0.0.1', () => {
+        const server = new FileServer({host: '127.0.0.1', port: busy.address().port});
+
+        server.listen(error => {
+            assert.strictEqual(error.code, 'EADDRINUSE');
+
+            busy.close(() => {
+                server.listen(error => {
+                    assert.ifError(error);
+                    assert.strictEqual(server.listening, true);
+
+                    server.close();
+                    done();
+                });
+            });
+        });
+    });
+});
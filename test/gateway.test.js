@@ -0,0 +1,209 @@
+/**
+ * Gateway requests and WebSocket frames on loopback.
+ */
+
+'use strict';
+
+const test                = require('node:test'),
+    assert                = require('assert'),
+    http                  = require('http'),
+    net                   = require('net'),
+    dgram                 = require('dgram'),
+    MediaRendererClient   = require('../index'),
+    createRenderer        = require('./helpers/renderer'),
+    HANDSHAKE             = [
+        'Host: 127.0.0.1',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+        'Sec-WebSocket-Version: 13',
+        '',
+        ''
+    ].join('\r\n');
+
+
+/**
+ * Start a gateway on loopback with a fake renderer as `tv`.
+ *
+ * @param {function} callback method to invoke with gateway, its port and renderer
+ */
+function start ( callback ) {
+    createRenderer({}, renderer => {
+        const gateway = new MediaRendererClient.Gateway(),
+            server = gateway.listen(0, '127.0.0.1', () => callback(gateway, server.address().port, renderer));
+
+        gateway.add(new MediaRendererClient(renderer.url), 'tv');
+    });
+}
+
+
+/**
+ * Close gateway and renderer.
+ *
+ * @param {Gateway} gateway gateway to close
+ * @param {Object} renderer fake renderer
+ * @param {function} done test callback
+ */
+function finish ( gateway, renderer, done ) {
+    gateway.server.closeAllConnections();
+    gateway.close();
+    renderer.server.closeAllConnections();
+    renderer.server.close(() => done());
+}
+
+
+/**
+ * Send API request.
+ *
+ * @param {number} port gateway port
+ * @param {string} method request method
+ * @param {string} path request path
+ * @param {string} [body] request body
+ * @param {function} callback method to invoke with status code and parsed body
+ */
+function request ( port, method, path, body, callback ) {
+    http.request({host: '127.0.0.1', port: port, method: method, path: path}, res => {
+        const chunks = [];
+
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(res.statusCode, JSON.parse(Buffer.concat(chunks).toString())));
+    }).end(body);
+}
+
+
+/**
+ * Open raw connection with WebSocket handshake.
+ *
+ * @param {number} port gateway port
+ * @param {string} path request path
+ * @param {function} callback method to invoke with socket and all data received until it's closed
+ *
+ * @return {net.Socket} connection
+ */
+function upgrade ( port, path, callback ) {
+    const socket = net.connect(port, '127.0.0.1'),
+        chunks = [];
+
+    socket.on('data', chunk => chunks.push(chunk));
+    socket.on('close', () => callback(socket, Buffer.concat(chunks)));
+    socket.write('GET ' + path + ' HTTP/1.1\r\n' + HANDSHAKE);
+
+    return socket;
+}
+
+
+test('answers malformed path with 400', ( context, done ) => {
+    start(( gateway, port, renderer ) => {
+        request(port, 'GET', '/api/renderers/%E0%A4%A', null, ( statusCode, body ) => {
+            assert.strictEqual(statusCode, 400);
+            assert.strictEqual(body.error.code, 'EINVAL');
+
+            finish(gateway, renderer, done);
+        });
+    });
+});
+
+
+test('rejects load without url', ( context, done ) => {
+    start(( gateway, port, renderer ) => {
+        request(port, 'POST', '/api/renderers/tv/load', JSON.stringify({url: 5}), ( statusCode, body ) => {
+            assert.strictEqual(statusCode, 400);
+            assert.strictEqual(body.error.code, 'EINVAL');
+            assert.strictEqual(renderer.calls.length, 0);
+
+            request(port, 'POST', '/api/renderers/tv/load', '{}', statusCode => {
+                assert.strictEqual(statusCode, 400);
+                assert.strictEqual(renderer.calls.length, 0);
+
+                finish(gateway, renderer, done);
+            });
+        });
+    });
+});
+
+
+test('rejects actions without required arguments', ( context, done ) => {
+    const bodies = [
+        ['seek', {}],
+        ['seek', {target: ''}],
+        ['skip', {seconds: '10'}],
+        ['volume', {}],
+        ['volume', {volume: null}],
+        ['mute', {mute: 'on'}],
+        ['playMode', {}]
+    ];
+
+    start(( gateway, port, renderer ) => {
+        const next = () => {
+            const item = bodies.shift();
+
+            if ( !item ) {
+                assert.strictEqual(renderer.calls.length, 0);
+
+                // a valid body goes through
+                request(port, 'POST', '/api/renderers/tv/volume', JSON.stringify({volume: 20}), statusCode => {
+                    assert.strictEqual(statusCode, 200);
+                    assert.strictEqual(renderer.calls[0].params.DesiredVolume, '20');
+                    finish(gateway, renderer, done);
+                });
+
+                return;
+            }
+
+            request(port, 'POST', '/api/renderers/tv/' + item[0], JSON.stringify(item[1]), ( statusCode, body ) => {
+                assert.strictEqual(statusCode, 400, item[0] + ' ' + JSON.stringify(item[1]));
+                assert.strictEqual(body.error.code, 'EINVAL');
+                next();
+            });
+        };
+
+        next();
+    });
+});
+
+
+test('refuses upgrades outside of API', ( context, done ) => {
+    start(( gateway, port, renderer ) => {
+        upgrade(port, '/other', ( socket, data ) => {
+            assert.ok(data.toString().indexOf('HTTP/1.1 404') === 0);
+
+            finish(gateway, renderer, done);
+        });
+    });
+});
+
+
+test('closes connection on unmasked frames', ( context, done ) => {
+    start(( gateway, port, renderer ) => {
+        const socket = upgrade(port, '/api/events', ( socket, data ) => {
+            const frames = data.slice(data.indexOf('\r\n\r\n') + 4);
+
+            // close frame with 1002 status and no pong after it
+            assert.deepStrictEqual(Array.from(frames), [0x88, 2, 0x03, 0xEA]);
+
+            // let subscriptions of the connection finish before closing renderer
+            setTimeout(() => finish(gateway, renderer, done), 100);
+        });
+
+        socket.once('data', () => {
+            // unmasked ping followed by a masked one
+            socket.write(Buffer.from([0x89, 0, 0x89, 0x80, 1, 2, 3, 4]));
+        });
+    });
+});
+
+
+test('reports busy SSDP port as error event', ( context, done ) => {
+    const socket = dgram.createSocket('udp4');
+
+    socket.bind(0, () => {
+        const gateway = new MediaRendererClient.Gateway({discovery: {listenPort: socket.address().port}});
+
+        gateway.on('error', error => {
+            assert.strictEqual(error.code, 'EADDRINUSE');
+
+            gateway.close();
+            socket.close(() => done());
+        });
+    });
+});
@@ -0,0 +1,403 @@
+/**
+ * Fake MediaRenderer on loopback for tests.
+ */
+
+'use strict';
+
+const http      = require('http'),
+    url         = require('url'),
+    et          = require('elementtree'),
+    // action arguments as `direction name variable`
+    SERVICES    = {
+        AVTransport: {
+            SetAVTransportURI: [
+                'in InstanceID A_ARG_TYPE_InstanceID',
+                'in CurrentURI AVTransportURI',
+                'in CurrentURIMetaData AVTransportURIMetaData'
+            ],
+            SetNextAVTransportURI: ['in InstanceID A_ARG_TYPE_InstanceID', 'in NextURI AVTransportURI', 'in NextURIMetaData AVTransportURIMetaData'],
+            Play: ['in InstanceID A_ARG_TYPE_InstanceID', 'in Speed TransportPlaySpeed'],
+            Pause: ['in InstanceID A_ARG_TYPE_InstanceID'],
+            Stop: ['in InstanceID A_ARG_TYPE_InstanceID'],
+            Next: ['in InstanceID A_ARG_TYPE_InstanceID'],
+            Previous: ['in InstanceID A_ARG_TYPE_InstanceID'],
+            SetPlayMode: ['in InstanceID A_ARG_TYPE_InstanceID', 'in NewPlayMode CurrentPlayMode'],
+            GetTransportSettings: [
+                'in InstanceID A_ARG_TYPE_InstanceID',
+                'out PlayMode CurrentPlayMode',
+                'out RecQualityMode CurrentRecordQualityMode'
+            ],
+            GetDeviceCapabilities: [
+                'in InstanceID A_ARG_TYPE_InstanceID',
+                'out PlayMedia PossiblePlaybackStorageMedia',
+                'out RecMedia PossibleRecordStorageMedia',
+                'out RecQualityModes PossibleRecordQualityModes'
+            ],
+            GetCurrentTransportActions: ['in InstanceID A_ARG_TYPE_InstanceID', 'out Actions CurrentTransportActions'],
+            Seek: ['in InstanceID A_ARG_TYPE_InstanceID', 'in Unit A_ARG_TYPE_SeekMode', 'in Target A_ARG_TYPE_SeekTarget'],
+            GetTransportInfo: [
+                'in InstanceID A_ARG_TYPE_InstanceID',
+                'out CurrentTransportState TransportState',
+                'out CurrentTransportStatus TransportStatus',
+                'out CurrentSpeed TransportPlaySpeed'
+            ],
+            GetPositionInfo: [
+                'in InstanceID A_ARG_TYPE_InstanceID',
+                'out Track CurrentTrack',
+                'out TrackDuration CurrentTrackDuration',
+                'out TrackURI AVTransportURI',
+                'out RelTime RelativeTimePosition',
+                'out AbsTime RelativeTimePosition'
+            ]
+        },
+        RenderingControl: {
+            GetVolume: ['in InstanceID A_ARG_TYPE_InstanceID', 'in Channel A_ARG_TYPE_Channel', 'out CurrentVolume Volume'],
+            SetVolume: ['in InstanceID A_ARG_TYPE_InstanceID', 'in Channel A_ARG_TYPE_Channel', 'in DesiredVolume Volume']
+        },
+        ConnectionManager: {
+            GetProtocolInfo: ['out Source SourceProtocolInfo', 'out Sink SinkProtocolInfo']
+        }
+    },
+    // state variables as `name type [minimum..maximum]`
+    VARIABLES   = [
+        'A_ARG_TYPE_InstanceID ui4',
+        'A_ARG_TYPE_Channel string',
+        'A_ARG_TYPE_SeekMode string',
+        'A_ARG_TYPE_SeekTarget string',
+        'AVTransportURI string',
+        'AVTransportURIMetaData string',
+        'TransportPlaySpeed string',
+        'TransportState string',
+        'TransportStatus string',
+        'CurrentTrack ui4',
+        'CurrentTrackDuration string',
+        'RelativeTimePosition string',
+        'CurrentPlayMode string',
+        'CurrentRecordQualityMode string',
+        'PossiblePlaybackStorageMedia string',
+        'PossibleRecordStorageMedia string',
+        'PossibleRecordQualityModes string',
+        'CurrentTransportActions string',
+        'Volume ui2 0..100',
+        'Mute boolean',
+        'SourceProtocolInfo string',
+        'SinkProtocolInfo string',
+        'LastChange string'
+    ];
+
+
+/**
+ * Escape text for XML.
+ *
+ * @param {*} value text
+ *
+ * @return {string} escaped text
+ */
+function escape ( value ) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+
+/**
+ * Build service description.
+ *
+ * @param {Object} actions service actions
+ * @param {Array} variables state variables
+ *
+ * @return {string} SCPD XML
+ */
+function describeService ( actions, variables ) {
+    const argument = arg => {
+            const parts = arg.split(' ');
+
+            return '<argument><name>' + parts[1] + '</name><direction>' + parts[0] + '</direction>' +
+                '<relatedStateVariable>' + parts[2] + '</relatedStateVariable></argument>';
+        },
+        variable = item => {
+            const parts = item.split(' '),
+                range = parts[2] && parts[2].indexOf('..') !== -1 ? parts[2].split('..') : null,
+                allowed = parts[2] && !range ? parts[2].split(',').map(value => '<allowedValue>' + value + '</allowedValue>') : null;
+
+            return '<stateVariable sendEvents="no"><name>' + parts[0] + '</name><dataType>' + parts[1] + '</dataType>' +
+                (range ? '<allowedValueRange><minimum>' + range[0] + '</minimum><maximum>' + range[1] + '</maximum></allowedValueRange>' : '') +
+                (allowed ? '<allowedValueList>' + allowed.join('') + '</allowedValueList>' : '') +
+                '</stateVariable>';
+        };
+
+    return '<?xml version="1.0"?><scpd xmlns="urn:schemas-upnp-org:service-1-0"><actionList>' +
+        Object.keys(actions).map(name => '<action><name>' + name + '</name><argumentList>' +
+            actions[name].map(argument).join('') + '</argumentList></action>').join('') +
+        '</actionList><serviceStateTable>' + variables.map(variable).join('') + '</serviceStateTable></scpd>';
+}
+
+
+/**
+ * Build device description.
+ *
+ * @param {Object} services services with their actions
+ *
+ * @return {string} description XML
+ */
+function describeDevice ( services ) {
+    return '<?xml version="1.0"?><root xmlns="urn:schemas-upnp-org:device-1-0"><device>' +
+        '<deviceType>urn:schemas-upnp-org:device:MediaRenderer:1</deviceType>' +
+        '<friendlyName>Fake renderer</friendlyName><UDN>uuid:fake-renderer</UDN><serviceList>' +
+        Object.keys(services).map(name => '<service>' +
+            '<serviceType>urn:schemas-upnp-org:service:' + name + ':1</serviceType>' +
+            '<serviceId>urn:upnp-org:serviceId:' + name + '</serviceId>' +
+            '<SCPDURL>/' + name + '/scpd.xml</SCPDURL><controlURL>/' + name + '/control</controlURL>' +
+            '<eventSubURL>/' + name + '/event</eventSubURL></service>').join('') +
+        '</serviceList></device></root>';
+}
+
+
+/**
+ * Build SOAP response.
+ *
+ * @param {string} service service name
+ * @param {string} action action name
+ * @param {Array} args action arguments
+ * @param {Object} result action results
+ *
+ * @return {string} SOAP envelope
+ */
+function buildResponse ( service, action, args, result ) {
+    const values = args
+        .map(arg => arg.split(' '))
+        .filter(parts => parts[0] === 'out')
+        .map(parts => '<' + parts[1] + '>' + escape(result[parts[1]] === undefined ? '' : result[parts[1]]) + '</' + parts[1] + '>');
+
+    return '<?xml version="1.0"?><s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body>' +
+        '<u:' + action + 'Response xmlns:u="urn:schemas-upnp-org:service:' + service + ':1">' + values.join('') +
+        '</u:' + action + 'Response></s:Body></s:Envelope>';
+}
+
+
+/**
+ * Build SOAP fault.
+ *
+ * @param {Object} fault UPnP error with `errorCode` and `errorDescription`
+ *
+ * @return {string} SOAP envelope
+ */
+function buildFault ( fault ) {
+    return '<?xml version="1.0"?><s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body><s:Fault>' +
+        '<faultcode>s:Client</faultcode><faultstring>UPnPError</faultstring><detail>' +
+        '<UPnPError xmlns="urn:schemas-upnp-org:control-1-0"><errorCode>' + fault.errorCode + '</errorCode>' +
+        '<errorDescription>' + escape(fault.errorDescription || '') + '</errorDescription></UPnPError>' +
+        '</detail></s:Fault></s:Body></s:Envelope>';
+}
+
+
+/**
+ * Start fake renderer.
+ *
+ * It keeps transport state in `state`, changed by actions and by `set`, and sends changes as LastChange events.
+ *
+ * @param {Object} [options] renderer options
+ * @param {Object} [options.responses] action results by action name, objects or functions of arguments
+ * with `errorCode` and `errorDescription` give a SOAP fault
+ * @param {Array} [options.omit] actions to leave out of descriptions
+ * @param {Object} [options.ranges] allowed ranges of state variables as `minimum..maximum` by name
+ * @param {Object} [options.allowed] allowed values of state variables as comma separated lists by name
+ * @param {function} callback method to invoke with ready renderer
+ */
+function createRenderer ( options, callback ) {
+    const services = {},
+        limits = Object.assign({}, options.ranges, options.allowed),
+        variables = VARIABLES.map(item => {
+            const parts = item.split(' ');
+
+            return limits[parts[0]] ? parts[0] + ' ' + parts[1] + ' ' + limits[parts[0]] : item;
+        }),
+        renderer = {
+            calls: [],
+            subscriptions: {},
+            // HTTP status of SUBSCRIBE responses
+            subscribeStatus: 200,
+            // failed notifications, e.g. to clients gone meanwhile
+            errors: [],
+            state: {
+                TransportState: 'NO_MEDIA_PRESENT',
+                AVTransportURI: '',
+                CurrentTrackDuration: '0:00:00',
+                RelativeTimePosition: '0:00:00'
+            }
+        };
+
+    Object.keys(SERVICES).forEach(name => {
+        services[name] = Object.assign({}, SERVICES[name]);
+        (options.omit || []).forEach(action => delete services[name][action]);
+    });
+
+    /**
+     * Send LastChange event to subscriber.
+     *
+     * @param {string} service service name
+     * @param {Object} variables event variables, values of channel specific ones may be given by channel
+     */
+    renderer.notify = ( service, variables ) => {
+        const element = ( name, value, channel ) => '<' + name + (channel ? ' channel="' + channel + '"' : '') + ' val="' + escape(value) + '"/>',
+            variable = name => {
+                const value = variables[name];
+
+                return value !== null && typeof value === 'object'
+                    ? Object.keys(value).map(channel => element(name, value[channel], channel)).join('')
+                    : element(name, value);
+            },
+            subscription = renderer.subscriptions[service],
+            event = '<Event xmlns="urn:schemas-upnp-org:metadata-1-0/' + (service === 'RenderingControl' ? 'RCS' : 'AVT') + '/">' +
+                '<InstanceID val="0">' + Object.keys(variables).map(variable).join('') + '</InstanceID></Event>',
+            body = '<?xml version="1.0"?><e:propertyset xmlns:e="urn:schemas-upnp-org:event-1-0"><e:property>' +
+                '<LastChange>' + escape(event) + '</LastChange></e:property></e:propertyset>';
+
+        if ( !subscription ) {
+            return;
+        }
+
+        http.request(Object.assign(url.parse(subscription.callback), {
+            method: 'NOTIFY',
+            headers: {
+                NT: 'upnp:event',
+                NTS: 'upnp:propchange',
+                SID: subscription.sid,
+                SEQ: subscription.seq++,
+                'Content-Type': 'text/xml'
+            }
+        }), res => res.resume())
+            .on('error', error => renderer.errors.push(error))
+            .end(body);
+    };
+
+    /**
+     * Change state and send it as an event of AVTransport.
+     *
+     * @param {Object} variables changed variables
+     */
+    renderer.set = variables => {
+        Object.assign(renderer.state, variables);
+        renderer.notify('AVTransport', variables);
+    };
+
+    /**
+     * Answer control request.
+     *
+     * @param {string} action action name
+     * @param {Object} params action arguments
+     *
+     * @return {Object} action results
+     */
+    function control ( action, params ) {
+        const response = (options.responses || {})[action],
+            state = renderer.state;
+
+        switch ( action ) {
+            case 'SetAVTransportURI':
+                renderer.set({TransportState: 'STOPPED', AVTransportURI: params.CurrentURI, RelativeTimePosition: '0:00:00'});
+                break;
+            case 'Play':
+                renderer.set({TransportState: 'PLAYING'});
+                break;
+            case 'Stop':
+                renderer.set({TransportState: 'STOPPED', RelativeTimePosition: '0:00:00'});
+                break;
+        }
+
+        if ( response ) {
+            return typeof response === 'function' ? response(params) : response;
+        }
+
+        return {
+            CurrentTransportState: state.TransportState,
+            CurrentTransportStatus: 'OK',
+            CurrentSpeed: '1',
+            Track: 1,
+            TrackDuration: state.CurrentTrackDuration,
+            TrackURI: state.AVTransportURI,
+            RelTime: state.RelativeTimePosition,
+            AbsTime: state.RelativeTimePosition
+        };
+    }
+
+    /**
+     * Send action results or SOAP fault.
+     *
+     * @param {http.ServerResponse} res response
+     * @param {string} service service name
+     * @param {string} action action name
+     * @param {Object} result action results or UPnP error
+     */
+    function reply ( res, service, action, result ) {
+        res.writeHead(result.errorCode ? 500 : 200, {'Content-Type': 'text/xml'});
+        res.end(result.errorCode ? buildFault(result) : buildResponse(service, action, services[service][action], result));
+    }
+
+    /**
+     * Answer subscription request.
+     *
+     * @param {string} service service name
+     * @param {http.IncomingMessage} req request
+     * @param {http.ServerResponse} res response
+     */
+    function subscribe ( service, req, res ) {
+        const sid = req.headers.sid || 'uuid:' + service + '-' + Date.now();
+
+        if ( renderer.subscribeStatus !== 200 ) {
+            res.writeHead(renderer.subscribeStatus);
+            res.end();
+
+            return;
+        }
+
+        if ( !req.headers.sid ) {
+            renderer.subscriptions[service] = {sid: sid, seq: 0, callback: req.headers.callback.replace(/[<>]/g, '')};
+            // the initial event brings the full state
+            setTimeout(() => renderer.notify(service, service === 'AVTransport' ? renderer.state : {}), 10);
+        }
+
+        res.writeHead(200, {SID: sid, TIMEOUT: 'Second-300'});
+        res.end();
+    }
+
+    renderer.server = http.createServer(( req, res ) => {
+        const chunks = [],
+            parts = req.url.split('/'),
+            service = parts[1];
+
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            if ( req.url === '/description.xml' ) {
+                res.end(describeDevice(services));
+            } else if ( parts[2] === 'scpd.xml' ) {
+                res.end(describeService(services[service], variables));
+            } else if ( parts[2] === 'control' ) {
+                const action = (/#(\w+)"?$/).exec(req.headers.soapaction)[1],
+                    node = et.parse(Buffer.concat(chunks).toString()).getroot().getchildren()[0].getchildren()[0],
+                    params = {};
+
+                node.getchildren().forEach(child => {
+                    params[child.tag] = child.text || '';
+                });
+
+                renderer.calls.push({service: service, action: action, params: params});
+                reply(res, service, action, control(action, params));
+            } else if ( parts[2] === 'event' && req.method === 'SUBSCRIBE' ) {
+                subscribe(service, req, res);
+            } else if ( parts[2] === 'event' && req.method === 'UNSUBSCRIBE' ) {
+                delete renderer.subscriptions[service];
+                res.end();
+            } else {
+                res.writeHead(404);
+                res.end();
+            }
+        });
+    });
+
+    renderer.server.listen(0, '127.0.0.1', () => {
+        renderer.url = 'http://127.0.0.1:' + renderer.server.address().port + '/description.xml';
+        callback(renderer);
+    });
+}
+
+
+module.exports = createRenderer;
@@ -0,0 +1,73 @@
+/**
+ * Loading of media server items against a fake renderer on loopback.
+ */
+
+'use strict';
+
+const test                = require('node:test'),
+    assert                = require('assert'),
+    MediaRendererClient   = require('../index'),
+    createRenderer        = require('./helpers/renderer'),
+    SINK                  = [
+        'http-get:*:video/mp4:DLNA.ORG_PN=AVC_MP4_HP_HD_AAC',
+        'http-get:*:video/mp4:*',
+        'http-get:*:video/x-matroska:*'
+    ].join(',');
+
+
+/**
+ * Load item to a fake renderer playing mp4 and mkv.
+ *
+ * @param {Array} resources item resources
+ * @param {function} callback method to invoke with error, chosen resource and renderer
+ */
+function load ( resources, callback ) {
+    createRenderer({responses: {GetProtocolInfo: {Source: '', Sink: SINK}}}, renderer => {
+        const client = new MediaRendererClient(renderer.url);
+
+        client.loadItem({id: '1', title: 'Movie', resources: resources}, ( error, resource ) => {
+            renderer.server.closeAllConnections();
+            renderer.server.close(() => callback(error, resource, renderer));
+        });
+    });
+}
+
+
+test('prefers original resource to transcoded ones', ( context, done ) => {
+    load([
+        {url: 'http://127.0.0.1/movie.mp4', protocolInfo: 'http-get:*:video/mp4:DLNA.ORG_PN=AVC_MP4_HP_HD_AAC;DLNA.ORG_CI=1'},
+        {url: 'http://127.0.0.1/movie.mkv', protocolInfo: 'http-get:*:video/x-matroska:DLNA.ORG_OP=01;DLNA.ORG_CI=0'}
+    ], ( error, resource, renderer ) => {
+        assert.ifError(error);
+        assert.strictEqual(resource.url, 'http://127.0.0.1/movie.mkv');
+        assert.strictEqual(renderer.state.AVTransportURI, 'http://127.0.0.1/movie.mkv');
+
+        done();
+    });
+});
+
+
+test('prefers resource with matching DLNA profile', ( context, done ) => {
+    load([
+        {url: 'http://127.0.0.1/movie.m3u8', protocolInfo: 'http-get:*:application/vnd.apple.mpegurl:*'},
+        {url: 'http://127.0.0.1/generic.mp4', protocolInfo: 'http-get:*:video/mp4:*'},
+        {url: 'http://127.0.0.1/movie.mp4', protocolInfo: 'http-get:*:video/mp4:DLNA.ORG_PN=AVC_MP4_HP_HD_AAC'}
+    ], ( error, resource ) => {
+        assert.ifError(error);
+        assert.strictEqual(resource.url, 'http://127.0.0.1/movie.mp4');
+
+        done();
+    });
+});
+
+
+test('fails without playable resources', ( context, done ) => {
+    load([
+        {url: 'http://127.0.0.1/movie.m3u8', protocolInfo: 'http-get:*:application/vnd.apple.mpegurl:*'},
+        {url: 'rtsp://127.0.0.1/movie.mp4', protocolInfo: 'rtsp-rtp-udp:*:video/mp4:*'}
+    ], error => {
+        assert.strictEqual(error.code, 'ENOTSUPPORTED');
+
+        done();
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * Playback queue against a fake renderer on loopback.
+ */
+
+'use strict';
+
+const test                = require('node:test'),
+    assert                = require('assert'),
+    MediaRendererClient   = require('../index'),
+    PlaybackQueue         = require('../lib/playback.queue'),
+    createRenderer        = require('./helpers/renderer'),
+    ITEMS                 = ['http://127.0.0.1/first.mp3', 'http://127.0.0.1/second.mp3'];
+
+
+/**
+ * Start a fake renderer without gapless support and a queue playing its first item.
+ *
+ * @param {function} callback method to invoke with renderer, client and queue
+ */
+function start ( callback ) {
+    createRenderer({omit: ['SetNextAVTransportURI']}, renderer => {
+        const client = new MediaRendererClient(renderer.url, {tracking: {interval: 50}}),
+            queue = new PlaybackQueue(client, {items: ITEMS});
+
+        queue.play(error => {
+            assert.ifError(error);
+
+            // the track goes on for a while
+            renderer.set({CurrentTrackDuration: '0:04:00', RelativeTimePosition: '0:01:00'});
+            setTimeout(() => callback(renderer, client, queue), 200);
+        });
+    });
+}
+
+
+/**
+ * Count loads of media to renderer.
+ *
+ * @param {Object} renderer fake renderer
+ *
+ * @return {Array} loaded addresses
+ */
+function loads ( renderer ) {
+    return renderer.calls
+        .filter(call => call.action === 'SetAVTransportURI')
+        .map(call => call.params.CurrentURI);
+}
+
+
+/**
+ * Stop following renderer and close it.
+ *
+ * @param {Object} renderer fake renderer
+ * @param {PlaybackQueue} queue queue to destroy
+ * @param {function} done test callback
+ */
+function finish ( renderer, queue, done ) {
+    queue.destroy();
+    setTimeout(() => renderer.server.close(() => done()), 50);
+    renderer.server.closeAllConnections();
+}
+
+
+test('plays the next item when the current one ends', ( context, done ) => {
+    start(( renderer, client, queue ) => {
+        queue.once('change', ( item, index ) => {
+            assert.strictEqual(index, 1);
+            assert.strictEqual(item.url, ITEMS[1]);
+            assert.deepStrictEqual(loads(renderer), ITEMS);
+
+            finish(renderer, queue, done);
+        });
+
+        renderer.set({RelativeTimePosition: '0:03:59.900'});
+
+        // renderer stops at the end and resets position
+        setTimeout(() => renderer.set({TransportState: 'STOPPED', RelativeTimePosition: '0:00:00'}), 200);
+    });
+});
+
+
+test('stays on the item stopped by client', ( context, done ) => {
+    start(( renderer, client, queue ) => {
+        queue.on('change', () => assert.fail('unexpected switch'));
+
+        client.stop(error => {
+            assert.ifError(error);
+
+            setTimeout(() => {
+                assert.deepStrictEqual(loads(renderer), ITEMS.slice(0, 1));
+                finish(renderer, queue, done);
+            }, 300);
+        });
+    });
+});
+
+
+test('stays on the item stopped from renderer remote', ( context, done ) => {
+    start(( renderer, client, queue ) => {
+        queue.on('change', () => assert.fail('unexpected switch'));
+
+        renderer.set({TransportState: 'STOPPED', RelativeTimePosition: '0:00:00'});
+
+        setTimeout(() => {
+            assert.deepStrictEqual(loads(renderer), ITEMS.slice(0, 1));
+            finish(renderer, queue, done);
+        }, 300);
+    });
+});
+
+
+test('emits end after the last item', ( context, done ) => {
+    start(( renderer, client, queue ) => {
+        queue.once('change', () => {
+            renderer.set({CurrentTrackDuration: '0:04:00', RelativeTimePosition: '0:03:59.900'});
+            setTimeout(() => renderer.set({TransportState: 'STOPPED', RelativeTimePosition: '0:00:00'}), 200);
+        });
+
+        queue.once('end', () => {
+            assert.strictEqual(queue.current.url, ITEMS[1]);
+            finish(renderer, queue, done);
+        });
+
+        renderer.set({RelativeTimePosition: '0:03:59.900'});
+        setTimeout(() => renderer.set({TransportState: 'STOPPED', RelativeTimePosition: '0:00:00'}), 200);
+    });
+});
+
+
+test('follows the armed item on removal', ( context, done ) => {
+    createRenderer({}, renderer => {
+        const client = new MediaRendererClient(renderer.url, {tracking: {interval: 50}}),
+            queue = new PlaybackQueue(client, {items: ITEMS.concat('http://127.0.0.1/third.mp3')}),
+            check = () => {
+                // the current item is before the armed one
+                queue.remove(0);
+                assert.strictEqual(queue.armed, 0);
+                assert.strictEqual(queue.items[queue.order[queue.armed]].url, ITEMS[1]);
+
+                queue.remove(0);
+                assert.strictEqual(queue.armed, -1);
+
+                // status events don't reach removed items
+                renderer.set({AVTransportURI: 'http://127.0.0.1/other.mp3'});
+                setTimeout(() => finish(renderer, queue, done), 100);
+            };
+
+        queue.play(error => {
+            assert.ifError(error);
+
+            setTimeout(() => {
+                assert.strictEqual(queue.armed, 1);
+                queue.stop(check);
+            }, 100);
+        });
+    });
+});
+
+
+test('drops arming outdated by clear', ( context, done ) => {
+    createRenderer({}, renderer => {
+        const client = new MediaRendererClient(renderer.url, {tracking: {interval: 50}}),
+            queue = new PlaybackQueue(client, {items: ITEMS});
+
+        queue.play(error => {
+            assert.ifError(error);
+
+            // SetNextAVTransportURI is on its way
+            queue.clear();
+
+            setTimeout(() => {
+                assert.strictEqual(renderer.calls.filter(call => call.action === 'SetNextAVTransportURI').length, 1);
+                assert.strictEqual(queue.armed, -1);
+                finish(renderer, queue, done);
+            }, 200);
+        });
+    });
+});
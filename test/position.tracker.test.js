@@ -0,0 +1,84 @@
+/**
+ * Position tracking against a stub client.
+ */
+
+'use strict';
+
+const test            = require('node:test'),
+    assert            = require('assert'),
+    events            = require('events'),
+    PositionTracker   = require('../lib/position.tracker');
+
+
+/**
+ * Start tracking a playing renderer at the given position.
+ *
+ * @param {Object} result GetPositionInfo results of renderer
+ * @param {function} callback method to invoke with tracker and client with `ended` counter once tracker knows position
+ */
+function track ( result, callback ) {
+    const client = new events.EventEmitter(),
+        tracker = new PositionTracker(client);
+
+    client.ended = 0;
+    client.on('ended', () => client.ended++);
+    client.getPositionInfo = cb => process.nextTick(cb, null, result);
+    client.getTransportInfo = cb => process.nextTick(cb, null, {CurrentTransportState: 'PLAYING', CurrentSpeed: '1'});
+
+    tracker.start();
+    setTimeout(() => callback(tracker, client), 20);
+}
+
+
+test('ends media stopped close to its end', ( context, done ) => {
+    track({RelTime: '0:00:59.5', AbsTime: '0:00:59.5', TrackDuration: '0:01:00'}, ( tracker, client ) => {
+        assert.strictEqual(tracker.transportState, 'PLAYING');
+
+        // renderer resets position before it reports stopping
+        tracker.update({RelTime: '0:00:00', AbsTime: '0:00:00', TrackDuration: '0:01:00'});
+        client.emit('status', {TransportState: 'STOPPED'});
+
+        assert.strictEqual(client.ended, 1);
+        assert.strictEqual(tracker.getPosition(), 60);
+
+        tracker.stop();
+        done();
+    });
+});
+
+
+test('does not end media stopped by client', ( context, done ) => {
+    track({RelTime: '0:00:59.5', AbsTime: '0:00:59.5', TrackDuration: '0:01:00'}, ( tracker, client ) => {
+        tracker.expectStop();
+        client.emit('status', {TransportState: 'STOPPED'});
+        assert.strictEqual(client.ended, 0);
+
+        // a refused stop doesn't hide the end of the next media
+        client.emit('status', {TransportState: 'PLAYING'});
+        tracker.expectStop();
+        tracker.cancelStop();
+        client.emit('status', {TransportState: 'STOPPED'});
+        assert.strictEqual(client.ended, 1);
+
+        tracker.stop();
+        done();
+    });
+});
+
+
+test('does not end media stopped far from its end or of unknown length', ( context, done ) => {
+    track({RelTime: '0:00:30', AbsTime: '0:00:30', TrackDuration: '0:01:00'}, ( tracker, client ) => {
+        client.emit('status', {TransportState: 'STOPPED'});
+        assert.strictEqual(client.ended, 0);
+        tracker.stop();
+
+        track({RelTime: '0:00:30', AbsTime: '0:00:30', TrackDuration: 'NOT_IMPLEMENTED'}, ( tracker, client ) => {
+            client.emit('status', {TransportState: 'STOPPED'});
+            assert.strictEqual(client.ended, 0);
+            assert.strictEqual(tracker.duration, null);
+
+            tracker.stop();
+            done();
+        });
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * Callback and Promise completion of client operations.
+ */
+
+'use strict';
+
+const test                = require('node:test'),
+    assert                = require('assert'),
+    MediaRendererClient   = require('../index'),
+    callbackOrPromise     = require('../lib/promise'),
+    createRenderer        = require('./helpers/renderer');
+
+
+test('completes with callback or Promise', () => {
+    const results = [],
+        callback = ( error, result ) => {
+            assert.ifError(error);
+            results.push(result);
+        };
+
+    assert.strictEqual(callbackOrPromise(callback, done => done(null, 1)), undefined);
+    assert.deepStrictEqual(results, [1]);
+
+    return Promise.all([
+        callbackOrPromise(null, done => setImmediate(done, null, 2)),
+        callbackOrPromise(null, done => done(new Error('failed'))).then(() => assert.fail('unexpected result'), error => error.message)
+    ]).then(values => assert.deepStrictEqual(values, [2, 'failed']));
+});
+
+
+test('returns Promises from client operations without callback', ( context, done ) => {
+    const options = {responses: {GetPositionInfo: {RelTime: '0:01:05', AbsTime: '0:01:05'}, GetVolume: {CurrentVolume: 25}}};
+
+    createRenderer(options, renderer => {
+        const client = new MediaRendererClient(renderer.url),
+            finish = error => {
+                renderer.server.closeAllConnections();
+                renderer.server.close(() => done(error));
+            };
+
+        Promise.all([client.getPosition(), client.getVolume(), client.getTransportInfo()])
+            .then(results => {
+                assert.strictEqual(results[0], 65);
+                assert.strictEqual(results[1], 25);
+                assert.strictEqual(results[2].CurrentTransportState, 'NO_MEDIA_PRESENT');
+
+                return client.callAction('AVTransport', 'Unknown', {}).then(() => assert.fail('unexpected result'), error => {
+                    assert.strictEqual(error.code, 'ENOACTION');
+                });
+            })
+            .then(() => finish(), finish);
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * protocolInfo parsing and negotiation.
+ */
+
+'use strict';
+
+const test      = require('node:test'),
+    assert      = require('assert'),
+    protocols   = require('../lib/protocol.info'),
+    SINKS       = protocols.parseList([
+        'http-get:*:video/mp4:DLNA.ORG_PN=AVC_MP4_HP_HD_AAC;DLNA.ORG_OP=01;DLNA.ORG_FLAGS=01700000000000000000000000000000',
+        'http-get:*:audio/*:*',
+        'http-get:*:video/*:DLNA.ORG_OP=10',
+        'rtsp-rtp-udp:*:video/x-matroska:*',
+        'http-get:*:video/mpeg:DLNA.ORG_PN=MPEG_PS_PAL;DLNA.ORG_OP=01'
+    ].join(','));
+
+
+test('parses protocolInfo with colons in additional info', () => {
+    const info = protocols.parse('http-get:*:video/mp4:DLNA.ORG_PN=AVC_MP4_HP_HD_AAC;X.URL=http://host/a');
+
+    assert.strictEqual(info.protocol, 'http-get');
+    assert.strictEqual(info.contentFormat, 'video/mp4');
+    assert.strictEqual(info.params['DLNA.ORG_PN'], 'AVC_MP4_HP_HD_AAC');
+    assert.strictEqual(info.params['X.URL'], 'http://host/a');
+    assert.strictEqual(protocols.format(info), 'http-get:*:video/mp4:DLNA.ORG_PN=AVC_MP4_HP_HD_AAC;X.URL=http://host/a');
+});
+
+
+test('prefers exact type and matching profile to wildcards', () => {
+    assert.strictEqual(protocols.negotiate(SINKS, 'video/mp4', 'AVC_MP4_HP_HD_AAC').params['DLNA.ORG_PN'], 'AVC_MP4_HP_HD_AAC');
+    assert.strictEqual(protocols.negotiate(SINKS, 'Video/MPEG; charset=x').params['DLNA.ORG_OP'], '01');
+    assert.strictEqual(protocols.negotiate(SINKS, 'video/avi').additionalInfo, 'DLNA.ORG_OP=10');
+    // only http-get entries count
+    assert.strictEqual(protocols.negotiate(SINKS, 'video/x-matroska').additionalInfo, 'DLNA.ORG_OP=10');
+    assert.strictEqual(protocols.negotiate(SINKS, 'image/jpeg'), null);
+});
+
+
+test('rejects media of another profile in the same container', () => {
+    const sinks = SINKS.filter(sink => sink.contentFormat !== 'video/*');
+
+    assert.strictEqual(protocols.negotiate(sinks, 'video/mp4', 'AVC_MP4_BL_CIF15_AAC_520'), null);
+    // generic entries take any profile
+    assert.strictEqual(protocols.negotiate(SINKS, 'video/mp4', 'AVC_MP4_BL_CIF15_AAC_520').additionalInfo, 'DLNA.ORG_OP=10');
+});
+
+
+test('takes DLNA profile of sink only when it matches', () => {
+    const matched = protocols.negotiate(SINKS, 'video/mp4', 'AVC_MP4_HP_HD_AAC'),
+        unknown = protocols.negotiate(SINKS, 'video/mp4'),
+        generic = protocols.negotiate(SINKS, 'audio/flac');
+
+    assert.strictEqual(protocols.format(matched), 'http-get:*:video/mp4:' + SINKS[0].additionalInfo);
+    // media without profile isn't advertised with the profile of the sink
+    assert.strictEqual(protocols.format(unknown), 'http-get:*:video/mp4:DLNA.ORG_OP=01;DLNA.ORG_FLAGS=01700000000000000000000000000000');
+    assert.strictEqual(unknown.params['DLNA.ORG_PN'], undefined);
+    // wildcards of sink are not sent back
+    assert.strictEqual(protocols.format(generic), 'http-get:*:audio/flac:*');
+});
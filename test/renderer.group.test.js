@@ -0,0 +1,141 @@
+/**
+ * Renderer groups against fake renderers on loopback.
+ */
+
+'use strict';
+
+const test                = require('node:test'),
+    assert                = require('assert'),
+    MediaRendererClient   = require('../index'),
+    RendererGroup         = require('../lib/renderer.group'),
+    createRenderer        = require('./helpers/renderer');
+
+
+/**
+ * Start fake renderers and a group of them.
+ *
+ * @param {Array} list options of renderers
+ * @param {function} callback method to invoke with renderers and group
+ */
+function start ( list, callback ) {
+    const renderers = [];
+
+    list.forEach(( options, index ) => {
+        createRenderer(options, renderer => {
+            renderers[index] = renderer;
+
+            if ( renderers.filter(Boolean).length === list.length ) {
+                callback(renderers, new RendererGroup(renderers.map(item => new MediaRendererClient(item.url))));
+            }
+        });
+    });
+}
+
+
+/**
+ * Close renderers.
+ *
+ * @param {Array} renderers fake renderers
+ * @param {function} done test callback
+ */
+function finish ( renderers, done ) {
+    let left = renderers.length;
+
+    renderers.forEach(renderer => {
+        renderer.server.closeAllConnections();
+        renderer.server.close(() => --left || done());
+    });
+}
+
+
+/**
+ * Get arguments of calls of an action.
+ *
+ * @param {Object} renderer fake renderer
+ * @param {string} action action name
+ *
+ * @return {Array} call arguments
+ */
+function calls ( renderer, action ) {
+    return renderer.calls.filter(call => call.action === action).map(call => call.params);
+}
+
+
+test('limits volume to range of each member', ( context, done ) => {
+    start([{ranges: {Volume: '0..30'}}, {}], ( renderers, group ) => {
+        group.setVolumeOffset(renderers[1].url, 60);
+
+        group.setVolume(50, ( error, results ) => {
+            assert.ifError(error);
+            assert.deepStrictEqual(results.map(result => result.error), [null, null]);
+            assert.strictEqual(calls(renderers[0], 'SetVolume')[0].DesiredVolume, '30');
+            assert.strictEqual(calls(renderers[1], 'SetVolume')[0].DesiredVolume, '100');
+
+            finish(renderers, done);
+        });
+    });
+});
+
+
+test('corrects drift of playing members only', ( context, done ) => {
+    start([{}, {}, {}], ( renderers, group ) => {
+        Object.assign(renderers[0].state, {TransportState: 'PLAYING', RelativeTimePosition: '0:01:00'});
+        Object.assign(renderers[1].state, {TransportState: 'PAUSED_PLAYBACK', RelativeTimePosition: '0:00:10'});
+        Object.assign(renderers[2].state, {TransportState: 'PLAYING', RelativeTimePosition: '0:00:50'});
+
+        group.sync(( error, results ) => {
+            assert.ifError(error);
+            assert.deepStrictEqual(results.map(result => result.result.state), ['PLAYING', 'PAUSED_PLAYBACK', 'PLAYING']);
+            assert.strictEqual(results[1].result.position, null);
+            assert.ok(results[2].result.drift < -9);
+
+            // paused member is neither asked for position nor sought
+            assert.strictEqual(calls(renderers[1], 'GetPositionInfo').length, 0);
+            assert.strictEqual(calls(renderers[1], 'Seek').length, 0);
+            assert.strictEqual(calls(renderers[0], 'Seek').length, 0);
+            assert.strictEqual(calls(renderers[2], 'Seek').length, 1);
+
+            finish(renderers, done);
+        });
+    });
+});
+
+
+test('keeps results of members removed meanwhile', ( context, done ) => {
+    start([{}, {}], ( renderers, group ) => {
+        Object.assign(renderers[0].state, {TransportState: 'PLAYING', RelativeTimePosition: '0:01:00'});
+        Object.assign(renderers[1].state, {TransportState: 'PLAYING', RelativeTimePosition: '0:00:30'});
+
+        group.sync(( error, results ) => {
+            assert.ifError(error);
+            assert.deepStrictEqual(results.map(result => result.id), [renderers[0].url, renderers[1].url]);
+            // the removed leader is still the reference
+            assert.strictEqual(calls(renderers[1], 'Seek').length, 1);
+
+            finish(renderers, done);
+        });
+        group.remove(renderers[0].url);
+    });
+});
+
+
+test('skips sync while the previous one is in progress', ( context, done ) => {
+    const client = {
+            url: 'http://127.0.0.1/slow.xml',
+            requests: 0,
+            // renderer answers slower than sync interval
+            getTransportInfo: callback => {
+                client.requests++;
+                setTimeout(callback, 300, null, {CurrentTransportState: 'STOPPED'});
+            }
+        },
+        group = new RendererGroup([client], {interval: 50});
+
+    group.startSync();
+
+    setTimeout(() => {
+        group.stopSync();
+        assert.strictEqual(client.requests, 1);
+        done();
+    }, 320);
+});
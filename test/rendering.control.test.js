@@ -0,0 +1,88 @@
+/**
+ * RenderingControl calls and events against a fake renderer on loopback.
+ */
+
+'use strict';
+
+const test                = require('node:test'),
+    assert                = require('assert'),
+    MediaRendererClient   = require('../index'),
+    createRenderer        = require('./helpers/renderer');
+
+
+/**
+ * Close fake renderer.
+ *
+ * @param {Object} renderer fake renderer
+ * @param {function} done test callback
+ */
+function finish ( renderer, done ) {
+    renderer.server.closeAllConnections();
+    renderer.server.close(() => done());
+}
+
+
+test('checks volume against the range of renderer', ( context, done ) => {
+    createRenderer({ranges: {Volume: '0..30'}, responses: {GetVolume: {CurrentVolume: 25}}}, renderer => {
+        const client = new MediaRendererClient(renderer.url);
+
+        client.setVolume(31, error => {
+            assert.strictEqual(error.code, 'ERANGE');
+            assert.strictEqual(error.argument, 'DesiredVolume');
+            assert.strictEqual(renderer.calls.length, 0);
+
+            client.setVolume(20, 'LF', error => {
+                assert.ifError(error);
+                assert.deepStrictEqual(renderer.calls[0].params, {InstanceID: '0', Channel: 'LF', DesiredVolume: '20'});
+
+                client.getVolume(( error, volume ) => {
+                    assert.ifError(error);
+                    assert.strictEqual(volume, 25);
+                    assert.strictEqual(renderer.calls[1].params.Channel, 'Master');
+
+                    finish(renderer, done);
+                });
+            });
+        });
+    });
+});
+
+
+test('emits volume, mute and preset changes per channel', ( context, done ) => {
+    createRenderer({}, renderer => {
+        const client = new MediaRendererClient(renderer.url),
+            changes = [],
+            add = change => {
+                changes.push(change);
+
+                if ( changes.length < 4 ) {
+                    return;
+                }
+
+                assert.deepStrictEqual(changes, [
+                    ['volume', 20, 'Master'],
+                    ['volume', 15, 'LF'],
+                    ['mute', true, 'Master'],
+                    ['presets', ['FactoryDefaults', 'Night']]
+                ]);
+
+                // the last listener unsubscribes
+                ['volumeChanged', 'muteChanged', 'presetsChanged'].forEach(name => client.removeAllListeners(name));
+                setTimeout(() => {
+                    assert.strictEqual(renderer.subscriptions.RenderingControl, undefined);
+                    finish(renderer, done);
+                }, 50);
+            };
+
+        client.on('volumeChanged', ( volume, channel ) => add(['volume', volume, channel]));
+        client.on('muteChanged', ( mute, channel ) => add(['mute', mute, channel]));
+        client.on('presetsChanged', names => add(['presets', names]));
+
+        // the initial event brings the state rather than changes
+        client.once('renderingStatus', () => renderer.notify('RenderingControl', {
+            Volume: {Master: 20, LF: 15},
+            Mute: {Master: 1},
+            PresetNameList: 'FactoryDefaults,Night'
+        }));
+    });
+});
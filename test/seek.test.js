@@ -0,0 +1,93 @@
+/**
+ * Seeking and skipping against a fake renderer on loopback.
+ */
+
+'use strict';
+
+const test                = require('node:test'),
+    assert                = require('assert'),
+    MediaRendererClient   = require('../index'),
+    createRenderer        = require('./helpers/renderer');
+
+
+/**
+ * Run calls one after another against a fake renderer.
+ *
+ * @param {Object} options renderer options
+ * @param {Array} steps methods taking client and a callback with error and result
+ * @param {function} callback method to invoke with errors and results of steps and arguments of Seek calls
+ */
+function run ( options, steps, callback ) {
+    createRenderer(options, renderer => {
+        const client = new MediaRendererClient(renderer.url),
+            results = [],
+            next = () => {
+                const step = steps[results.length];
+
+                if ( !step ) {
+                    renderer.server.closeAllConnections();
+                    renderer.server.close(() => callback(results, renderer.calls.filter(call => call.action === 'Seek').map(call => call.params)));
+
+                    return;
+                }
+
+                step(client, ( error, result ) => {
+                    results.push(error ? error.code : result);
+                    next();
+                });
+            };
+
+        next();
+    });
+}
+
+
+test('formats seek targets by unit', ( context, done ) => {
+    run({}, [
+        ( client, cb ) => client.seek(65.25, cb),
+        ( client, cb ) => client.seek(' 1:00:00 ', cb),
+        ( client, cb ) => client.seek(3, {unit: 'TRACK_NR'}, cb),
+        ( client, cb ) => client.seek(-1, cb),
+        ( client, cb ) => client.seek('soon', cb),
+        ( client, cb ) => client.seek(1.5, {unit: 'TRACK_NR'}, cb)
+    ], ( results, seeks ) => {
+        assert.deepStrictEqual(results, [undefined, undefined, undefined, 'EINVAL', 'EINVAL', 'EINVAL']);
+        // invalid targets are not sent
+        assert.deepStrictEqual(seeks, [
+            {InstanceID: '0', Unit: 'REL_TIME', Target: '0:01:05.25'},
+            {InstanceID: '0', Unit: 'REL_TIME', Target: '1:00:00'},
+            {InstanceID: '0', Unit: 'TRACK_NR', Target: '3'}
+        ]);
+
+        done();
+    });
+});
+
+
+test('keeps skip target within the current track', ( context, done ) => {
+    const options = {responses: {GetPositionInfo: {RelTime: '0:00:20', AbsTime: '0:00:20', TrackDuration: '0:01:00'}}};
+
+    run(options, [
+        ( client, cb ) => client.skip(15, cb),
+        ( client, cb ) => client.skip(-30, cb),
+        ( client, cb ) => client.skip(100, cb),
+        ( client, cb ) => client.skip('10', cb)
+    ], ( results, seeks ) => {
+        assert.deepStrictEqual(results, [35, 0, 60, 'EINVAL']);
+        assert.deepStrictEqual(seeks.map(seek => seek.Target), ['0:00:35', '0:00:00', '0:01:00']);
+
+        done();
+    });
+});
+
+
+test('skips in absolute time if renderer reports only that one', ( context, done ) => {
+    const options = {responses: {GetPositionInfo: {RelTime: 'NOT_IMPLEMENTED', AbsTime: '0:00:20', TrackDuration: 'NOT_IMPLEMENTED'}}};
+
+    run(options, [( client, cb ) => client.skip(10.5, cb)], ( results, seeks ) => {
+        assert.deepStrictEqual(results, [30.5]);
+        assert.deepStrictEqual(seeks, [{InstanceID: '0', Unit: 'ABS_TIME', Target: '0:00:30.5'}]);
+
+        done();
+    });
+});
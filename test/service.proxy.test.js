@@ -0,0 +1,73 @@
+/**
+ * Service proxies against a fake renderer on loopback.
+ */
+
+'use strict';
+
+const test          = require('node:test'),
+    assert          = require('assert'),
+    DeviceClient    = require('../lib/device.client'),
+    createRenderer  = require('./helpers/renderer');
+
+
+/**
+ * Call action through service proxy, UPnP action names are capitalized.
+ *
+ * @param {Object} proxy service proxy
+ * @param {string} actionName action name
+ * @param {Object} [params] action arguments
+ * @param {function} [callback] method to invoke with a result of action
+ *
+ * @return {Promise|undefined} action result if no callback was given
+ */
+function invoke ( proxy, actionName, params, callback ) {
+    return proxy[actionName](params, callback);
+}
+
+
+test('calls actions through service proxy', ( context, done ) => {
+    createRenderer({responses: {GetProtocolInfo: {Source: '', Sink: 'http-get:*:audio/mpeg:*'}}}, renderer => {
+        const client = new DeviceClient(renderer.url),
+            finish = () => {
+                assert.deepStrictEqual(renderer.calls.map(call => call.action), ['Play', 'GetTransportInfo', 'GetProtocolInfo']);
+
+                renderer.server.closeAllConnections();
+                renderer.server.close(() => done());
+            };
+
+        client.service('AVTransport').then(avt => {
+            assert.strictEqual(typeof avt.SetAVTransportURI, 'function');
+
+            return invoke(avt, 'Play', {InstanceID: 0, Speed: '1'}).then(() => invoke(avt, 'GetTransportInfo', {InstanceID: 0}));
+        }).then(result => {
+            assert.strictEqual(result.CurrentTransportState, 'PLAYING');
+
+            // actions without inputs take no arguments, callbacks work as well
+            client.service('ConnectionManager', ( error, cm ) => {
+                assert.ifError(error);
+
+                invoke(cm, 'GetProtocolInfo', undefined, ( error, result ) => {
+                    assert.ifError(error);
+                    assert.strictEqual(result.Sink, 'http-get:*:audio/mpeg:*');
+                    finish();
+                });
+            });
+        }).catch(done);
+    });
+});
+
+
+test('rejects unknown and missing arguments before sending', ( context, done ) => {
+    createRenderer({}, renderer => {
+        new DeviceClient(renderer.url).service('AVTransport').then(avt => Promise.all([
+            invoke(avt, 'Play', {InstanceID: 0, Speed: '1', Volume: 5}).catch(error => error),
+            invoke(avt, 'Play', {InstanceID: 0}).catch(error => error)
+        ])).then(errors => {
+            assert.deepStrictEqual(errors.map(error => [error.code, error.argument]), [['EINVAL', 'Volume'], ['EINVAL', 'Speed']]);
+            assert.strictEqual(renderer.calls.length, 0);
+
+            renderer.server.closeAllConnections();
+            renderer.server.close(() => done());
+        }).catch(done);
+    });
+});
@@ -0,0 +1,206 @@
+/**
+ * GENA subscriptions against a local event publisher.
+ */
+
+'use strict';
+
+const test          = require('node:test'),
+    assert          = require('assert'),
+    http            = require('http'),
+    url             = require('url'),
+    Subscription    = require('../lib/subscriber');
+
+
+/**
+ * Get requests of a method.
+ *
+ * @param {http.Server} publisher event publisher
+ * @param {string} method request method
+ *
+ * @return {Array} requests
+ */
+function requests ( publisher, method ) {
+    return publisher.requests.filter(req => req.method === method);
+}
+
+
+/**
+ * Accept subscriptions like a device service does.
+ *
+ * Answers SUBSCRIBE with `status` (200 by default) and records all requests.
+ *
+ * @param {function} callback method to invoke with listening publisher
+ */
+function createPublisher ( callback ) {
+    const publisher = http.createServer(( req, res ) => {
+        publisher.requests.push({method: req.method, headers: req.headers});
+        req.resume();
+
+        if ( req.method === 'SUBSCRIBE' && !req.headers.sid ) {
+            if ( publisher.status !== 200 ) {
+                res.writeHead(publisher.status);
+                res.end();
+
+                return;
+            }
+
+            publisher.sid = 'uuid:sub-' + requests(publisher, 'SUBSCRIBE').length;
+            publisher.callback = req.headers.callback.replace(/[<>]/g, '');
+        }
+
+        res.writeHead(200, {SID: publisher.sid, TIMEOUT: 'Second-300'});
+        res.end();
+    });
+
+    publisher.requests = [];
+    publisher.status = 200;
+
+    publisher.listen(0, '127.0.0.1', () => {
+        publisher.url = 'http://127.0.0.1:' + publisher.address().port + '/event';
+        callback(publisher);
+    });
+}
+
+
+/**
+ * Send event of the current subscription.
+ *
+ * @param {http.Server} publisher event publisher
+ * @param {number} seq event sequence number
+ * @param {Object} variables changed state variables
+ */
+function notify ( publisher, seq, variables ) {
+    const body = '<?xml version="1.0"?><e:propertyset xmlns:e="urn:schemas-upnp-org:event-1-0">' +
+        Object.keys(variables).map(name => '<e:property><' + name + '>' + variables[name] + '</' + name + '></e:property>').join('') +
+        '</e:propertyset>';
+
+    http.request(Object.assign(url.parse(publisher.callback), {
+        method: 'NOTIFY',
+        headers: {
+            NT: 'upnp:event',
+            NTS: 'upnp:propchange',
+            SID: publisher.sid,
+            SEQ: seq,
+            'Content-Type': 'text/xml'
+        }
+    }), res => res.resume()).end(body);
+}
+
+
+test('subscribes and delivers events', ( context, done ) => {
+    createPublisher(publisher => {
+        const subscription = new Subscription(publisher.url);
+
+        subscription.on('message', ( event, seq ) => {
+            assert.strictEqual(seq, 0);
+            assert.deepStrictEqual(event, {Volume: '20'});
+
+            subscription.unsubscribe(() => {
+                assert.deepStrictEqual(requests(publisher, 'UNSUBSCRIBE').map(req => req.headers.sid), ['uuid:sub-1']);
+                publisher.close(() => done());
+            });
+        });
+
+        subscription.subscribe(error => {
+            assert.ifError(error);
+            assert.strictEqual(subscription.sid, 'uuid:sub-1');
+            assert.strictEqual(requests(publisher, 'SUBSCRIBE')[0].headers.nt, 'upnp:event');
+
+            notify(publisher, 0, {Volume: 20});
+        });
+    });
+});
+
+
+test('subscribes again after missed events', ( context, done ) => {
+    createPublisher(publisher => {
+        const subscription = new Subscription(publisher.url);
+
+        subscription.on('resync', reason => {
+            assert.strictEqual(reason, 'gap');
+            assert.strictEqual(subscription.sid, 'uuid:sub-2');
+
+            subscription.unsubscribe(() => {
+                // the old subscription is cancelled on device as well
+                assert.deepStrictEqual(requests(publisher, 'UNSUBSCRIBE').map(req => req.headers.sid).sort(), ['uuid:sub-1', 'uuid:sub-2']);
+                publisher.close(() => done());
+            });
+        });
+
+        subscription.subscribe(error => {
+            assert.ifError(error);
+
+            notify(publisher, 0, {Volume: 20});
+            setTimeout(() => notify(publisher, 2, {Volume: 30}), 50);
+        });
+    });
+});
+
+
+test('reports failed restoring without error event', ( context, done ) => {
+    createPublisher(publisher => {
+        const subscription = new Subscription(publisher.url);
+
+        // there is no `error` listener, so emitting `error` would throw
+        subscription.on('subscriptionError', error => {
+            assert.strictEqual(error.statusCode, 503);
+            // retry is scheduled
+            assert.ok(subscription.timer);
+
+            subscription.unsubscribe(() => {
+                assert.strictEqual(subscription.closed, true);
+                publisher.close(() => done());
+            });
+        });
+
+        subscription.subscribe(error => {
+            assert.ifError(error);
+
+            publisher.status = 503;
+            notify(publisher, 0, {Volume: 20});
+            setTimeout(() => notify(publisher, 2, {Volume: 30}), 50);
+        });
+    });
+});
+
+
+test('cancels subscription without SID locally', ( context, done ) => {
+    createPublisher(publisher => {
+        const subscription = new Subscription(publisher.url);
+
+        subscription.unsubscribe(() => {
+            assert.strictEqual(subscription.closed, true);
+            assert.strictEqual(publisher.requests.length, 0);
+            publisher.close(() => done());
+        });
+    });
+});
+
+
+test('limits the whole SUBSCRIBE response with request timeout', ( context, done ) => {
+    const sockets = [],
+        server = http.createServer(( req, res ) => {
+            // headers trickle in one by one, each in time for an idle timeout
+            const timer = setInterval(() => res.socket.write('X-Trickle: 1\r\n'), 50);
+
+            res.socket.write('HTTP/1.1 200 OK\r\n');
+            res.socket.on('close', () => clearInterval(timer));
+        });
+
+    server.on('connection', socket => sockets.push(socket));
+
+    server.listen(0, '127.0.0.1', () => {
+        const subscription = new Subscription('http://127.0.0.1:' + server.address().port + '/event', {requestTimeout: 300}),
+            startedAt = Date.now();
+
+        subscription.subscribe(error => {
+            assert.strictEqual(error.code, 'ETIMEDOUT');
+            assert.ok(Date.now() - startedAt < 1000);
+
+            subscription.unsubscribe(() => {
+                sockets.forEach(socket => socket.destroy());
+                server.close(() => done());
+            });
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Play speeds, play modes and transport capabilities against a fake renderer on loopback.
+ */
+
+'use strict';
+
+const test                = require('node:test'),
+    assert                = require('assert'),
+    MediaRendererClient   = require('../index'),
+    createRenderer        = require('./helpers/renderer');
+
+
+/**
+ * Close fake renderer.
+ *
+ * @param {Object} renderer fake renderer
+ * @param {function} done test callback
+ * @param {Error} [error] test failure
+ */
+function finish ( renderer, done, error ) {
+    renderer.server.closeAllConnections();
+    renderer.server.close(() => done(error));
+}
+
+
+test('plays at speeds allowed by renderer', ( context, done ) => {
+    createRenderer({allowed: {TransportPlaySpeed: '1,2,-2,1/2'}}, renderer => {
+        const client = new MediaRendererClient(renderer.url);
+
+        client.getPlaySpeeds()
+            .then(speeds => {
+                assert.deepStrictEqual(speeds, ['1', '2', '-2', '1/2']);
+
+                return client.play(0.5);
+            })
+            .then(() => client.play(-2))
+            .then(() => client.play())
+            .then(() => client.play(3).then(() => assert.fail('unexpected result'), error => assert.strictEqual(error.code, 'EINVAL')))
+            .then(() => {
+                // not allowed speed is not sent
+                assert.deepStrictEqual(renderer.calls.map(call => call.params.Speed), ['1/2', '-2', '1']);
+                finish(renderer, done);
+            })
+            .catch(error => finish(renderer, done, error));
+    });
+});
+
+
+test('switches tracks and play modes', ( context, done ) => {
+    const options = {
+        allowed: {CurrentPlayMode: 'NORMAL,SHUFFLE,REPEAT_ALL'},
+        responses: {GetTransportSettings: {PlayMode: 'SHUFFLE', RecQualityMode: 'NOT_IMPLEMENTED'}}
+    };
+
+    createRenderer(options, renderer => {
+        const client = new MediaRendererClient(renderer.url);
+
+        client.next()
+            .then(() => client.previous())
+            .then(() => client.setPlayMode('SHUFFLE'))
+            .then(() => client.setPlayMode('RANDOM').then(() => assert.fail('unexpected result'), error => assert.strictEqual(error.code, 'EINVAL')))
+            .then(() => client.getTransportSettings())
+            .then(settings => {
+                assert.deepStrictEqual(settings, {playMode: 'SHUFFLE', recordQualityMode: null});
+                assert.deepStrictEqual(renderer.calls.map(call => call.action), ['Next', 'Previous', 'SetPlayMode', 'GetTransportSettings']);
+                assert.strictEqual(renderer.calls[2].params.NewPlayMode, 'SHUFFLE');
+                finish(renderer, done);
+            })
+            .catch(error => finish(renderer, done, error));
+    });
+});
+
+
+test('lists transport capabilities and allowed actions', ( context, done ) => {
+    const options = {responses: {
+        GetDeviceCapabilities: {PlayMedia: 'NETWORK, HDD', RecMedia: 'NOT_IMPLEMENTED', RecQualityModes: ''},
+        GetCurrentTransportActions: {Actions: 'Play,Stop,X_DLNA_SeekTime'}
+    }};
+
+    createRenderer(options, renderer => {
+        const client = new MediaRendererClient(renderer.url);
+
+        Promise.all([client.getDeviceCapabilities(), client.getCurrentTransportActions()])
+            .then(results => {
+                assert.deepStrictEqual(results[0], {playMedia: ['NETWORK', 'HDD'], recordMedia: [], recordQualityModes: []});
+                assert.deepStrictEqual(results[1], ['Play', 'Stop', 'X_DLNA_SeekTime']);
+                finish(renderer, done);
+            })
+            .catch(error => finish(renderer, done, error));
+    });
+});